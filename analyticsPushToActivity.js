@@ -0,0 +1,404 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { retryWithBackoff } = require('./utils');
+const { isHubspotAuthError } = require('./hubspotAuth');
+const { isZohoAuthError } = require('./zohoAuth');
+const { parseAnalytics, TRANSFORMS } = require('./fieldMapping');
+dotenv.config();
+
+// HubSpot-defined association type for note → contact
+const NOTE_TO_CONTACT_ASSOCIATION_TYPE_ID = 202;
+
+// Matches the reference line we put in every note body
+const ACTIVITY_KEY_PATTERN = /eazybe-activity-[A-Za-z0-9_-]+/g;
+
+// Connection errors raised before the request reached the server
+const UNSENT_REQUEST_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Whether a failed note create can be sent again. Creating notes isn't idempotent, a timeout or 5xx may
+ * come after HubSpot stored them, so only rate limits and requests that never went out are retried.
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isSafeToRetryNoteCreate(error) {
+    return error.response?.status === 429 || UNSENT_REQUEST_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Period a sync belongs to, one activity per contact per UTC day
+ * @param {Date} date - Date of the sync
+ * @returns {string} YYYY-MM-DD
+ */
+function getActivityPeriod(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Deterministic key so a retried run recognises the activity it already logged
+ * @param {string} workspaceId - Workspace id
+ * @param {string} contactId - CRM contact id
+ * @param {string} period - YYYY-MM-DD
+ * @returns {string}
+ */
+function getActivityKey(workspaceId, contactId, period) {
+    return `eazybe-activity-${workspaceId}-${contactId}-${period}`;
+}
+
+/**
+ * Summary lines shared by the HubSpot and Zoho activities
+ * @param {Object} chat - Chat with analytics and average_response_time
+ * @returns {Array<string>}
+ */
+function getConversationSummaryLines(chat) {
+    const analytics = parseAnalytics(chat);
+    const avgResponseTimeText = chat.average_response_time
+        ? `${(chat.average_response_time / 60).toFixed(2)} hours`
+        : 'N/A';
+    const firstResponseTimeText = TRANSFORMS.hours_text(chat.first_response_time) || 'N/A';
+
+    return [
+        `Total messages: ${parseInt(analytics.total_messages) || 0}`,
+        `Messages sent: ${parseInt(analytics.messages_sent) || 0}`,
+        `Messages received: ${parseInt(analytics.messages_received) || 0}`,
+        `Follow-ups: ${parseInt(analytics.number_of_follow_ups) || 0}`,
+        `Average response time: ${avgResponseTimeText}`,
+        `First response time: ${firstResponseTimeText}`
+    ];
+}
+
+/**
+ * Build the HTML body of the WhatsApp conversation summary note
+ * @param {Object} chat - Chat with analytics and average_response_time
+ * @param {string} activityKey - Key identifying this note
+ * @param {string} period - YYYY-MM-DD
+ * @returns {string}
+ */
+function buildConversationSummaryNote(chat, activityKey, period) {
+    return [
+        `<p><strong>WhatsApp conversation summary (${period})</strong></p>`,
+        '<ul>',
+        ...getConversationSummaryLines(chat).map(line => `<li>${line}</li>`),
+        '</ul>',
+        `<p>Logged by Eazybe. Ref: ${activityKey}</p>`
+    ].join('');
+}
+
+/**
+ * Find which activity keys were already logged on the given contacts
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array<string>} contactIds - HubSpot contact ids
+ * @returns {Set<string>} Activity keys found in the contacts' notes
+ */
+async function getExistingHubspotActivityKeys(accessToken, contactIds) {
+    const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+    const existingKeys = new Set();
+    const noteIds = new Set();
+
+    for (let i = 0; i < contactIds.length; i += 100) {
+        const inputs = contactIds.slice(i, i + 100).map(id => ({ id: String(id) }));
+        const response = await retryWithBackoff(async () => await axios.post(
+            'https://api.hubapi.com/crm/v4/associations/contacts/notes/batch/read',
+            { inputs },
+            { headers }
+        ));
+
+        (response.data.results || []).forEach(result => {
+            (result.to || []).forEach(association => noteIds.add(String(association.toObjectId)));
+        });
+    }
+
+    const noteIdList = [...noteIds];
+    for (let i = 0; i < noteIdList.length; i += 100) {
+        const response = await retryWithBackoff(async () => await axios.post(
+            'https://api.hubapi.com/crm/v3/objects/notes/batch/read',
+            {
+                properties: ['hs_note_body'],
+                inputs: noteIdList.slice(i, i + 100).map(id => ({ id }))
+            },
+            { headers }
+        ));
+
+        (response.data.results || []).forEach(note => {
+            const body = note.properties?.hs_note_body || '';
+            (body.match(ACTIVITY_KEY_PATTERN) || []).forEach(key => existingKeys.add(key));
+        });
+    }
+
+    return existingKeys;
+}
+
+/**
+ * Log a WhatsApp conversation summary note on the timeline of each matched HubSpot contact.
+ * Chats are expected to carry the contactId resolved by contactExistanceBulkOnHubspot.
+ * A contact gets at most one note per period, so retried runs don't create duplicates.
+ * @param {string} accessToken - HubSpot access token
+ * @param {string} workspaceId - Workspace the chats belong to
+ * @param {Array} chatData - Chats with contactId, analytics and average_response_time
+ * @param {Object} options - { period } - YYYY-MM-DD, defaults to today (UTC)
+ * @returns {Object} { totalProcessed, totalCreated, totalSkipped }
+ */
+async function pushAnalyticsActivityToHubspot(accessToken, workspaceId, chatData, options = {}) {
+    try {
+        const period = options.period || getActivityPeriod();
+
+        // One note per contact, several chats can resolve to the same contact
+        const uniqueChatData = chatData.reduce((acc, chat) => {
+            if (chat.contactId && !acc.find(c => c.contactId === chat.contactId)) {
+                acc.push(chat);
+            }
+            return acc;
+        }, []);
+
+        const existingKeys = await getExistingHubspotActivityKeys(
+            accessToken,
+            uniqueChatData.map(chat => chat.contactId)
+        );
+
+        const pendingChats = uniqueChatData.filter(chat =>
+            !existingKeys.has(getActivityKey(workspaceId, chat.contactId, period))
+        );
+        const totalSkipped = uniqueChatData.length - pendingChats.length;
+
+        console.log(`Logging ${pendingChats.length} HubSpot activities for UID ${workspaceId}, ${totalSkipped} already logged for ${period}`);
+
+        let totalCreated = 0;
+        const batchSize = 100;
+        const batchCount = Math.ceil(pendingChats.length / batchSize);
+
+        for (let i = 0; i < batchCount; i++) {
+            const batch = pendingChats.slice(i * batchSize, (i + 1) * batchSize);
+
+            const batchData = {
+                inputs: batch.map(chat => {
+                    const activityKey = getActivityKey(workspaceId, chat.contactId, period);
+                    return {
+                        properties: {
+                            hs_timestamp: new Date().toISOString(),
+                            hs_note_body: buildConversationSummaryNote(chat, activityKey, period)
+                        },
+                        associations: [
+                            {
+                                to: { id: String(chat.contactId) },
+                                types: [
+                                    {
+                                        associationCategory: 'HUBSPOT_DEFINED',
+                                        associationTypeId: NOTE_TO_CONTACT_ASSOCIATION_TYPE_ID
+                                    }
+                                ]
+                            }
+                        ]
+                    };
+                })
+            };
+
+            try {
+                const response = await retryWithBackoff(async () => await axios.post(
+                    'https://api.hubapi.com/crm/v3/objects/notes/batch/create',
+                    batchData,
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
+                    }
+                ), 3, 1000, isSafeToRetryNoteCreate);
+
+                totalCreated += response.data.results?.length || batch.length;
+                console.log(`Created ${batch.length} HubSpot notes in batch ${i + 1}/${batchCount}`);
+
+                if (i < batchCount - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+            } catch (batchError) {
+                console.error(`Error creating HubSpot notes in batch ${i + 1}:`, batchError.response?.data || batchError.message);
+                // An expired token fails every batch, let the caller refresh it and retry
+                if (isHubspotAuthError(batchError)) {
+                    throw batchError;
+                }
+                continue;
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'HubSpot Activity Push Complete',
+            workspace_id: workspaceId,
+            period: period,
+            totalProcessed: uniqueChatData.length,
+            totalCreated: totalCreated,
+            totalSkipped: totalSkipped
+        });
+
+        return {
+            totalProcessed: uniqueChatData.length,
+            totalCreated: totalCreated,
+            totalSkipped: totalSkipped
+        };
+    } catch (error) {
+        console.error('Error pushing analytics activity to HubSpot:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Find which activity keys were already logged on the given Zoho contacts.
+ * Reads each contact's Notes through composite requests, 5 per call like contactExistanceBulkOnZoho.
+ * @param {string} accessToken - Zoho access token
+ * @param {Array<string>} contactIds - Zoho contact ids
+ * @param {string} apiDomain - Zoho API domain
+ * @returns {Set<string>} Activity keys found in the contacts' notes
+ */
+async function getExistingZohoActivityKeys(accessToken, contactIds, apiDomain = 'https://www.zohoapis.com') {
+    const existingKeys = new Set();
+    const chunkSize = 5;
+
+    for (let i = 0; i < contactIds.length; i += chunkSize) {
+        const compositeRequests = contactIds.slice(i, i + chunkSize).map(contactId => ({
+            method: 'GET',
+            uri: `/crm/v2/Contacts/${contactId}/Notes`,
+            params: { fields: 'Note_Title,Note_Content' }
+        }));
+
+        const response = await axios.post(
+            `${apiDomain}/crm/v6/__composite_requests`,
+            {
+                rollback_on_fail: false,
+                parallel_execution: false,
+                __composite_requests: compositeRequests
+            },
+            {
+                headers: {
+                    'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        (response.data?.__composite_requests || []).forEach(compositeResponse => {
+            const notes = compositeResponse.details?.response?.body?.data || [];
+            notes.forEach(note => {
+                const text = `${note.Note_Title || ''} ${note.Note_Content || ''}`;
+                (text.match(ACTIVITY_KEY_PATTERN) || []).forEach(key => existingKeys.add(key));
+            });
+        });
+
+        if (i + chunkSize < contactIds.length) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+
+    return existingKeys;
+}
+
+/**
+ * Attach a WhatsApp conversation summary Note to each matched Zoho contact.
+ * Chats are expected to carry the contactId resolved by contactExistanceBulkOnZoho.
+ * A contact gets at most one note per period, so retried runs don't create duplicates.
+ * @param {string} accessToken - Zoho access token
+ * @param {string} workspaceId - Workspace the chats belong to
+ * @param {Array} chatData - Chats with contactId, analytics and average_response_time
+ * @param {string} apiDomain - Zoho API domain
+ * @param {Object} options - { period } - YYYY-MM-DD, defaults to today (UTC)
+ * @returns {Object} { totalProcessed, totalCreated, totalSkipped }
+ */
+async function pushAnalyticsNotesToZoho(accessToken, workspaceId, chatData, apiDomain = 'https://www.zohoapis.com', options = {}) {
+    try {
+        const period = options.period || getActivityPeriod();
+
+        // One note per contact, several chats can resolve to the same contact
+        const uniqueChatData = chatData.reduce((acc, chat) => {
+            if (chat.contactId && !acc.find(c => c.contactId === chat.contactId)) {
+                acc.push(chat);
+            }
+            return acc;
+        }, []);
+
+        const existingKeys = await getExistingZohoActivityKeys(
+            accessToken,
+            uniqueChatData.map(chat => chat.contactId),
+            apiDomain
+        );
+
+        const pendingChats = uniqueChatData.filter(chat =>
+            !existingKeys.has(getActivityKey(workspaceId, chat.contactId, period))
+        );
+        const totalSkipped = uniqueChatData.length - pendingChats.length;
+
+        console.log(`Attaching ${pendingChats.length} Zoho notes for UID ${workspaceId}, ${totalSkipped} already attached for ${period}`);
+
+        let totalCreated = 0;
+        const batchSize = 100;
+        const batchCount = Math.ceil(pendingChats.length / batchSize);
+
+        for (let i = 0; i < batchCount; i++) {
+            const batch = pendingChats.slice(i * batchSize, (i + 1) * batchSize);
+
+            const batchData = {
+                data: batch.map(chat => {
+                    const activityKey = getActivityKey(workspaceId, chat.contactId, period);
+                    return {
+                        Note_Title: `WhatsApp conversation summary (${period})`,
+                        Note_Content: [
+                            ...getConversationSummaryLines(chat),
+                            '',
+                            `Logged by Eazybe. Ref: ${activityKey}`
+                        ].join('\n'),
+                        Parent_Id: chat.contactId,
+                        se_module: 'Contacts'
+                    };
+                })
+            };
+
+            try {
+                const response = await axios.post(`${apiDomain}/crm/v2/Notes`, batchData, {
+                    headers: {
+                        'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                const created = (response.data.data || []).filter(record => record.code === 'SUCCESS').length;
+                totalCreated += created;
+                console.log(`Created ${created} Zoho notes in batch ${i + 1}/${batchCount}`);
+
+                if (i < batchCount - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+            } catch (batchError) {
+                console.error(`Error creating Zoho notes in batch ${i + 1}:`, batchError.response?.data || batchError.message);
+                // An expired token fails every batch, let the caller refresh it and retry
+                if (isZohoAuthError(batchError)) {
+                    throw batchError;
+                }
+                continue;
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'Zoho Notes Push Complete',
+            workspace_id: workspaceId,
+            period: period,
+            totalProcessed: uniqueChatData.length,
+            totalCreated: totalCreated,
+            totalSkipped: totalSkipped
+        });
+
+        return {
+            totalProcessed: uniqueChatData.length,
+            totalCreated: totalCreated,
+            totalSkipped: totalSkipped
+        };
+    } catch (error) {
+        console.error('Error pushing analytics notes to Zoho:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    pushAnalyticsActivityToHubspot,
+    pushAnalyticsNotesToZoho
+};
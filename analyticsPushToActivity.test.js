@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { pushAnalyticsActivityToHubspot } = require('./analyticsPushToActivity');
+
+const CHATS = [{ contactId: '1', chat_id: '14155552671@c.us', analytics: { total_messages: 3 } }];
+
+// No notes logged yet, note creates answered by createNotes
+function stubHubspot(t, createNotes) {
+    const creates = [];
+    t.mock.method(axios, 'post', async (url, body) => {
+        if (url.includes('webhook.site')) {
+            return { data: {} };
+        }
+        if (url.endsWith('/associations/contacts/notes/batch/read')) {
+            return { data: { results: [] } };
+        }
+        if (url.endsWith('/objects/notes/batch/create')) {
+            creates.push(body);
+            return createNotes(creates.length, body);
+        }
+        throw new Error(`unexpected request ${url}`);
+    });
+    return creates;
+}
+
+// retryWithBackoff waits between attempts
+function skipBackoff(t) {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const tick = setInterval(() => t.mock.timers.tick(5000), 0);
+    t.after(() => clearInterval(tick));
+}
+
+test('a note create that may have reached HubSpot is not sent twice', async t => {
+    const creates = stubHubspot(t, () => {
+        throw Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+    });
+
+    const result = await pushAnalyticsActivityToHubspot('token', 'w1', CHATS, { period: '2024-06-01' });
+
+    assert.equal(creates.length, 1);
+    assert.equal(result.totalCreated, 0);
+});
+
+test('a rate limited note create is retried', async t => {
+    skipBackoff(t);
+    const creates = stubHubspot(t, (attempt, body) => {
+        if (attempt === 1) throw Object.assign(new Error('Too many requests'), { response: { status: 429 } });
+        return { data: { results: body.inputs.map((input, idx) => ({ id: String(idx) })) } };
+    });
+
+    const result = await pushAnalyticsActivityToHubspot('token', 'w1', CHATS, { period: '2024-06-01' });
+
+    assert.equal(creates.length, 2);
+    assert.equal(result.totalCreated, 1);
+});
@@ -0,0 +1,10 @@
+const { BigQuery } = require('@google-cloud/bigquery');
+
+// Shared BigQuery client for the analytics queries and the sync state table
+const bigquery = new BigQuery({
+    credentials: require('./gcp-key.json')
+});
+
+module.exports = {
+    bigquery
+};
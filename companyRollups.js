@@ -0,0 +1,110 @@
+const { buildMappedProperties, parseDate, TRANSFORMS } = require('./fieldMapping');
+const { ensureHubspotPropertySchema } = require('./hubspotPropertySchema');
+const {
+    getHubspotAssociationsBatch,
+    readHubspotObjectsBatch,
+    updateHubspotObjectsBatch
+} = require('./hubspotObjects');
+
+// Contact metrics the company rollups are built from, read through the workspace's field mapping
+const ROLLUP_METRICS = ['total_messages', 'messages_received', 'average_response_time', 'last_interaction_at'];
+
+/**
+ * Contact property each rollup metric is written to, the first enabled mapping entry of the metric
+ * @param {Array} fieldMapping - Entries from getFieldMapping
+ * @returns {Object} Map of metric to HubSpot contact property, unmapped metrics are left out
+ */
+function getRollupFields(fieldMapping) {
+    return ROLLUP_METRICS.reduce((acc, metric) => {
+        const entry = fieldMapping.find(mappingEntry => mappingEntry.metric === metric);
+        if (entry) {
+            acc[metric] = entry.field;
+        }
+        return acc;
+    }, {});
+}
+
+/**
+ * Aggregate the WhatsApp properties of the contacts associated with one company
+ * @param {Array<Object>} contacts - Contact properties as written by the contact sync
+ * @param {Object} fields - Metric → property map from getRollupFields
+ * @returns {Object} HubSpot properties from the company rollup schema
+ */
+function buildCompanyRollupProperties(contacts, fields) {
+    const numbers = metric => contacts
+        .map(properties => parseFloat(properties[fields[metric]]))
+        .filter(value => !Number.isNaN(value));
+    const responseTimes = numbers('average_response_time');
+    const lastInteraction = contacts.reduce((latest, properties) => {
+        const date = parseDate(properties[fields.last_interaction_at]);
+        return date && (!latest || date > latest) ? date : latest;
+    }, null);
+
+    return {
+        eazybe_rollup_total_messages: numbers('total_messages').reduce((total, value) => total + value, 0),
+        eazybe_rollup_last_interaction_date: TRANSFORMS.date(lastInteraction),
+        eazybe_rollup_worst_average_response_time: responseTimes.length > 0 ? Math.max(...responseTimes) : null,
+        // Contacts that wrote at least one message
+        eazybe_rollup_engaged_contacts: numbers('messages_received').filter(value => value > 0).length
+    };
+}
+
+/**
+ * Roll the WhatsApp analytics of contacts up to their associated HubSpot companies.
+ * Takes every chat of the workspace in the run at once, a company's contacts outside the run
+ * are read back from HubSpot so incremental runs still write totals over all of them.
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array} chats - Chats with contactId, one per contact
+ * @param {Array} fieldMapping - Entries from getFieldMapping
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { totalProcessed, totalUpdated, updatedIds, companies } - companies is [{ id, properties }]
+ */
+async function rollUpHubspotCompanies(accessToken, chats, fieldMapping, options = {}) {
+    try {
+        const fields = getRollupFields(fieldMapping);
+
+        // Values of this run win over what HubSpot still has for the same contact
+        const runProperties = chats.reduce((acc, chat) => {
+            acc[String(chat.contactId)] = buildMappedProperties(chat, fieldMapping);
+            return acc;
+        }, {});
+
+        const contactCompanies = await getHubspotAssociationsBatch(accessToken, 'contacts', 'companies', Object.keys(runProperties));
+        const companyIds = [...new Set(Object.values(contactCompanies).flat())];
+        if (companyIds.length === 0) {
+            return { totalProcessed: 0, totalUpdated: 0, updatedIds: [], companies: [] };
+        }
+
+        const companyContacts = await getHubspotAssociationsBatch(accessToken, 'companies', 'contacts', companyIds);
+        const otherContactIds = [...new Set(Object.values(companyContacts).flat())]
+            .filter(contactId => !runProperties[contactId]);
+        const storedProperties = await readHubspotObjectsBatch(accessToken, 'contacts', otherContactIds, Object.values(fields));
+
+        const companies = companyIds
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(companyId => ({
+                id: companyId,
+                properties: buildCompanyRollupProperties(
+                    (companyContacts[companyId] || []).map(contactId => runProperties[contactId] || storedProperties[contactId] || {}),
+                    fields
+                )
+            }));
+
+        if (options.dryRun) {
+            return { totalProcessed: companies.length, totalUpdated: 0, updatedIds: [], companies };
+        }
+
+        await ensureHubspotPropertySchema(accessToken, 'companies');
+        const result = await updateHubspotObjectsBatch(accessToken, 'companies', companies);
+        return { ...result, companies };
+    } catch (error) {
+        console.error('Error rolling up contacts to HubSpot companies:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    getRollupFields,
+    buildCompanyRollupProperties,
+    rollUpHubspotCompanies
+};
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { getFieldMapping } = require('./fieldMapping');
+const { getRollupFields, buildCompanyRollupProperties, rollUpHubspotCompanies } = require('./companyRollups');
+
+const FIELDS = {
+    total_messages: 'eazybe_total_messages',
+    messages_received: 'eazybe_messages_received',
+    average_response_time: 'eazybe_average_response_time',
+    last_interaction_at: 'eazybe_last_interaction_date'
+};
+
+test('rollups read the contact properties of the default HubSpot mapping', () => {
+    assert.deepEqual(getRollupFields(getFieldMapping('hubspot')), FIELDS);
+});
+
+test('rollup fields follow a renamed mapping and leave out unmapped metrics', () => {
+    const fieldMapping = [{ metric: 'total_messages', field: 'whatsapp_total', transform: 'number' }];
+    assert.deepEqual(getRollupFields(fieldMapping), { total_messages: 'whatsapp_total' });
+});
+
+test('company properties sum messages, keep the worst response time and count engaged contacts', () => {
+    const properties = buildCompanyRollupProperties([
+        { eazybe_total_messages: '10', eazybe_messages_received: '4', eazybe_average_response_time: '2.5', eazybe_last_interaction_date: '2024-05-01' },
+        { eazybe_total_messages: 3, eazybe_messages_received: 0, eazybe_average_response_time: '7', eazybe_last_interaction_date: '2024-06-15' },
+        // A contact the sync never wrote to
+        {}
+    ], FIELDS);
+
+    assert.deepEqual(properties, {
+        eazybe_rollup_total_messages: 13,
+        eazybe_rollup_last_interaction_date: '2024-06-15',
+        eazybe_rollup_worst_average_response_time: 7,
+        eazybe_rollup_engaged_contacts: 1
+    });
+});
+
+test('a company without synced contacts rolls up to empty values', () => {
+    assert.deepEqual(buildCompanyRollupProperties([{}], FIELDS), {
+        eazybe_rollup_total_messages: 0,
+        eazybe_rollup_last_interaction_date: null,
+        eazybe_rollup_worst_average_response_time: null,
+        eazybe_rollup_engaged_contacts: 0
+    });
+});
+
+test('contacts outside the run are read back from HubSpot', async t => {
+    const requests = [];
+    t.mock.method(axios, 'post', async (url, body) => {
+        requests.push(url);
+        if (url.endsWith('/associations/contacts/companies/batch/read')) {
+            return { data: { results: [{ from: { id: '1' }, to: [{ toObjectId: 100 }] }] } };
+        }
+        if (url.endsWith('/associations/companies/contacts/batch/read')) {
+            return { data: { results: [{ from: { id: '100' }, to: [{ toObjectId: 1 }, { toObjectId: 2 }] }] } };
+        }
+        if (url.endsWith('/objects/contacts/batch/read')) {
+            assert.deepEqual(body.inputs, [{ id: '2' }]);
+            return { data: { results: [{ id: '2', properties: { eazybe_total_messages: '5', eazybe_messages_received: '5' } }] } };
+        }
+        throw new Error(`unexpected request ${url}`);
+    });
+
+    const chats = [{
+        contactId: '1',
+        chat_id: '14155552671@c.us',
+        analytics: { total_messages: 8, messages_received: 0 },
+        average_response_time: '1',
+        updated_at: '2024-06-01T00:00:00Z'
+    }];
+    const result = await rollUpHubspotCompanies('token', chats, getFieldMapping('hubspot'), { dryRun: true });
+
+    assert.equal(requests.length, 3);
+    assert.deepEqual(result.companies, [{
+        id: '100',
+        properties: {
+            eazybe_rollup_total_messages: 13,
+            eazybe_rollup_last_interaction_date: '2024-06-01',
+            eazybe_rollup_worst_average_response_time: 1,
+            eazybe_rollup_engaged_contacts: 1
+        }
+    }]);
+    assert.equal(result.totalUpdated, 0);
+});
@@ -0,0 +1,217 @@
+const { getSyncStateStore } = require('./syncStateStore');
+const { parseAnalytics } = require('./fieldMapping');
+const { getPhoneRegion, formatPhoneNumberE164 } = require('./phoneNumberParsing');
+
+const CREATION_COUNT_NAMESPACE = 'contact_creations';
+
+// Chats left over by the daily cap, keyed by crm:workspaceId, { [chat_id]: day the cap was hit }
+const PENDING_CREATION_NAMESPACE = 'pending_contact_creations';
+
+/**
+ * Workspaces opt in through the create_missing_contacts setting:
+ * { "create_missing_contacts": { "enabled": true, "daily_cap": 50, "min_messages": 3, "lead_source": "WhatsApp" } }
+ * - daily_cap: contacts created per workspace and CRM per UTC day
+ * - min_messages: chats with fewer messages are left alone, most of them are spam
+ */
+const DEFAULT_CONTACT_CREATION_SETTINGS = {
+    enabled: false,
+    daily_cap: 50,
+    min_messages: 3,
+    lead_source: 'WhatsApp'
+};
+
+function getContactCreationSettings(settings = {}) {
+    return {
+        ...DEFAULT_CONTACT_CREATION_SETTINGS,
+        ...(settings.create_missing_contacts || {})
+    };
+}
+
+function utcDay(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+function creationCountKey(crm, workspaceId, date = new Date()) {
+    return `${crm}:${workspaceId}:${utcDay(date)}`;
+}
+
+function pendingCreationKey(crm, workspaceId) {
+    return `${crm}:${workspaceId}`;
+}
+
+/**
+ * Pick the unmatched chats a contact may be created for
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats of the workspace, unmatched ones have no contactId
+ * @param {Object} creationSettings - From getContactCreationSettings
+ * @param {Object} phoneRegion - From getPhoneRegion, for numbers without a country code
+ * @returns {Object} { contacts: [{ chat, phone }], belowThreshold, invalidPhone, overCap, overCapChats }
+ */
+async function selectContactsToCreate(crm, workspaceId, chats, creationSettings, phoneRegion = {}) {
+    const seenPhones = new Set();
+    let belowThreshold = 0;
+    let invalidPhone = 0;
+
+    const eligible = chats.reduce((acc, chat) => {
+        if (chat.contactId) return acc;
+
+        const totalMessages = parseInt(parseAnalytics(chat).total_messages) || 0;
+        if (totalMessages < creationSettings.min_messages) {
+            belowThreshold++;
+            return acc;
+        }
+
+        const phone = formatPhoneNumberE164(chat.chat_id.split('@')[0], phoneRegion);
+        if (!phone) {
+            invalidPhone++;
+            return acc;
+        }
+
+        if (!seenPhones.has(phone)) {
+            seenPhones.add(phone);
+            acc.push({ chat, phone });
+        }
+        return acc;
+    }, []);
+
+    const createdToday = (await getSyncStateStore().get(CREATION_COUNT_NAMESPACE, creationCountKey(crm, workspaceId))) || 0;
+    const remaining = Math.max(0, creationSettings.daily_cap - createdToday);
+
+    return {
+        contacts: eligible.slice(0, remaining),
+        belowThreshold,
+        invalidPhone,
+        overCap: Math.max(0, eligible.length - remaining),
+        overCapChats: eligible.slice(remaining).map(({ chat }) => chat)
+    };
+}
+
+/**
+ * Chats the daily cap left over on an earlier day, read again by the next run whatever the watermark says
+ * @param {string} crm - CRM name
+ * @param {Array<string>} workspaceIds - Workspace ids
+ * @returns {Object} Map of workspace id to chat ids, workspaces without pending chats are left out
+ */
+async function getPendingContactCreations(crm, workspaceIds) {
+    const keys = workspaceIds.map(workspaceId => pendingCreationKey(crm, workspaceId));
+    const stored = await getSyncStateStore().getMany(PENDING_CREATION_NAMESPACE, keys);
+    const today = utcDay();
+
+    return workspaceIds.reduce((acc, workspaceId) => {
+        // Today's cap is used up, the chats wait for tomorrow
+        const chatIds = Object.entries(stored[pendingCreationKey(crm, workspaceId)] || {})
+            .filter(([, day]) => day < today)
+            .map(([chatId]) => chatId);
+        if (chatIds.length > 0) {
+            acc[workspaceId] = chatIds;
+        }
+        return acc;
+    }, {});
+}
+
+/**
+ * Record the chats the cap left over and drop the pending ones that have a contact now
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats of the workspace in this run
+ * @param {Array} overCapChats - Chats the cap left over in this run
+ */
+async function recordPendingContactCreations(crm, workspaceId, chats, overCapChats) {
+    const store = getSyncStateStore();
+    const key = pendingCreationKey(crm, workspaceId);
+    const stored = (await store.get(PENDING_CREATION_NAMESPACE, key)) || {};
+    const pending = { ...stored };
+
+    chats.filter(chat => chat.contactId).forEach(chat => {
+        delete pending[chat.chat_id];
+    });
+    overCapChats.forEach(chat => {
+        pending[chat.chat_id] = pending[chat.chat_id] || utcDay();
+    });
+
+    if (JSON.stringify(pending) !== JSON.stringify(stored)) {
+        await store.set(PENDING_CREATION_NAMESPACE, key, pending);
+    }
+}
+
+/**
+ * Count created contacts against the workspace's daily cap
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {number} count - Contacts created
+ */
+async function recordContactCreations(crm, workspaceId, count) {
+    if (count === 0) return;
+
+    const store = getSyncStateStore();
+    const key = creationCountKey(crm, workspaceId);
+    const createdToday = (await store.get(CREATION_COUNT_NAMESPACE, key)) || 0;
+    await store.set(CREATION_COUNT_NAMESPACE, key, createdToday + count);
+}
+
+/**
+ * Create CRM contacts for the workspace's unmatched chats and attach their ids to the chats,
+ * so the analytics are written to them like to any matched contact.
+ * A dry run only reports which chats would get a contact.
+ * @param {Object} adapter - CRM adapter with createContactsBatch
+ * @param {Object} conversation - Conversation group from processDataToBeSynced
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { created, candidates, belowThreshold, invalidPhone, overCap }
+ */
+async function createMissingContacts(adapter, conversation, options = {}) {
+    const creationSettings = getContactCreationSettings(conversation.settings);
+    const phoneRegion = getPhoneRegion(conversation.settings);
+    const selection = await selectContactsToCreate(adapter.name, conversation.uid, conversation.chats, creationSettings, phoneRegion);
+
+    const result = {
+        created: 0,
+        candidates: selection.contacts.map(({ chat, phone }) => ({ chat_id: chat.chat_id, phone })),
+        belowThreshold: selection.belowThreshold,
+        invalidPhone: selection.invalidPhone,
+        overCap: selection.overCap
+    };
+
+    if (selection.overCap > 0) {
+        console.log(`Daily contact creation cap reached for UID ${conversation.uid}, leaving ${selection.overCap} chats for tomorrow's run`);
+    }
+    if (options.dryRun) {
+        return result;
+    }
+    if (selection.contacts.length === 0) {
+        await recordPendingContactCreations(adapter.name, conversation.uid, conversation.chats, selection.overCapChats);
+        return result;
+    }
+
+    console.log(`Creating ${selection.contacts.length} ${adapter.label} contacts for UID: ${conversation.uid}`);
+
+    const { createdContactIds } = await adapter.withAccessToken(conversation, credentials =>
+        adapter.createContactsBatch(credentials, selection.contacts, creationSettings)
+    );
+
+    // Every unmatched chat with the same number gets the new contact
+    conversation.chats.forEach(chat => {
+        if (chat.contactId) return;
+        const contactId = createdContactIds[formatPhoneNumberE164(chat.chat_id.split('@')[0], phoneRegion)];
+        if (contactId) {
+            chat.contactId = contactId;
+            chat.contactCreated = true;
+            delete chat.unmatchedReason;
+        }
+    });
+    result.created = Object.keys(createdContactIds).length;
+
+    await recordContactCreations(adapter.name, conversation.uid, result.created);
+    // Chats whose create failed are left to the watermark like before, only the cap keeps chats pending
+    await recordPendingContactCreations(adapter.name, conversation.uid, conversation.chats, selection.overCapChats);
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_CONTACT_CREATION_SETTINGS,
+    getContactCreationSettings,
+    selectContactsToCreate,
+    getPendingContactCreations,
+    createMissingContacts
+};
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileSyncStateStore, setSyncStateStore } = require('./syncStateStore');
+const {
+    getContactCreationSettings,
+    selectContactsToCreate,
+    getPendingContactCreations,
+    createMissingContacts
+} = require('./contactCreation');
+
+const stateDirs = [];
+test.after(() => stateDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A fresh state store per test, seeded with { [namespace]: { [key]: value } }
+async function useStateStore(initial = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+    stateDirs.push(dir);
+    const store = createFileSyncStateStore(path.join(dir, 'state.json'));
+    for (const [namespace, entries] of Object.entries(initial)) {
+        await store.setMany(namespace, entries);
+    }
+    setSyncStateStore(store);
+    return store;
+}
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const chat = (phone, totalMessages, extra = {}) => ({
+    chat_id: `${phone}@c.us`,
+    analytics: { total_messages: totalMessages },
+    ...extra
+});
+
+test('creation settings fill in the defaults', () => {
+    assert.deepEqual(getContactCreationSettings({ create_missing_contacts: { enabled: true, daily_cap: 10 } }), {
+        enabled: true,
+        daily_cap: 10,
+        min_messages: 3,
+        lead_source: 'WhatsApp'
+    });
+});
+
+test('matched, quiet, unparseable and repeated chats are not selected', async () => {
+    await useStateStore();
+    const chats = [
+        chat('14155552671', 5, { contactId: '1' }),
+        chat('14155552672', 2),
+        chat('123', 5),
+        chat('14155552673', 5),
+        chat('+14155552673', 8)
+    ];
+
+    const selection = await selectContactsToCreate('hubspot', 'w1', chats, getContactCreationSettings({}));
+
+    assert.deepEqual(selection.contacts.map(contact => contact.phone), ['+14155552673']);
+    assert.equal(selection.belowThreshold, 1);
+    assert.equal(selection.invalidPhone, 1);
+    assert.equal(selection.overCap, 0);
+});
+
+test('the daily cap counts the contacts already created today', async () => {
+    await useStateStore({ contact_creations: { [`hubspot:w1:${today()}`]: 3 } });
+    const chats = ['14155552671', '14155552672', '14155552673', '14155552674'].map(phone => chat(phone, 5));
+
+    const selection = await selectContactsToCreate('hubspot', 'w1', chats, getContactCreationSettings({ create_missing_contacts: { daily_cap: 5 } }));
+
+    assert.equal(selection.contacts.length, 2);
+    assert.equal(selection.overCap, 2);
+});
+
+test('a cap already exceeded selects nothing', async () => {
+    await useStateStore({ contact_creations: { [`hubspot:w1:${today()}`]: 7 } });
+
+    const selection = await selectContactsToCreate('hubspot', 'w1', [chat('14155552671', 5)], getContactCreationSettings({ create_missing_contacts: { daily_cap: 5 } }));
+
+    assert.deepEqual(selection.contacts, []);
+    assert.equal(selection.overCap, 1);
+});
+
+test('created contacts are attached to every chat of the number and counted against the cap', async () => {
+    const store = await useStateStore({ contact_creations: { [`hubspot:w1:${today()}`]: 1 } });
+    const conversation = {
+        uid: 'w1',
+        settings: {},
+        chats: [
+            chat('14155552671', 5, { unmatchedReason: 'no_match' }),
+            chat('+14155552671', 1, { unmatchedReason: 'no_match' })
+        ]
+    };
+    const adapter = {
+        name: 'hubspot',
+        label: 'HubSpot',
+        withAccessToken: (conv, operation) => operation({ accessToken: 'token' }),
+        createContactsBatch: async (credentials, contacts) => ({
+            createdContactIds: { [contacts[0].phone]: '42' }
+        })
+    };
+
+    const result = await createMissingContacts(adapter, conversation);
+
+    assert.equal(result.created, 1);
+    assert.deepEqual(conversation.chats.map(c => c.contactId), ['42', '42']);
+    assert.equal(conversation.chats[0].unmatchedReason, undefined);
+    assert.equal(await store.get('contact_creations', `hubspot:w1:${today()}`), 2);
+});
+
+test('a dry run creates nothing', async () => {
+    await useStateStore();
+    const conversation = { uid: 'w1', settings: {}, chats: [chat('14155552671', 5)] };
+    const adapter = {
+        name: 'hubspot',
+        createContactsBatch: async () => assert.fail('dry runs must not create contacts')
+    };
+
+    const result = await createMissingContacts(adapter, conversation, { dryRun: true });
+
+    assert.deepEqual(result.candidates, [{ chat_id: '14155552671@c.us', phone: '+14155552671' }]);
+    assert.equal(result.created, 0);
+    assert.equal(conversation.chats[0].contactId, undefined);
+});
+
+test('a chat over the cap is created by the next day\'s run', async t => {
+    const store = await useStateStore();
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-06-01T12:00:00Z') });
+    const created = [];
+    const adapter = {
+        name: 'hubspot',
+        label: 'HubSpot',
+        withAccessToken: (conv, operation) => operation({ accessToken: 'token' }),
+        createContactsBatch: async (credentials, contacts) => {
+            created.push(contacts[0].phone);
+            return { createdContactIds: { [contacts[0].phone]: String(created.length) } };
+        }
+    };
+    const settings = { create_missing_contacts: { enabled: true, daily_cap: 1 } };
+
+    await createMissingContacts(adapter, { uid: 'w1', settings, chats: [chat('14155552671', 5), chat('14155552672', 5)] });
+
+    assert.deepEqual(created, ['+14155552671']);
+    // The watermark moves past the chat, it waits for tomorrow's cap instead
+    assert.deepEqual(await getPendingContactCreations('hubspot', ['w1']), {});
+
+    t.mock.timers.tick(24 * 60 * 60 * 1000);
+    assert.deepEqual(await getPendingContactCreations('hubspot', ['w1']), { w1: ['14155552672@c.us'] });
+
+    // The next run reads the pending chat back although it has not changed
+    const nextRun = { uid: 'w1', settings, chats: [chat('14155552672', 5)] };
+    const result = await createMissingContacts(adapter, nextRun);
+
+    assert.equal(result.created, 1);
+    assert.deepEqual(created, ['+14155552671', '+14155552672']);
+    assert.equal(nextRun.chats[0].contactId, '2');
+    assert.deepEqual(await store.get('pending_contact_creations', 'hubspot:w1'), {});
+});
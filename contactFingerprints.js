@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { getSyncStateStore } = require('./syncStateStore');
+
+const FINGERPRINT_NAMESPACE = 'fingerprints';
+
+function fingerprintKey(crm, workspaceId, contactId) {
+    return `${crm}:${workspaceId}:${contactId}`;
+}
+
+/**
+ * Hash the properties that would be pushed for a contact
+ * @param {Object} properties - Properties sent to the CRM
+ * @returns {string} sha256 hex digest
+ */
+function computeFingerprint(properties) {
+    const stable = Object.keys(properties)
+        .sort()
+        .map(name => [name, properties[name] === undefined ? null : properties[name]]);
+
+    return crypto.createHash('sha256').update(JSON.stringify(stable)).digest('hex');
+}
+
+/**
+ * Split chats into those whose properties changed since the last push and those that didn't
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats with contactId
+ * @param {Function} buildProperties - (chat) => properties that would be pushed
+ * @param {Object} options - { force } - force treats every contact as changed
+ * @returns {Object} { changedChats, skippedCount, fingerprints } - fingerprints maps contactId to hash
+ */
+async function filterUnchangedChats(crm, workspaceId, chats, buildProperties, options = {}) {
+    // Keep the first chat per contact, the batch writers do the same
+    const uniqueChats = chats.reduce((acc, chat) => {
+        if (!acc.find(c => c.contactId === chat.contactId)) {
+            acc.push(chat);
+        }
+        return acc;
+    }, []);
+
+    const fingerprints = uniqueChats.reduce((acc, chat) => {
+        acc[chat.contactId] = computeFingerprint(buildProperties(chat));
+        return acc;
+    }, {});
+
+    if (options.force) {
+        return { changedChats: uniqueChats, skippedCount: 0, fingerprints };
+    }
+
+    let storedFingerprints = {};
+    try {
+        const keys = uniqueChats.map(chat => fingerprintKey(crm, workspaceId, chat.contactId));
+        storedFingerprints = await getSyncStateStore().getMany(FINGERPRINT_NAMESPACE, keys);
+    } catch (error) {
+        // Without the stored hashes everything counts as changed, which is what we did before
+        console.error(`Error reading fingerprints for UID ${workspaceId}:`, error.message);
+    }
+
+    const changedChats = uniqueChats.filter(chat =>
+        storedFingerprints[fingerprintKey(crm, workspaceId, chat.contactId)] !== fingerprints[chat.contactId]
+    );
+
+    return {
+        changedChats,
+        skippedCount: uniqueChats.length - changedChats.length,
+        fingerprints
+    };
+}
+
+/**
+ * Store the fingerprints of the contacts that were pushed successfully
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {string} workspaceId - Workspace id
+ * @param {Object} fingerprints - Map of contactId to hash, from filterUnchangedChats
+ * @param {Array<string>} contactIds - Contacts the CRM accepted
+ */
+async function saveFingerprints(crm, workspaceId, fingerprints, contactIds) {
+    const entries = contactIds.reduce((acc, contactId) => {
+        if (fingerprints[contactId]) {
+            acc[fingerprintKey(crm, workspaceId, contactId)] = fingerprints[contactId];
+        }
+        return acc;
+    }, {});
+
+    await getSyncStateStore().setMany(FINGERPRINT_NAMESPACE, entries);
+}
+
+module.exports = {
+    computeFingerprint,
+    filterUnchangedChats,
+    saveFingerprints
+};
@@ -0,0 +1,141 @@
+const { getSyncStateStore } = require('./syncStateStore');
+
+const AMBIGUOUS_MATCH_NAMESPACE = 'ambiguous_matches';
+
+/**
+ * Which contact gets the analytics when a phone number matches several, set per workspace:
+ * { "duplicate_contact_policy": "most_recently_modified" }
+ */
+const RESOLUTION_POLICIES = {
+    // Contacts matched on their WhatsApp number first, then the most recently modified
+    WHATSAPP_FIRST: 'whatsapp_first',
+    MOST_RECENTLY_MODIFIED: 'most_recently_modified',
+    OLDEST: 'oldest',
+    // Every matched contact is updated
+    ALL: 'all'
+};
+
+const DEFAULT_RESOLUTION_POLICY = RESOLUTION_POLICIES.WHATSAPP_FIRST;
+
+function getResolutionPolicy(settings = {}) {
+    const policy = settings.duplicate_contact_policy;
+    if (!policy) return DEFAULT_RESOLUTION_POLICY;
+
+    if (!Object.values(RESOLUTION_POLICIES).includes(policy)) {
+        console.error(`Unknown duplicate_contact_policy "${policy}", using ${DEFAULT_RESOLUTION_POLICY}`);
+        return DEFAULT_RESOLUTION_POLICY;
+    }
+    return policy;
+}
+
+function toTime(value) {
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+// Missing timestamps sort last, the contact id breaks ties so every run picks the same contact
+function compareByTime(a, b, field, direction) {
+    const timeA = toTime(a[field]);
+    const timeB = toTime(b[field]);
+    if (timeA !== timeB) {
+        if (timeA === null) return 1;
+        if (timeB === null) return -1;
+        return direction * (timeA - timeB);
+    }
+    return String(a.contactId).localeCompare(String(b.contactId), undefined, { numeric: true });
+}
+
+const COMPARATORS = {
+    [RESOLUTION_POLICIES.WHATSAPP_FIRST]: (a, b) =>
+        (Boolean(b.whatsappMatch) - Boolean(a.whatsappMatch)) || compareByTime(a, b, 'modifiedAt', -1),
+    [RESOLUTION_POLICIES.MOST_RECENTLY_MODIFIED]: (a, b) => compareByTime(a, b, 'modifiedAt', -1),
+    [RESOLUTION_POLICIES.OLDEST]: (a, b) => compareByTime(a, b, 'createdAt', 1),
+    [RESOLUTION_POLICIES.ALL]: (a, b) =>
+        (Boolean(b.whatsappMatch) - Boolean(a.whatsappMatch)) || compareByTime(a, b, 'modifiedAt', -1)
+};
+
+/**
+ * Pick the contacts a chat is written to
+ * @param {Array} matches - [{ contactId, whatsappMatch, createdAt, modifiedAt }] as returned by the adapter's findContactsByPhone
+ * @param {string} policy - One of RESOLUTION_POLICIES
+ * @returns {Object} { contactIds, ambiguous } - contactIds has a single id unless the policy is all
+ */
+function resolveContactMatches(matches = [], policy = DEFAULT_RESOLUTION_POLICY) {
+    const uniqueMatches = matches.filter((match, index) =>
+        match.contactId && matches.findIndex(other => other.contactId === match.contactId) === index
+    );
+    const sorted = [...uniqueMatches].sort(COMPARATORS[policy] || COMPARATORS[DEFAULT_RESOLUTION_POLICY]);
+    const contactIds = sorted.map(match => match.contactId);
+
+    return {
+        contactIds: policy === RESOLUTION_POLICIES.ALL ? contactIds : contactIds.slice(0, 1),
+        ambiguous: contactIds.length > 1
+    };
+}
+
+/**
+ * One chat per contact to update, chats resolved to several contacts with the all policy are copied
+ * @param {Array} chats - Chats with contactId and optionally additionalContactIds
+ * @returns {Array} Chats with a single contactId each
+ */
+function expandResolvedChats(chats) {
+    return chats.flatMap(chat => [
+        chat,
+        ...(chat.additionalContactIds || []).map(contactId => ({ ...chat, contactId, additionalContactIds: undefined }))
+    ]);
+}
+
+/**
+ * Keep the phone numbers that matched several contacts, so the duplicates can be shown to the customer.
+ * Entries are keyed by phone number, a later run overwrites the earlier entry of the same number
+ * and drops it once the number no longer matches several contacts.
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} ambiguousMatches - [{ chat_id, phone, policy, contact_ids, resolved_contact_ids }]
+ * @param {Array<string>} resolvedPhones - Phone numbers searched in this run that matched one contact or none
+ */
+async function recordAmbiguousMatches(crm, workspaceId, ambiguousMatches, resolvedPhones = []) {
+    if (ambiguousMatches.length === 0 && resolvedPhones.length === 0) return;
+
+    try {
+        const store = getSyncStateStore();
+        const key = `${crm}:${workspaceId}`;
+        const current = (await store.get(AMBIGUOUS_MATCH_NAMESPACE, key)) || {};
+        const detectedAt = new Date().toISOString();
+
+        const resolved = resolvedPhones.filter(phone => current[phone]);
+        resolved.forEach(phone => {
+            delete current[phone];
+        });
+        if (ambiguousMatches.length === 0 && resolved.length === 0) return;
+
+        ambiguousMatches.forEach(match => {
+            current[match.phone] = { ...match, detected_at: detectedAt };
+        });
+        await store.set(AMBIGUOUS_MATCH_NAMESPACE, key, current);
+    } catch (error) {
+        // The sync itself isn't affected, only the duplicate report misses this run
+        console.error(`Error recording ambiguous ${crm} matches for workspace ${workspaceId}:`, error.message);
+    }
+}
+
+/**
+ * Phone numbers of a workspace that matched several contacts
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @returns {Array} [{ chat_id, phone, policy, contact_ids, resolved_contact_ids, detected_at }]
+ */
+async function getAmbiguousMatches(crm, workspaceId) {
+    const entries = (await getSyncStateStore().get(AMBIGUOUS_MATCH_NAMESPACE, `${crm}:${workspaceId}`)) || {};
+    return Object.values(entries);
+}
+
+module.exports = {
+    RESOLUTION_POLICIES,
+    DEFAULT_RESOLUTION_POLICY,
+    getResolutionPolicy,
+    resolveContactMatches,
+    expandResolvedChats,
+    recordAmbiguousMatches,
+    getAmbiguousMatches
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileSyncStateStore, setSyncStateStore } = require('./syncStateStore');
+const {
+    RESOLUTION_POLICIES,
+    getResolutionPolicy,
+    resolveContactMatches,
+    expandResolvedChats,
+    recordAmbiguousMatches,
+    getAmbiguousMatches
+} = require('./contactResolution');
+
+const stateDirs = [];
+test.after(() => stateDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function useStateStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+    stateDirs.push(dir);
+    setSyncStateStore(createFileSyncStateStore(path.join(dir, 'state.json')));
+}
+
+const MATCHES = [
+    { contactId: '3', whatsappMatch: false, createdAt: '2024-01-01T00:00:00Z', modifiedAt: '2024-06-01T00:00:00Z' },
+    { contactId: '1', whatsappMatch: true, createdAt: '2024-03-01T00:00:00Z', modifiedAt: '2024-02-01T00:00:00Z' },
+    { contactId: '2', whatsappMatch: false, createdAt: '2023-01-01T00:00:00Z', modifiedAt: null }
+];
+
+test('unknown policies fall back to whatsapp_first', () => {
+    assert.equal(getResolutionPolicy({}), RESOLUTION_POLICIES.WHATSAPP_FIRST);
+    assert.equal(getResolutionPolicy({ duplicate_contact_policy: 'newest' }), RESOLUTION_POLICIES.WHATSAPP_FIRST);
+    assert.equal(getResolutionPolicy({ duplicate_contact_policy: 'oldest' }), RESOLUTION_POLICIES.OLDEST);
+});
+
+test('whatsapp_first prefers the WhatsApp number match', () => {
+    assert.deepEqual(resolveContactMatches(MATCHES, RESOLUTION_POLICIES.WHATSAPP_FIRST), { contactIds: ['1'], ambiguous: true });
+});
+
+test('most_recently_modified sorts missing timestamps last', () => {
+    assert.deepEqual(resolveContactMatches(MATCHES, RESOLUTION_POLICIES.MOST_RECENTLY_MODIFIED).contactIds, ['3']);
+});
+
+test('oldest picks the earliest created contact', () => {
+    assert.deepEqual(resolveContactMatches(MATCHES, RESOLUTION_POLICIES.OLDEST).contactIds, ['2']);
+});
+
+test('all keeps every contact, WhatsApp match first', () => {
+    assert.deepEqual(resolveContactMatches(MATCHES, RESOLUTION_POLICIES.ALL).contactIds, ['1', '3', '2']);
+});
+
+test('ties resolve to the lowest contact id and duplicates count once', () => {
+    const matches = [{ contactId: '10' }, { contactId: '9' }, { contactId: '9' }];
+    assert.deepEqual(resolveContactMatches(matches, RESOLUTION_POLICIES.MOST_RECENTLY_MODIFIED), { contactIds: ['9'], ambiguous: true });
+    assert.deepEqual(resolveContactMatches([{ contactId: '9' }, { contactId: '9' }]), { contactIds: ['9'], ambiguous: false });
+});
+
+test('chats resolved to several contacts are copied once per contact', () => {
+    const chats = expandResolvedChats([{ chat_id: 'a', contactId: '1', additionalContactIds: ['2'] }, { chat_id: 'b', contactId: '3' }]);
+    assert.deepEqual(chats.map(chat => [chat.chat_id, chat.contactId]), [['a', '1'], ['a', '2'], ['b', '3']]);
+});
+
+test('ambiguous numbers are dropped once they resolve to a single contact', async () => {
+    useStateStore();
+    const entry = phone => ({ chat_id: `${phone}@c.us`, phone, policy: 'whatsapp_first', contact_ids: ['1', '2'], resolved_contact_ids: ['1'] });
+
+    await recordAmbiguousMatches('hubspot', 'w1', [entry('111'), entry('222')]);
+    await recordAmbiguousMatches('hubspot', 'w1', [entry('333')], ['111', '444']);
+
+    const phones = (await getAmbiguousMatches('hubspot', 'w1')).map(match => match.phone).sort();
+    assert.deepEqual(phones, ['222', '333']);
+});
@@ -0,0 +1,121 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * Registry of the CRMs the sync pipeline can push to.
+ *
+ * Each CRM module exports an adapter with the shape below. The pipeline in helper.js, the
+ * routes in index.js and gcpService.js only talk to adapters, so adding a CRM means writing
+ * one adapter and registering it here.
+ * {
+ *   name: 'hubspot',                  // key used in the active-users API, routes and state store
+ *   label: 'HubSpot',                 // used in logs and messages
+ *   isAuthError(error),               // whether a failed call means the token was rejected
+ *   enabledByDefault: true,           // ENABLE_<NAME>_SYNC=true|false overrides it
+ *   getCredentials(user),             // active user → token fields stored on the conversation
+ *   withAccessToken(conversation, operation(credentials)),
+ *                                     // runs operation with { accessToken, apiDomain }, refreshing on expiry/401
+ *   findContactsByPhone(credentials, phoneNumbers, phoneRegion), // → { chatIdToContactIdMap, failedPhones }, phoneRegion from getPhoneRegion
+ *                                                     //   entries { contactId, contact, matches: [{ contactId, whatsappMatch, createdAt, modifiedAt }] }
+ *                                                     //   failedPhones: phones whose search failed, so they aren't reported or created as unmatched
+ *   buildContactProperties(chat, fieldMapping),       // → properties that would be written, used for fingerprints
+ *   updateContactsBatch(credentials, chats, fieldMapping),
+ *                                     // → { totalProcessed, totalUpdated, updatedContactIds }
+ *   previewContactsBatch(credentials, chats, fieldMapping),  // → [{ contactId, chat_id, payload, current, changes }]
+ *   provisionFields(credentials, fieldMapping),       // create the CRM fields the mapping writes to
+ *   ensureFields(credentials, fieldMapping),          // called before every write, should be cheap when nothing changed
+ *   createContactsBatch(credentials, contacts, creationSettings),
+ *                                     // optional, contacts are [{ chat, phone }] → { createdContactIds: { [phone]: id } }
+ *   activitySyncEnabled: false,       // optional, log a note per contact through pushActivities
+ *   pushActivities(credentials, workspaceId, chats),  // optional
+ *   companyRollupsEnabled: false,     // optional, aggregate contacts onto their companies through rollUpCompanies
+ *   rollUpCompanies(credentials, chats, fieldMapping, options)
+ *                                     // optional, every chat of the workspace with options { dryRun } → { totalUpdated, companies }
+ *   findOpenDeals(credentials, contactIds),           // optional, → { [contactId]: [{ id, name, amount, createdAt, modifiedAt }] }
+ *   updateDealsBatch(credentials, deals),             // optional, deals are [{ id, summary }] from dealAnalytics.js → { totalUpdated }
+ *   getDealContacts(credentials, dealIds),            // optional with readContactFields, → { [dealId]: [contactId] }
+ *   readContactFields(credentials, contactIds, fieldNames)
+ *                                     // optional, → { [contactId]: { [fieldName]: value } }, without both hooks a deal
+ *                                     // is summarized from the contacts in the run
+ *   clearContactFields(credentials, fieldNames),     // optional, empties fields on every contact that has a value → { cleared },
+ *                                                     //   used once per workspace for the fields in retiredFields.js
+ * }
+ */
+
+const REQUIRED_ADAPTER_METHODS = [
+    'isAuthError',
+    'getCredentials',
+    'withAccessToken',
+    'findContactsByPhone',
+    'buildContactProperties',
+    'updateContactsBatch',
+    'previewContactsBatch',
+    'provisionFields',
+    'ensureFields'
+];
+
+const adapters = new Map();
+
+/**
+ * Register a CRM adapter
+ * @param {Object} adapter - Adapter following the contract above
+ */
+function registerCrmAdapter(adapter) {
+    if (!adapter || !adapter.name) {
+        throw new Error('CRM adapter must have a name');
+    }
+    const missing = REQUIRED_ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`CRM adapter ${adapter.name} is missing ${missing.join(', ')}`);
+    }
+    adapters.set(adapter.name, adapter);
+}
+
+/**
+ * Get the adapter of a CRM
+ * @param {string} name - CRM name, e.g. hubspot (case insensitive)
+ * @returns {Object} Adapter
+ */
+function getCrmAdapter(name) {
+    const adapter = adapters.get(String(name || '').toLowerCase());
+    if (!adapter) {
+        throw new Error(`Unknown CRM: ${name} (expected one of: ${getCrmNames().join(', ')})`);
+    }
+    return adapter;
+}
+
+function hasCrmAdapter(name) {
+    return adapters.has(String(name || '').toLowerCase());
+}
+
+function getCrmNames() {
+    return [...adapters.keys()];
+}
+
+/**
+ * Whether scheduled syncs push to a CRM, from ENABLE_<NAME>_SYNC or the adapter's default
+ * @param {string} name - CRM name
+ * @returns {boolean}
+ */
+function isCrmSyncEnabled(name) {
+    const adapter = getCrmAdapter(name);
+    const flag = process.env[`ENABLE_${adapter.name.toUpperCase()}_SYNC`];
+    if (flag === undefined || flag === '') {
+        return adapter.enabledByDefault !== false;
+    }
+    return flag !== 'false';
+}
+
+// Built-in CRMs
+registerCrmAdapter(require('./hubspot').hubspotAdapter);
+registerCrmAdapter(require('./zoho').zohoAdapter);
+registerCrmAdapter(require('./pipedrive').pipedriveAdapter);
+registerCrmAdapter(require('./salesforce').salesforceAdapter);
+
+module.exports = {
+    registerCrmAdapter,
+    getCrmAdapter,
+    hasCrmAdapter,
+    getCrmNames,
+    isCrmSyncEnabled
+};
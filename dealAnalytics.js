@@ -0,0 +1,241 @@
+const { METRICS, parseDate, TRANSFORMS } = require('./fieldMapping');
+const { attachMessageMetrics } = require('./messageMetrics');
+
+// Contact metrics a deal summary is built from, read through the workspace's field mapping for contacts outside the run
+const DEAL_SUMMARY_METRICS = [
+    'messages_sent_last_7_days',
+    'messages_received_last_7_days',
+    'last_client_message_at',
+    'follow_ups',
+    'last_interaction_at'
+];
+
+/**
+ * Which open deals of a contact get the WhatsApp summary when the contact has several
+ */
+const DEAL_SELECTION_RULES = {
+    // Every open deal of the contact
+    ALL: 'all',
+    MOST_RECENTLY_MODIFIED: 'most_recently_modified',
+    MOST_RECENTLY_CREATED: 'most_recently_created',
+    LARGEST_AMOUNT: 'largest_amount'
+};
+
+/**
+ * Workspaces opt in through the deal_sync setting:
+ * { "deal_sync": { "enabled": true, "multiple_open_deals": "most_recently_modified" } }
+ * - multiple_open_deals: one of DEAL_SELECTION_RULES
+ * A deal gets the summary of all of its contacts, not only those matched in the run.
+ */
+const DEFAULT_DEAL_SYNC_SETTINGS = {
+    enabled: false,
+    multiple_open_deals: DEAL_SELECTION_RULES.ALL
+};
+
+function getDealSyncSettings(settings = {}) {
+    const dealSettings = {
+        ...DEFAULT_DEAL_SYNC_SETTINGS,
+        ...(settings.deal_sync || {})
+    };
+    if (!Object.values(DEAL_SELECTION_RULES).includes(dealSettings.multiple_open_deals)) {
+        console.error(`Unknown deal_sync multiple_open_deals "${dealSettings.multiple_open_deals}", using ${DEFAULT_DEAL_SYNC_SETTINGS.multiple_open_deals}`);
+        dealSettings.multiple_open_deals = DEFAULT_DEAL_SYNC_SETTINGS.multiple_open_deals;
+    }
+    return dealSettings;
+}
+
+function toNumber(value) {
+    const number = value instanceof Date ? value.getTime() : parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+// Missing values sort last, the deal id breaks ties so every run picks the same deal
+function compareDescending(a, b, read) {
+    const valueA = toNumber(read(a));
+    const valueB = toNumber(read(b));
+    if (valueA !== valueB) {
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+        return valueB - valueA;
+    }
+    return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+}
+
+const DEAL_COMPARATORS = {
+    [DEAL_SELECTION_RULES.MOST_RECENTLY_MODIFIED]: (a, b) => compareDescending(a, b, deal => parseDate(deal.modifiedAt)),
+    [DEAL_SELECTION_RULES.MOST_RECENTLY_CREATED]: (a, b) => compareDescending(a, b, deal => parseDate(deal.createdAt)),
+    [DEAL_SELECTION_RULES.LARGEST_AMOUNT]: (a, b) => compareDescending(a, b, deal => deal.amount)
+};
+
+/**
+ * Pick the open deals of a contact the summary is written to
+ * @param {Array} deals - [{ id, amount, createdAt, modifiedAt }] as returned by the adapter's findOpenDeals
+ * @param {string} rule - One of DEAL_SELECTION_RULES
+ * @returns {Array} Selected deals
+ */
+function selectDeals(deals = [], rule = DEFAULT_DEAL_SYNC_SETTINGS.multiple_open_deals) {
+    if (rule === DEAL_SELECTION_RULES.ALL || deals.length <= 1) return deals;
+    return [...deals].sort(DEAL_COMPARATORS[rule]).slice(0, 1);
+}
+
+/**
+ * Contact field each summary metric is written to, the first enabled mapping entry of the metric
+ * @param {Array} fieldMapping - Entries from getFieldMapping
+ * @returns {Object} Map of metric to CRM contact field, unmapped metrics are left out
+ */
+function getDealSummaryFields(fieldMapping = []) {
+    return DEAL_SUMMARY_METRICS.reduce((acc, metric) => {
+        const entry = fieldMapping.find(mappingEntry => mappingEntry.metric === metric);
+        if (entry) {
+            acc[metric] = entry.field;
+        }
+        return acc;
+    }, {});
+}
+
+// Summary metrics of a chat in the run, metrics that weren't read are left out
+function readChatSummaryMetrics(chat) {
+    return DEAL_SUMMARY_METRICS.reduce((acc, metric) => {
+        const value = METRICS[metric](chat);
+        if (value !== undefined) {
+            acc[metric] = value;
+        }
+        return acc;
+    }, {});
+}
+
+// Summary metrics of a contact as stored in the CRM by the contact sync
+function readStoredSummaryMetrics(fieldValues = {}, fields) {
+    return Object.entries(fields).reduce((acc, [metric, field]) => {
+        if (fieldValues[field] !== undefined) {
+            acc[metric] = fieldValues[field];
+        }
+        return acc;
+    }, {});
+}
+
+/**
+ * WhatsApp engagement summary of one deal's contacts
+ * @param {Array<Object>} contacts - Summary metrics of each contact associated with the deal, keyed by metric
+ * @returns {Object} { contacts, messages_last_7_days, last_client_reply_at, follow_ups, last_interaction_date }
+ */
+function buildDealSummary(contacts) {
+    const sum = metric => contacts.reduce((total, values) => total + (parseFloat(values[metric]) || 0), 0);
+    const latest = metric => contacts.reduce((acc, values) => {
+        const date = parseDate(values[metric]);
+        return date && (!acc || date > acc) ? date : acc;
+    }, null);
+
+    return {
+        // Contacts with WhatsApp activity, the deal's other contacts have nothing synced
+        contacts: contacts.filter(values => Object.values(values).some(value => value !== null && value !== '')).length,
+        messages_last_7_days: sum('messages_sent_last_7_days') + sum('messages_received_last_7_days'),
+        // Same definition as the contacts' last client message, empty when the client never wrote
+        last_client_reply_at: TRANSFORMS.datetime(latest('last_client_message_at')),
+        follow_ups: sum('follow_ups'),
+        last_interaction_date: TRANSFORMS.date(latest('last_interaction_at'))
+    };
+}
+
+/**
+ * Write a WhatsApp engagement summary to the open deals associated with the matched contacts of a workspace.
+ * When the adapter lists a deal's contacts (getDealContacts) the ones outside the run are read back from the
+ * CRM (readContactFields), so incremental runs still summarize every contact of the deal.
+ * @param {Object} adapter - CRM adapter with findOpenDeals and updateDealsBatch
+ * @param {Object} conversation - Workspace with uid, settings, fieldMapping and credentials
+ * @param {Array} chats - Chats with contactId, one per contact
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { dealsMatched, dealsUpdated, deals } - deals is [{ id, contact_ids, summary }]
+ */
+async function syncDealAnalytics(adapter, conversation, chats, options = {}) {
+    try {
+        const { multiple_open_deals: rule } = getDealSyncSettings(conversation.settings);
+        const contactIds = [...new Set(chats.map(chat => String(chat.contactId)))];
+
+        const openDeals = await adapter.withAccessToken(conversation, credentials =>
+            adapter.findOpenDeals(credentials, contactIds)
+        );
+
+        // Deal → contacts of the run the deal was selected for
+        const dealContacts = contactIds.reduce((acc, contactId) => {
+            selectDeals(openDeals[contactId] || [], rule).forEach(deal => {
+                if (!acc[deal.id]) acc[deal.id] = [];
+                acc[deal.id].push(contactId);
+            });
+            return acc;
+        }, {});
+
+        const dealIds = Object.keys(dealContacts);
+        if (dealIds.length === 0) {
+            return { dealsMatched: 0, dealsUpdated: 0, deals: [] };
+        }
+
+        // Message windows are only on the chats when the contact mapping writes them
+        const runChats = chats.map(chat => ({ ...chat }));
+        if (runChats.some(chat => !chat.message_windows)) {
+            await attachMessageMetrics(conversation.uid, runChats);
+        }
+        const runMetrics = runChats.reduce((acc, chat) => {
+            if (!acc[String(chat.contactId)]) {
+                acc[String(chat.contactId)] = readChatSummaryMetrics(chat);
+            }
+            return acc;
+        }, {});
+
+        let storedMetrics = {};
+        if (adapter.getDealContacts && adapter.readContactFields) {
+            const associatedContacts = await adapter.withAccessToken(conversation, credentials =>
+                adapter.getDealContacts(credentials, dealIds)
+            );
+            dealIds.forEach(dealId => {
+                dealContacts[dealId] = [...new Set([...dealContacts[dealId], ...(associatedContacts[dealId] || [])])];
+            });
+
+            // Contacts of the run are read as well, for the metrics the run couldn't read, e.g. a client
+            // message older than the message lookback
+            const fields = getDealSummaryFields(conversation.fieldMapping);
+            const storedContactIds = [...new Set(Object.values(dealContacts).flat())];
+            if (Object.keys(fields).length > 0) {
+                const fieldValues = await adapter.withAccessToken(conversation, credentials =>
+                    adapter.readContactFields(credentials, storedContactIds, Object.values(fields))
+                );
+                storedMetrics = storedContactIds.reduce((acc, contactId) => {
+                    acc[contactId] = readStoredSummaryMetrics(fieldValues[contactId], fields);
+                    return acc;
+                }, {});
+            }
+        }
+
+        const deals = dealIds.map(dealId => ({
+            id: dealId,
+            contact_ids: dealContacts[dealId],
+            summary: buildDealSummary(dealContacts[dealId].map(contactId => ({
+                ...(storedMetrics[contactId] || {}),
+                ...(runMetrics[contactId] || {})
+            })))
+        }));
+
+        if (options.dryRun) {
+            return { dealsMatched: deals.length, dealsUpdated: 0, deals };
+        }
+
+        const result = await adapter.withAccessToken(conversation, credentials =>
+            adapter.updateDealsBatch(credentials, deals)
+        );
+        console.log(`Updated ${result.totalUpdated}/${deals.length} ${adapter.label} deals for UID: ${conversation.uid}`);
+
+        return { dealsMatched: deals.length, dealsUpdated: result.totalUpdated, deals };
+    } catch (error) {
+        console.error(`Error syncing ${adapter.label} deal analytics for UID ${conversation.uid}:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    DEAL_SELECTION_RULES,
+    getDealSyncSettings,
+    selectDeals,
+    getDealSummaryFields,
+    buildDealSummary,
+    syncDealAnalytics
+};
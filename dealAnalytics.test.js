@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// bigqueryClient needs gcp-key.json, the chats here already carry their message windows
+require.cache[require.resolve('./bigqueryClient')] = {
+    loaded: true,
+    exports: { bigquery: { query: async () => assert.fail('unexpected BigQuery query') } }
+};
+
+const { getFieldMapping } = require('./fieldMapping');
+const {
+    DEAL_SELECTION_RULES,
+    getDealSyncSettings,
+    selectDeals,
+    getDealSummaryFields,
+    buildDealSummary,
+    syncDealAnalytics
+} = require('./dealAnalytics');
+
+const DEALS = [
+    { id: '30', amount: '500', createdAt: '2024-03-01T00:00:00Z', modifiedAt: '2024-04-01T00:00:00Z' },
+    { id: '10', amount: '900', createdAt: '2024-01-01T00:00:00Z', modifiedAt: null },
+    { id: '20', amount: null, createdAt: '2024-05-01T00:00:00Z', modifiedAt: '2024-04-01T00:00:00Z' }
+];
+
+test('deal sync is off by default and unknown rules fall back to all', () => {
+    assert.deepEqual(getDealSyncSettings({}), { enabled: false, multiple_open_deals: DEAL_SELECTION_RULES.ALL });
+    assert.equal(getDealSyncSettings({ deal_sync: { multiple_open_deals: 'newest' } }).multiple_open_deals, DEAL_SELECTION_RULES.ALL);
+});
+
+test('selection rules pick one deal, missing values last and ties to the lowest id', () => {
+    const selected = rule => selectDeals(DEALS, rule).map(deal => deal.id);
+
+    assert.deepEqual(selected(DEAL_SELECTION_RULES.ALL), ['30', '10', '20']);
+    assert.deepEqual(selected(DEAL_SELECTION_RULES.MOST_RECENTLY_MODIFIED), ['20']);
+    assert.deepEqual(selected(DEAL_SELECTION_RULES.MOST_RECENTLY_CREATED), ['20']);
+    assert.deepEqual(selected(DEAL_SELECTION_RULES.LARGEST_AMOUNT), ['10']);
+});
+
+test('summary fields follow the contact mapping', () => {
+    assert.deepEqual(getDealSummaryFields(getFieldMapping('hubspot')), {
+        messages_sent_last_7_days: 'eazybe_messages_sent_last_7_days',
+        messages_received_last_7_days: 'eazybe_messages_received_last_7_days',
+        last_client_message_at: 'eazybe_last_client_message_date',
+        follow_ups: 'eazybe_follow_ups',
+        last_interaction_at: 'eazybe_last_interaction_date'
+    });
+});
+
+test('a deal summary adds up its contacts and keeps the latest dates', () => {
+    const summary = buildDealSummary([
+        { messages_sent_last_7_days: 3, messages_received_last_7_days: 2, follow_ups: 1, last_client_message_at: '2024-06-01T10:00:00Z', last_interaction_at: '2024-06-02' },
+        { messages_sent_last_7_days: '1', messages_received_last_7_days: '0', follow_ups: '4', last_client_message_at: '2024-06-03T08:30:00.000Z', last_interaction_at: '2024-06-01' },
+        // A contact of the deal the sync never wrote to
+        {}
+    ]);
+
+    assert.deepEqual(summary, {
+        contacts: 2,
+        messages_last_7_days: 6,
+        last_client_reply_at: '2024-06-03T08:30:00+00:00',
+        follow_ups: 5,
+        last_interaction_date: '2024-06-02'
+    });
+});
+
+test('a deal is summarized over its contacts outside the run', async () => {
+    const chats = [{
+        contactId: '1',
+        chat_id: '14155552671@c.us',
+        analytics: { number_of_follow_ups: 2 },
+        updated_at: '2024-06-01T00:00:00Z',
+        // The client's last message is older than the message lookback
+        last_client_message_at: undefined,
+        message_windows: { messages_sent_last_7_days: 4, messages_received_last_7_days: 1 }
+    }];
+    const adapter = {
+        label: 'HubSpot',
+        withAccessToken: (conversation, operation) => operation({ accessToken: 'token' }),
+        findOpenDeals: async () => ({ 1: [DEALS[0], DEALS[1]] }),
+        getDealContacts: async (credentials, dealIds) => {
+            assert.deepEqual(dealIds, ['30']);
+            return { 30: ['1', '2'] };
+        },
+        readContactFields: async (credentials, contactIds) => {
+            assert.deepEqual(contactIds, ['1', '2']);
+            return {
+                1: { eazybe_last_client_message_date: '2023-11-01T09:00:00.000Z', eazybe_follow_ups: '9' },
+                2: { eazybe_messages_sent_last_7_days: '3', eazybe_follow_ups: '1', eazybe_last_interaction_date: '2024-06-05' }
+            };
+        },
+        updateDealsBatch: async () => assert.fail('dry runs must not update deals')
+    };
+    const conversation = {
+        uid: 'w1',
+        settings: { deal_sync: { enabled: true, multiple_open_deals: DEAL_SELECTION_RULES.MOST_RECENTLY_MODIFIED } },
+        fieldMapping: getFieldMapping('hubspot')
+    };
+
+    const result = await syncDealAnalytics(adapter, conversation, chats, { dryRun: true });
+
+    assert.deepEqual(result.deals, [{
+        id: '30',
+        contact_ids: ['1', '2'],
+        summary: {
+            contacts: 2,
+            messages_last_7_days: 8,
+            last_client_reply_at: '2023-11-01T09:00:00+00:00',
+            follow_ups: 3,
+            last_interaction_date: '2024-06-05'
+        }
+    }]);
+    assert.equal(result.dealsUpdated, 0);
+});
+
+test('without the contact hooks a deal is summarized from the contacts in the run', async () => {
+    const chats = ['1', '2'].map(contactId => ({
+        contactId,
+        chat_id: `${contactId}@c.us`,
+        analytics: { number_of_follow_ups: 1 },
+        updated_at: '2024-06-01T00:00:00Z',
+        last_client_message_at: null,
+        message_windows: { messages_sent_last_7_days: 1, messages_received_last_7_days: 1 }
+    }));
+    const updates = [];
+    const adapter = {
+        label: 'Zoho',
+        withAccessToken: (conversation, operation) => operation({ accessToken: 'token' }),
+        findOpenDeals: async () => ({ 1: [DEALS[2]], 2: [DEALS[2]] }),
+        updateDealsBatch: async (credentials, deals) => {
+            updates.push(...deals);
+            return { totalUpdated: deals.length };
+        }
+    };
+
+    const result = await syncDealAnalytics(adapter, { uid: 'w1', settings: {}, fieldMapping: getFieldMapping('zoho') }, chats);
+
+    assert.equal(result.dealsUpdated, 1);
+    assert.deepEqual(updates[0].contact_ids, ['1', '2']);
+    assert.equal(updates[0].summary.messages_last_7_days, 4);
+    assert.equal(updates[0].summary.last_client_reply_at, null);
+});
@@ -0,0 +1,240 @@
+/**
+ * Metric → CRM field mapping used by the CRM writers.
+ *
+ * A mapping is a list of entries:
+ * { metric, field, transform, enabled }
+ * - metric: key of METRICS, the value read from the chat
+ * - field: HubSpot property name, Zoho or Salesforce API name, or Pipedrive field name it is written to
+ * - transform: key of TRANSFORMS, how the value is formatted for the field
+ * - enabled: false leaves the field out of the payload
+ *
+ * Workspaces override the defaults through the field_mapping setting, keyed by CRM and
+ * then by the default field name. Unknown field names add a new entry:
+ * {
+ *   "hubspot": {
+ *     "eazybe_total_messages": { "field": "whatsapp_total_messages" },
+ *     "eazybe_follow_ups": { "enabled": false },
+ *     "whatsapp_last_reply": { "metric": "last_interaction_at", "transform": "date" }
+ *   }
+ * }
+ */
+
+/**
+ * Parse the analytics JSON of a chat, which BigQuery may return as a string
+ * @param {Object} chat - Chat with analytics
+ * @returns {Object} Analytics object (empty when missing or invalid)
+ */
+function parseAnalytics(chat) {
+    let analytics = chat.analytics;
+    if (typeof analytics === 'string') {
+        try {
+            analytics = JSON.parse(analytics);
+        } catch (e) {
+            console.error('Error parsing analytics JSON:', e.message);
+            analytics = {};
+        }
+    }
+    return analytics && typeof analytics === 'object' ? analytics : {};
+}
+
+/**
+ * Safely parse a BigQuery timestamp (object with value property) or date-like value
+ * @param {*} dateValue - Value to parse
+ * @returns {Date|null}
+ */
+function parseDate(dateValue) {
+    if (!dateValue) return null;
+    if (typeof dateValue === 'object' && dateValue.value) {
+        dateValue = dateValue.value;
+    }
+    const date = new Date(dateValue);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Rolling windows read from the message table, see messageMetrics.js
+const MESSAGE_WINDOW_DAYS = [7, 30, 90];
+
+// messages_sent_last_7_days, messages_received_last_7_days, messages_trend_7_days, ... for every window.
+// The trend is the percent change of all messages against the window before.
+const MESSAGE_WINDOW_METRICS = MESSAGE_WINDOW_DAYS.flatMap(days => [
+    `messages_sent_last_${days}_days`,
+    `messages_received_last_${days}_days`,
+    `messages_trend_${days}_days`
+]);
+
+// Values a mapping entry can read from a chat
+const METRICS = {
+    total_messages: chat => parseAnalytics(chat).total_messages,
+    messages_received: chat => parseAnalytics(chat).messages_received,
+    messages_sent: chat => parseAnalytics(chat).messages_sent,
+    follow_ups: chat => parseAnalytics(chat).number_of_follow_ups,
+    // Minutes
+    average_response_time: chat => chat.average_response_time,
+    // Derived from the message table, see messageMetrics.js. Undefined when it wasn't read.
+    // Minutes
+    first_response_time: chat => chat.first_response_time,
+    // contact or employee
+    last_message_from: chat => chat.last_message_from,
+    // When the client last wrote, a timestamp rather than an age so the stored value never goes stale
+    last_client_message_at: chat => chat.last_client_message_at,
+    client_replied: chat => chat.client_replied || (parseInt(parseAnalytics(chat).messages_received) > 0 ? 'Yes' : 'No'),
+    last_interaction_at: chat => parseDate(chat.updated_at),
+    // Whole hours since the conversation summary was last updated
+    hours_since_last_update: chat => {
+        const updatedDate = parseDate(chat.updated_at);
+        return updatedDate ? Math.floor((Date.now() - updatedDate.getTime()) / (1000 * 60 * 60)) : null;
+    },
+    // Undefined, so left out of the payload, when the chat's message windows weren't read
+    ...Object.fromEntries(MESSAGE_WINDOW_METRICS.map(metric => [metric, chat => chat.message_windows?.[metric]]))
+};
+
+// How a metric value is formatted for a field. Returning undefined leaves the field out.
+const TRANSFORMS = {
+    raw: value => value,
+    number: value => parseInt(value) || 0,
+    text: value => (value === null || value === undefined || value === '' ? 'N/A' : String(value)),
+    // Minutes → "1.50 hours", N/A when there is no value and left out when it wasn't read
+    hours_text: value => (value === undefined ? undefined : (value === null || value === '' ? 'N/A' : `${(value / 60).toFixed(2)} hours`)),
+    // Left out when it wasn't read
+    date: value => {
+        if (value === undefined) return undefined;
+        const date = value instanceof Date ? value : parseDate(value);
+        return date ? date.toISOString().split('T')[0] : null;
+    },
+    // ISO 8601 to the second in UTC, e.g. 2024-06-01T10:00:00+00:00, the form Zoho and Salesforce accept as well
+    datetime: value => {
+        if (value === undefined) return undefined;
+        const date = value instanceof Date ? value : parseDate(value);
+        return date ? date.toISOString().replace(/\.\d{3}Z$/, '+00:00') : null;
+    },
+    // Left out when the last sender isn't known rather than guessed
+    sender_label: value => {
+        if (value === 'contact') return 'Client';
+        if (value === 'employee') return 'Employee';
+        return undefined;
+    }
+};
+
+// Zoho API names are the metric in title case, e.g. Messages_Sent_Last_7_Days
+function zohoWindowField(metric) {
+    return metric.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('_');
+}
+
+// Pipedrive field names read like the other Eazybe fields, e.g. Eazybe Messages Sent Last 7 Days
+function pipedriveWindowField(metric) {
+    return `Eazybe ${zohoWindowField(metric).replace(/_/g, ' ')}`;
+}
+
+const DEFAULT_FIELD_MAPPINGS = {
+    hubspot: [
+        { metric: 'total_messages', field: 'eazybe_total_messages', transform: 'number', enabled: true },
+        { metric: 'messages_received', field: 'eazybe_messages_received', transform: 'number', enabled: true },
+        { metric: 'messages_sent', field: 'eazybe_messages_sent', transform: 'number', enabled: true },
+        { metric: 'follow_ups', field: 'eazybe_follow_ups', transform: 'number', enabled: true },
+        { metric: 'messages_received', field: 'eazybe_messages_you_got', transform: 'number', enabled: true },
+        { metric: 'messages_sent', field: 'eazybe_messages_you_sent', transform: 'number', enabled: true },
+        { metric: 'average_response_time', field: 'eazybe_average_response_time', transform: 'raw', enabled: true },
+        { metric: 'last_message_from', field: 'eazybe_last_message_send_by', transform: 'sender_label', enabled: true },
+        { metric: 'first_response_time', field: 'eazybe_first_response_time', transform: 'raw', enabled: true },
+        { metric: 'last_client_message_at', field: 'eazybe_last_client_message_date', transform: 'datetime', enabled: true },
+        { metric: 'client_replied', field: 'eazybe_client_replied', transform: 'raw', enabled: true },
+        { metric: 'last_interaction_at', field: 'eazybe_last_interaction_date', transform: 'date', enabled: true },
+        ...MESSAGE_WINDOW_METRICS.map(metric => ({ metric, field: `eazybe_${metric}`, transform: 'raw', enabled: true }))
+    ],
+    zoho: [
+        { metric: 'messages_received', field: 'messagesreceived', transform: 'number', enabled: true },
+        { metric: 'messages_sent', field: 'messagessent', transform: 'number', enabled: true },
+        { metric: 'total_messages', field: 'totalmessages', transform: 'number', enabled: true },
+        { metric: 'follow_ups', field: 'Follow_ups_Count', transform: 'number', enabled: true },
+        { metric: 'last_interaction_at', field: 'Last_Interaction_Date', transform: 'date', enabled: true },
+        { metric: 'average_response_time', field: 'Average_Response_Time', transform: 'hours_text', enabled: true },
+        { metric: 'last_client_message_at', field: 'Last_Client_Message_Date', transform: 'datetime', enabled: true },
+        { metric: 'first_response_time', field: 'First_Response_Time', transform: 'hours_text', enabled: true },
+        { metric: 'last_message_from', field: 'Last_Message_send_by', transform: 'sender_label', enabled: true },
+        ...MESSAGE_WINDOW_METRICS.map(metric => ({ metric, field: zohoWindowField(metric), transform: 'raw', enabled: true }))
+    ],
+    // Pipedrive custom fields are addressed by name here and resolved to their hash keys per company
+    pipedrive: [
+        { metric: 'total_messages', field: 'Eazybe Total Messages', transform: 'number', enabled: true },
+        { metric: 'messages_received', field: 'Eazybe Messages Received', transform: 'number', enabled: true },
+        { metric: 'messages_sent', field: 'Eazybe Messages Sent', transform: 'number', enabled: true },
+        { metric: 'follow_ups', field: 'Eazybe Follow-ups', transform: 'number', enabled: true },
+        { metric: 'average_response_time', field: 'Eazybe Average Response Time', transform: 'raw', enabled: true },
+        { metric: 'first_response_time', field: 'Eazybe First Response Time', transform: 'raw', enabled: true },
+        // Pipedrive has no date-time field type
+        { metric: 'last_client_message_at', field: 'Eazybe Last Client Message Date', transform: 'date', enabled: true },
+        { metric: 'last_message_from', field: 'Eazybe Last Message Sent By', transform: 'sender_label', enabled: true },
+        { metric: 'client_replied', field: 'Eazybe Client Replied', transform: 'raw', enabled: true },
+        { metric: 'last_interaction_at', field: 'Eazybe Last Interaction Date', transform: 'date', enabled: true },
+        ...MESSAGE_WINDOW_METRICS.map(metric => ({ metric, field: pipedriveWindowField(metric), transform: 'raw', enabled: true }))
+    ],
+    // Custom fields on both Contact and Lead
+    salesforce: [
+        { metric: 'total_messages', field: 'Eazybe_Total_Messages__c', transform: 'number', enabled: true },
+        { metric: 'messages_received', field: 'Eazybe_Messages_Received__c', transform: 'number', enabled: true },
+        { metric: 'messages_sent', field: 'Eazybe_Messages_Sent__c', transform: 'number', enabled: true },
+        { metric: 'follow_ups', field: 'Eazybe_Follow_ups__c', transform: 'number', enabled: true },
+        { metric: 'average_response_time', field: 'Eazybe_Average_Response_Time__c', transform: 'raw', enabled: true },
+        { metric: 'first_response_time', field: 'Eazybe_First_Response_Time__c', transform: 'raw', enabled: true },
+        { metric: 'last_client_message_at', field: 'Eazybe_Last_Client_Message_Date__c', transform: 'datetime', enabled: true },
+        { metric: 'last_message_from', field: 'Eazybe_Last_Message_Sent_By__c', transform: 'sender_label', enabled: true },
+        { metric: 'client_replied', field: 'Eazybe_Client_Replied__c', transform: 'raw', enabled: true },
+        { metric: 'last_interaction_at', field: 'Eazybe_Last_Interaction_Date__c', transform: 'date', enabled: true }
+    ]
+};
+
+/**
+ * Resolve the field mapping of a CRM for a workspace
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {Object} settings - Workspace settings from getWorkspaceSettings (optional)
+ * @returns {Array} Enabled mapping entries
+ */
+function getFieldMapping(crm, settings = {}) {
+    const defaults = DEFAULT_FIELD_MAPPINGS[crm] || [];
+    const overrides = settings.field_mapping?.[crm] || {};
+
+    const mapping = defaults.map(entry => ({ ...entry, ...(overrides[entry.field] || {}) }));
+
+    // Entries for fields that aren't in the defaults are additions
+    Object.entries(overrides).forEach(([field, override]) => {
+        if (defaults.some(entry => entry.field === field)) return;
+        mapping.push({ field, transform: 'raw', enabled: true, ...override });
+    });
+
+    return mapping.filter(entry => {
+        if (entry.enabled === false) return false;
+        if (!METRICS[entry.metric] || !TRANSFORMS[entry.transform]) {
+            console.warn(`Ignoring ${crm} field mapping for ${entry.field}: unknown metric ${entry.metric} or transform ${entry.transform}`);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Build the CRM properties of a chat from a field mapping
+ * @param {Object} chat - Chat with analytics, response times and updated_at
+ * @param {Array} mapping - Entries from getFieldMapping
+ * @returns {Object} Map of field name to value
+ */
+function buildMappedProperties(chat, mapping) {
+    return mapping.reduce((acc, entry) => {
+        const value = TRANSFORMS[entry.transform](METRICS[entry.metric](chat));
+        if (value !== undefined) {
+            acc[entry.field] = value;
+        }
+        return acc;
+    }, {});
+}
+
+module.exports = {
+    METRICS,
+    TRANSFORMS,
+    MESSAGE_WINDOW_DAYS,
+    MESSAGE_WINDOW_METRICS,
+    DEFAULT_FIELD_MAPPINGS,
+    parseAnalytics,
+    parseDate,
+    getFieldMapping,
+    buildMappedProperties
+};
@@ -1,60 +1,83 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { parseBooleanFlag } = require('./utils');
 const app = express();
 dotenv.config();
-// Configuration flags for enabling/disabling CRM syncs
-const ENABLE_HUBSPOT_SYNC = process.env.ENABLE_HUBSPOT_SYNC !== 'false';
-const ENABLE_ZOHO_SYNC = process.env.ENABLE_ZOHO_SYNC !== 'false';
+// CRM syncs are enabled/disabled with ENABLE_<CRM>_SYNC, see crmRegistry.js.
+// HubSpot and Zoho are on unless set to false, Pipedrive and Salesforce need ENABLE_<CRM>_SYNC=true
+
+// Ignore the stored watermarks and push every conversation again
+const FULL_RESYNC = process.env.FULL_RESYNC === 'true';
+
+// Also write group chat analytics to HubSpot companies/deals, for the workspaces that enabled group_chat_sync
+const ENABLE_HUBSPOT_GROUP_SYNC = process.env.ENABLE_HUBSPOT_GROUP_SYNC === 'true';
 
 // Main handler function
 async function handleSync(req, res) {
     try {
         // Lazy load the helper to avoid blocking server startup
-        const { syncDataWithHubspot, syncDataWithZoho } = require('./helper');
+        const { syncData } = require('./helper');
+        const { getCrmAdapter, getCrmNames, isCrmSyncEnabled } = require('./crmRegistry');
+        const crms = getCrmNames();
+        const enabledCrms = crms.filter(isCrmSyncEnabled);
         
+        const options = {
+            fullResync: FULL_RESYNC || parseBooleanFlag(req.query?.fullResync ?? req.body?.fullResync),
+            // Runs the full pipeline and returns the payloads without writing to any CRM
+            dryRun: parseBooleanFlag(req.query?.dryRun ?? req.body?.dryRun),
+            // Limit the run to one workspace, and optionally one chat in it
+            workspaceId: req.query?.workspace_id || req.body?.workspace_id || null,
+            chatId: req.query?.chat_id || req.body?.chat_id || null
+        };
+
         console.log('Starting sync process...');
-        console.log(`HubSpot sync: ${ENABLE_HUBSPOT_SYNC ? 'enabled' : 'disabled'}`);
-        console.log(`Zoho sync: ${ENABLE_ZOHO_SYNC ? 'enabled' : 'disabled'}`);
+        crms.forEach(crm => {
+            console.log(`${getCrmAdapter(crm).label} sync: ${enabledCrms.includes(crm) ? 'enabled' : 'disabled'}`);
+        });
+        console.log(`Full resync: ${options.fullResync ? 'yes' : 'no'}`);
+        console.log(`Dry run: ${options.dryRun ? 'yes' : 'no'}`);
+        if (options.workspaceId || options.chatId) {
+            console.log(`Filters: workspace ${options.workspaceId || 'any'}, chat ${options.chatId || 'any'}`);
+        }
         
         logWebhookSiteConfig({
             message: 'Starting sync process...',
             data: {
-                hubspotSync: ENABLE_HUBSPOT_SYNC,
-                zohoSync: ENABLE_ZOHO_SYNC
+                enabledCrms: enabledCrms,
+                fullResync: options.fullResync,
+                dryRun: options.dryRun,
+                workspaceId: options.workspaceId,
+                chatId: options.chatId
             }
         });
         const startTime = Date.now();
         
-        // Prepare sync promises based on enabled flags
-        const syncPromises = [];
-        const syncNames = [];
-        
-        if (ENABLE_HUBSPOT_SYNC) {
-            syncPromises.push(syncDataWithHubspot());
-            syncNames.push('hubspot');
-        }
-        
-        if (ENABLE_ZOHO_SYNC) {
-            syncPromises.push(syncDataWithZoho());
-            syncNames.push('zoho');
-        }
-        
         // If no syncs are enabled, return early
-        if (syncPromises.length === 0) {
+        if (enabledCrms.length === 0) {
             console.log('No CRM syncs enabled');
             return res.status(200).json({
                 status: true,
                 message: 'No CRM syncs enabled',
-                results: {
-                    hubspot: 'disabled',
-                    zoho: 'disabled'
-                }
+                results: crms.reduce((acc, crm) => {
+                    acc[crm] = 'disabled';
+                    return acc;
+                }, {})
             });
         }
         
         // Run enabled syncs in parallel
-        const results = await Promise.allSettled(syncPromises);
+        const settled = await Promise.allSettled(enabledCrms.map(crm => syncData(crm, options)));
+
+        let groupChats;
+        if (ENABLE_HUBSPOT_GROUP_SYNC && enabledCrms.includes('hubspot')) {
+            const { syncHubspotGroupChats } = require('./groupChatSync');
+            try {
+                groupChats = await syncHubspotGroupChats(options);
+            } catch (error) {
+                groupChats = { error: error.message };
+            }
+        }
         
         const endTime = Date.now();
         const duration = ((endTime - startTime) / 1000).toFixed(2);
@@ -62,33 +85,28 @@ async function handleSync(req, res) {
         console.log(`Sync completed in ${duration} seconds`);
         
         // Map results back to CRM names
-        const hubspotResult = ENABLE_HUBSPOT_SYNC ? 
-            results[syncNames.indexOf('hubspot')] : 
-            { status: 'disabled' };
-        const zohoResult = ENABLE_ZOHO_SYNC ? 
-            results[syncNames.indexOf('zoho')] : 
-            { status: 'disabled' };
-        
-        console.log('HubSpot sync:', hubspotResult.status);
-        console.log('Zoho sync:', zohoResult.status);
-        
-        // Check if any sync failed
+        const results = {};
+        const summaries = {};
         const errors = [];
-        if (hubspotResult.status === 'rejected') {
-            errors.push({ crm: 'HubSpot', error: hubspotResult.reason.message });
-        }
-        if (zohoResult.status === 'rejected') {
-            errors.push({ crm: 'Zoho', error: zohoResult.reason.message });
-        }
+        crms.forEach(crm => {
+            const result = enabledCrms.includes(crm) ? settled[enabledCrms.indexOf(crm)] : { status: 'disabled' };
+            console.log(`${getCrmAdapter(crm).label} sync:`, result.status);
+
+            results[crm] = result.status;
+            summaries[crm] = result.value;
+            // Check if any sync failed
+            if (result.status === 'rejected') {
+                errors.push({ crm: getCrmAdapter(crm).label, error: result.reason.message });
+            }
+        });
         
         return res.status(200).json({
             status: true,
-            message: 'Data sync process completed',
+            message: options.dryRun ? 'Dry run completed, nothing was written' : 'Data sync process completed',
             duration: `${duration} seconds`,
-            results: {
-                hubspot: hubspotResult.status,
-                zoho: zohoResult.status
-            },
+            results: results,
+            summaries: summaries,
+            groupChats: groupChats,
             errors: errors.length > 0 ? errors : undefined
         });
     } catch (error) {
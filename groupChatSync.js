@@ -0,0 +1,415 @@
+const dotenv = require('dotenv');
+const { bigquery } = require('./bigqueryClient');
+const { getSyncStateStore } = require('./syncStateStore');
+const { getCrmAdapter } = require('./crmRegistry');
+const { extractDataFromActiveUsers } = require('./helper');
+const { getWorkspaceSettings } = require('./workspaceSettings');
+const { parseAnalytics, parseDate, TRANSFORMS } = require('./fieldMapping');
+const { getPhoneRegion } = require('./phoneNumberParsing');
+const { getResolutionPolicy, resolveContactMatches } = require('./contactResolution');
+const { filterUnchangedChats, saveFingerprints } = require('./contactFingerprints');
+const { ensureHubspotPropertySchema } = require('./hubspotPropertySchema');
+const { MESSAGES_TABLE } = require('./messageMetrics');
+const { contactExistanceBulkOnHubspot } = require('./hubspot');
+const { getHubspotAssociationsBatch, updateHubspotObjectsBatch } = require('./hubspotObjects');
+dotenv.config();
+
+const GROUP_MAPPING_NAMESPACE = 'group_chat_mappings';
+
+const GROUP_OBJECT_TYPES = ['companies', 'deals'];
+
+/**
+ * Workspaces opt in through the group_chat_sync setting:
+ * { "group_chat_sync": { "enabled": true, "object_type": "companies", "resolve_by_members": true } }
+ * - object_type: companies or deals, what a group is written to
+ * - resolve_by_members: groups without a stored mapping go to the record most of their members are associated with
+ */
+const DEFAULT_GROUP_CHAT_SETTINGS = {
+    enabled: false,
+    object_type: 'companies',
+    resolve_by_members: true
+};
+
+function getGroupChatSettings(settings = {}) {
+    const groupSettings = {
+        ...DEFAULT_GROUP_CHAT_SETTINGS,
+        ...(settings.group_chat_sync || {})
+    };
+    if (!GROUP_OBJECT_TYPES.includes(groupSettings.object_type)) {
+        console.error(`Unknown group_chat_sync object_type "${groupSettings.object_type}", using ${DEFAULT_GROUP_CHAT_SETTINGS.object_type}`);
+        groupSettings.object_type = DEFAULT_GROUP_CHAT_SETTINGS.object_type;
+    }
+    return groupSettings;
+}
+
+function mappingKey(workspaceId) {
+    return `hubspot:${workspaceId}`;
+}
+
+/**
+ * Stored group → HubSpot record mappings of a workspace
+ * @param {string} workspaceId - Workspace id
+ * @returns {Object} Map of group chat_id to { object_type, record_id, updated_at }
+ */
+async function getGroupChatMappings(workspaceId) {
+    return (await getSyncStateStore().get(GROUP_MAPPING_NAMESPACE, mappingKey(workspaceId))) || {};
+}
+
+/**
+ * Pin a group chat to a HubSpot company or deal, the mapping wins over member-based resolution
+ * @param {string} workspaceId - Workspace id
+ * @param {string} chatId - Group chat id, e.g. 120363025@g.us
+ * @param {string} objectType - companies or deals
+ * @param {string} recordId - HubSpot record id
+ * @returns {Object} The workspace's mappings
+ */
+async function setGroupChatMapping(workspaceId, chatId, objectType, recordId) {
+    if (!GROUP_OBJECT_TYPES.includes(objectType)) {
+        throw new Error(`Unknown object type: ${objectType} (expected: ${GROUP_OBJECT_TYPES.join(' or ')})`);
+    }
+    if (!String(chatId).endsWith('@g.us')) {
+        throw new Error(`Not a group chat id: ${chatId}`);
+    }
+
+    const mappings = await getGroupChatMappings(workspaceId);
+    mappings[chatId] = {
+        object_type: objectType,
+        record_id: String(recordId),
+        updated_at: new Date().toISOString()
+    };
+    await getSyncStateStore().set(GROUP_MAPPING_NAMESPACE, mappingKey(workspaceId), mappings);
+    return mappings;
+}
+
+/**
+ * Remove a group chat's stored mapping, the group falls back to member-based resolution
+ * @param {string} workspaceId - Workspace id
+ * @param {string} chatId - Group chat id
+ * @returns {Object} The workspace's mappings
+ */
+async function removeGroupChatMapping(workspaceId, chatId) {
+    const mappings = await getGroupChatMappings(workspaceId);
+    delete mappings[chatId];
+    await getSyncStateStore().set(GROUP_MAPPING_NAMESPACE, mappingKey(workspaceId), mappings);
+    return mappings;
+}
+
+/**
+ * Phone numbers of the people who wrote in each group, read from the message table
+ * @param {string} workspaceId - Workspace id
+ * @param {Array<string>} chatIds - Group chat ids
+ * @returns {Object} Map of chat_id to member phone numbers
+ */
+async function getGroupMemberPhones(workspaceId, chatIds) {
+    if (chatIds.length === 0) return {};
+
+    try {
+        const [rows] = await bigquery.query({
+            query: `
+                SELECT chat_id, ARRAY_AGG(DISTINCT SPLIT(sender_id, '@')[SAFE_OFFSET(0)]) AS members
+                FROM \`${MESSAGES_TABLE}\`
+                WHERE uid = @uid
+                AND chat_id IN UNNEST(@chat_ids)
+                AND NOT from_me
+                AND sender_id IS NOT NULL
+                GROUP BY chat_id
+            `,
+            params: {
+                uid: String(workspaceId),
+                chat_ids: chatIds
+            },
+            types: {
+                uid: 'STRING',
+                chat_ids: ['STRING']
+            }
+        });
+
+        return rows.reduce((acc, row) => {
+            acc[row.chat_id] = (row.members || []).filter(Boolean);
+            return acc;
+        }, {});
+    } catch (error) {
+        console.error(`Error reading group members for UID ${workspaceId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resolve groups to the HubSpot record most of their members' contacts are associated with.
+ * Ties go to the lowest record id so every run picks the same one.
+ * @param {string} accessToken - HubSpot access token
+ * @param {Object} conversation - Workspace group with uid and settings
+ * @param {Array<string>} chatIds - Group chat ids without a stored mapping
+ * @param {string} objectType - companies or deals
+ * @returns {Object} Map of chat_id to record id, unresolved groups are left out
+ */
+async function resolveGroupsByMembers(accessToken, conversation, chatIds, objectType) {
+    const membersByChat = await getGroupMemberPhones(conversation.uid, chatIds);
+    const allPhones = [...new Set(Object.values(membersByChat).flat())];
+    if (allPhones.length === 0) return {};
+
+    const { chatIdToContactIdMap } = await contactExistanceBulkOnHubspot(accessToken, allPhones, getPhoneRegion(conversation.settings));
+    const policy = getResolutionPolicy(conversation.settings);
+    const contactIdsByPhone = Object.entries(chatIdToContactIdMap).reduce((acc, [phone, contactInfo]) => {
+        acc[phone] = resolveContactMatches(contactInfo.matches || [{ contactId: contactInfo.contactId }], policy).contactIds;
+        return acc;
+    }, {});
+
+    const allContactIds = Object.values(contactIdsByPhone).flat();
+    const associations = await getHubspotAssociationsBatch(accessToken, 'contacts', objectType, allContactIds);
+
+    return voteGroupRecords(membersByChat, contactIdsByPhone, associations);
+}
+
+/**
+ * Map each group to the record most of its members are associated with, ties go to the lowest record id
+ * @param {Object} membersByChat - Map of group chat_id to member phone numbers
+ * @param {Object} contactIdsByPhone - Map of phone number to the contact ids it resolved to
+ * @param {Object} associations - Map of contact id to associated record ids
+ * @returns {Object} Map of chat_id to record id, groups without an associated member are left out
+ */
+function voteGroupRecords(membersByChat, contactIdsByPhone, associations) {
+    return Object.entries(membersByChat).reduce((acc, [chatId, phones]) => {
+        const votes = {};
+        phones.forEach(phone => {
+            // A member counts once per record even with several contacts associated to it
+            const recordIds = new Set((contactIdsByPhone[phone] || []).flatMap(contactId => associations[String(contactId)] || []));
+            recordIds.forEach(recordId => {
+                votes[recordId] = (votes[recordId] || 0) + 1;
+            });
+        });
+
+        const [winner] = Object.entries(votes).sort(([idA, countA], [idB, countB]) =>
+            (countB - countA) || idA.localeCompare(idB, undefined, { numeric: true })
+        );
+        if (winner) {
+            acc[chatId] = winner[0];
+        }
+        return acc;
+    }, {});
+}
+
+/**
+ * Aggregate the analytics of the group chats mapped to one record
+ * @param {Array} chats - Group chats of the record
+ * @returns {Object} HubSpot properties from the group chat schema
+ */
+function buildGroupChatProperties(chats) {
+    const sum = read => chats.reduce((total, chat) => total + (parseInt(read(chat)) || 0), 0);
+    const responseTimes = chats.map(chat => parseFloat(chat.average_response_time)).filter(value => !Number.isNaN(value));
+    const lastInteraction = chats.reduce((latest, chat) => {
+        const date = parseDate(chat.updated_at);
+        return date && (!latest || date > latest) ? date : latest;
+    }, null);
+
+    return {
+        eazybe_group_chats: chats.length,
+        eazybe_group_total_messages: sum(chat => parseAnalytics(chat).total_messages),
+        eazybe_group_messages_received: sum(chat => parseAnalytics(chat).messages_received),
+        eazybe_group_messages_sent: sum(chat => parseAnalytics(chat).messages_sent),
+        eazybe_group_follow_ups: sum(chat => parseAnalytics(chat).number_of_follow_ups),
+        // The slowest group decides, an account is only as responsive as its worst thread
+        eazybe_group_average_response_time: responseTimes.length > 0 ? Math.max(...responseTimes) : null,
+        eazybe_group_last_interaction_date: TRANSFORMS.date(lastInteraction)
+    };
+}
+
+/**
+ * Keep the records a group chat is mapped to, with every group of those records
+ * @param {Object} recordsByType - { [objectType]: { [recordId]: { contactId, chats } } }
+ * @param {string} chatId - Group chat id, with or without the @g.us suffix
+ * @returns {Object} recordsByType without the records of other groups
+ */
+function selectRecordsOfGroup(recordsByType, chatId) {
+    const isGroup = chat => chat.chat_id === chatId || chat.chat_id.split('@')[0] === chatId;
+
+    return Object.entries(recordsByType).reduce((acc, [type, records]) => {
+        Object.entries(records).forEach(([recordId, record]) => {
+            if (!record.chats.some(isGroup)) return;
+            acc[type] = acc[type] || {};
+            acc[type][recordId] = record;
+        });
+        return acc;
+    }, {});
+}
+
+/**
+ * Write the analytics of WhatsApp group chats to the HubSpot company or deal each group is mapped to,
+ * for the workspaces that enabled group_chat_sync.
+ * With a chatId only the record of that group is written, still summed over every group mapped to it.
+ * @param {Object} options - { fullResync, dryRun, workspaceId, chatId }
+ * @returns {Object} Summary: { crm, dryRun, workspacesProcessed, groupsFound, groupsMapped, recordsSkipped, recordsUpdated, workspaces? }
+ */
+async function syncHubspotGroupChats(options = {}) {
+    const adapter = getCrmAdapter('hubspot');
+    try {
+        // A record's totals need all of its groups, so a single group still reads every group of the workspace
+        const { conversationSummary, activeUsersByCrm } = await extractDataFromActiveUsers(25, {
+            ...options,
+            chatId: null,
+            crms: [adapter.name],
+            chatType: 'group'
+        });
+
+        const activeUserMap = activeUsersByCrm[adapter.name].reduce((acc, user) => {
+            acc[user.workspace_id] = user;
+            return acc;
+        }, {});
+
+        // Group the rows by workspace, leaving out the workspaces that didn't opt in
+        const conversations = Object.values(conversationSummary.reduce((acc, row) => {
+            const settings = getWorkspaceSettings(row.uid, activeUserMap[row.uid]);
+            if (!getGroupChatSettings(settings).enabled) return acc;
+
+            if (!acc[row.uid]) {
+                acc[row.uid] = {
+                    uid: row.uid,
+                    org_id: row.org_id,
+                    ...adapter.getCredentials(activeUserMap[row.uid]),
+                    settings,
+                    chats: []
+                };
+            }
+            acc[row.uid].chats.push({
+                chat_id: row.chat_id,
+                analytics: row.analytics,
+                average_response_time: row.average_response_time,
+                created_at: row.created_at,
+                updated_at: row.updated_at
+            });
+            return acc;
+        }, {}));
+
+        const summary = {
+            crm: adapter.name,
+            dryRun: Boolean(options.dryRun),
+            workspacesProcessed: 0,
+            groupsFound: 0,
+            groupsMapped: 0,
+            recordsSkipped: 0,
+            recordsUpdated: 0
+        };
+        if (options.dryRun) {
+            summary.workspaces = [];
+        }
+
+        for (const conversation of conversations) {
+            if (!conversation.access_token && !conversation.refresh_token) continue;
+
+            const groupSettings = getGroupChatSettings(conversation.settings);
+            const objectType = groupSettings.object_type;
+            summary.workspacesProcessed++;
+            summary.groupsFound += conversation.chats.length;
+
+            try {
+                await adapter.withAccessToken(conversation, async ({ accessToken }) => {
+                    // Stored mappings first, then the members of the remaining groups
+                    const mappings = await getGroupChatMappings(conversation.uid);
+                    const recordByChat = {};
+                    const objectTypeByChat = {};
+                    conversation.chats.forEach(chat => {
+                        const mapping = mappings[chat.chat_id];
+                        if (mapping) {
+                            recordByChat[chat.chat_id] = mapping.record_id;
+                            objectTypeByChat[chat.chat_id] = mapping.object_type;
+                        }
+                    });
+
+                    const unmappedChatIds = conversation.chats
+                        .map(chat => chat.chat_id)
+                        .filter(chatId => !recordByChat[chatId]);
+                    if (groupSettings.resolve_by_members && unmappedChatIds.length > 0) {
+                        const resolved = await resolveGroupsByMembers(accessToken, conversation, unmappedChatIds, objectType);
+                        Object.entries(resolved).forEach(([chatId, recordId]) => {
+                            recordByChat[chatId] = recordId;
+                            objectTypeByChat[chatId] = objectType;
+                        });
+                    }
+
+                    summary.groupsMapped += Object.keys(recordByChat).length;
+                    console.log(`Mapped ${Object.keys(recordByChat).length}/${conversation.chats.length} group chats for UID: ${conversation.uid}`);
+
+                    // One entry per record with every group mapped to it, keyed by object type
+                    const allRecordsByType = conversation.chats.reduce((acc, chat) => {
+                        const recordId = recordByChat[chat.chat_id];
+                        if (!recordId) return acc;
+
+                        const type = objectTypeByChat[chat.chat_id];
+                        acc[type] = acc[type] || {};
+                        acc[type][recordId] = acc[type][recordId] || { contactId: recordId, chats: [] };
+                        acc[type][recordId].chats.push(chat);
+                        return acc;
+                    }, {});
+                    const recordsByType = options.chatId
+                        ? selectRecordsOfGroup(allRecordsByType, String(options.chatId))
+                        : allRecordsByType;
+
+                    const workspaceResult = { uid: conversation.uid, records: [] };
+                    for (const [type, records] of Object.entries(recordsByType)) {
+                        // Fingerprints are keyed like contacts, under hubspot_companies or hubspot_deals
+                        const fingerprintScope = `${adapter.name}_${type}`;
+                        const { changedChats: changedRecords, skippedCount, fingerprints } = await filterUnchangedChats(
+                            fingerprintScope,
+                            conversation.uid,
+                            Object.values(records),
+                            record => buildGroupChatProperties(record.chats),
+                            { force: options.fullResync }
+                        );
+                        summary.recordsSkipped += skippedCount;
+
+                        const updates = changedRecords.map(record => ({
+                            id: record.contactId,
+                            properties: buildGroupChatProperties(record.chats)
+                        }));
+
+                        if (options.dryRun) {
+                            workspaceResult.records.push(...updates.map(update => ({
+                                objectType: type,
+                                ...update,
+                                chatIds: records[update.id].chats.map(chat => chat.chat_id)
+                            })));
+                            continue;
+                        }
+                        if (updates.length === 0) continue;
+
+                        await ensureHubspotPropertySchema(accessToken, type);
+                        const result = await updateHubspotObjectsBatch(accessToken, type, updates);
+                        summary.recordsUpdated += result.totalUpdated;
+
+                        try {
+                            await saveFingerprints(fingerprintScope, conversation.uid, fingerprints, result.updatedIds);
+                        } catch (fingerprintError) {
+                            console.error(`Error saving group fingerprints for UID ${conversation.uid}:`, fingerprintError.message);
+                        }
+                    }
+
+                    if (options.dryRun) {
+                        summary.workspaces.push(workspaceResult);
+                    }
+                });
+            } catch (error) {
+                console.error(`Error syncing group chats for UID ${conversation.uid}:`, error.response?.data || error.message);
+                if (options.dryRun) {
+                    summary.workspaces.push({ uid: conversation.uid, records: [], error: error.message });
+                }
+            }
+        }
+
+        return summary;
+    } catch (error) {
+        console.error('Error syncing group chats with HubSpot:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    DEFAULT_GROUP_CHAT_SETTINGS,
+    getGroupChatSettings,
+    getGroupChatMappings,
+    setGroupChatMapping,
+    removeGroupChatMapping,
+    voteGroupRecords,
+    selectRecordsOfGroup,
+    buildGroupChatProperties,
+    syncHubspotGroupChats
+};
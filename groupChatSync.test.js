@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// bigqueryClient needs gcp-key.json, nothing here reaches BigQuery
+require.cache[require.resolve('./bigqueryClient')] = {
+    loaded: true,
+    exports: { bigquery: { query: async () => assert.fail('unexpected BigQuery query') } }
+};
+
+const { getGroupChatSettings, voteGroupRecords, selectRecordsOfGroup, buildGroupChatProperties } = require('./groupChatSync');
+
+test('group chat sync is off and writes companies by default', () => {
+    assert.deepEqual(
+        [getGroupChatSettings({}).enabled, getGroupChatSettings({}).object_type],
+        [false, 'companies']
+    );
+});
+
+test('a group maps to the record most of its members are associated with', () => {
+    const records = voteGroupRecords(
+        {
+            'g1@g.us': ['111', '222', '333'],
+            'g2@g.us': ['444'],
+            'g3@g.us': ['555']
+        },
+        { 111: ['c1'], 222: ['c2'], 333: ['c3'], 444: ['c4'] },
+        { c1: ['r9'], c2: ['r5'], c3: ['r5'], c4: [] }
+    );
+
+    assert.deepEqual(records, { 'g1@g.us': 'r5' });
+});
+
+test('a member votes once per record and ties go to the lowest record id', () => {
+    const records = voteGroupRecords(
+        { 'g1@g.us': ['111', '222'] },
+        // 111 resolved to two contacts of the same company (the all policy)
+        { 111: ['c1', 'c2'], 222: ['c3'] },
+        { c1: ['r10'], c2: ['r10'], c3: ['r9'] }
+    );
+
+    assert.deepEqual(records, { 'g1@g.us': 'r9' });
+});
+
+test('a single group keeps every group of its record', () => {
+    const recordsByType = {
+        companies: {
+            r1: { contactId: 'r1', chats: [{ chat_id: '120363001@g.us' }, { chat_id: '120363002@g.us' }] },
+            r2: { contactId: 'r2', chats: [{ chat_id: '120363003@g.us' }] }
+        },
+        deals: {
+            d1: { contactId: 'd1', chats: [{ chat_id: '120363004@g.us' }] }
+        }
+    };
+
+    assert.deepEqual(selectRecordsOfGroup(recordsByType, '120363002'), { companies: { r1: recordsByType.companies.r1 } });
+    assert.deepEqual(selectRecordsOfGroup(recordsByType, '120363004@g.us'), { deals: { d1: recordsByType.deals.d1 } });
+    assert.deepEqual(selectRecordsOfGroup(recordsByType, '999@g.us'), {});
+});
+
+test('group properties sum the groups and keep the slowest response time', () => {
+    const properties = buildGroupChatProperties([
+        {
+            analytics: { total_messages: 10, messages_received: 6, messages_sent: 4, number_of_follow_ups: 1 },
+            average_response_time: '30',
+            updated_at: '2024-05-01T10:00:00Z'
+        },
+        {
+            analytics: JSON.stringify({ total_messages: 5, messages_received: 1, messages_sent: 4, number_of_follow_ups: 2 }),
+            average_response_time: '90',
+            updated_at: '2024-06-01T10:00:00Z'
+        }
+    ]);
+
+    assert.equal(properties.eazybe_group_chats, 2);
+    assert.equal(properties.eazybe_group_total_messages, 15);
+    assert.equal(properties.eazybe_group_messages_received, 7);
+    assert.equal(properties.eazybe_group_messages_sent, 8);
+    assert.equal(properties.eazybe_group_follow_ups, 3);
+    assert.equal(properties.eazybe_group_average_response_time, 90);
+    assert.equal(properties.eazybe_group_last_interaction_date, '2024-06-01');
+});
@@ -1,12 +1,21 @@
 const axios = require('axios');
 const { BigQuery } = require('@google-cloud/bigquery');
-const { contactExistanceBulkOnHubspot, updateHubspotContactsBatch } = require('./hubspot');
-const { contactExistanceBulkOnZoho, updateZohoContactsBatch } = require('./zoho');
 const { retryWithBackoff } = require('./utils');
-
-const bigquery = new BigQuery({
-    credentials: require('./gcp-key.json')
-});
+const { getCrmAdapter, getCrmNames } = require('./crmRegistry');
+const { bigquery } = require('./bigqueryClient');
+const { getWatermarks, advanceWatermark } = require('./watermarks');
+const { filterUnchangedChats, saveFingerprints } = require('./contactFingerprints');
+const { getWorkspaceSettings } = require('./workspaceSettings');
+const { getFieldMapping } = require('./fieldMapping');
+const { reconcileHubspotProperties } = require('./hubspotPropertySchema');
+const { getContactCreationSettings, getPendingContactCreations, createMissingContacts } = require('./contactCreation');
+const { getPhoneRegion, canParsePhoneNumber } = require('./phoneNumberParsing');
+const { UNMATCHED_REASONS, recordUnmatchedChats, readUnmatchedChatReport } = require('./unmatchedChatReport');
+const { getResolutionPolicy, resolveContactMatches, expandResolvedChats, recordAmbiguousMatches } = require('./contactResolution');
+const { getDealSyncSettings, syncDealAnalytics } = require('./dealAnalytics');
+const { usesMessageMetrics, attachMessageMetrics } = require('./messageMetrics');
+const { recordMatchedChats, getWindowFieldMapping, prepareWindowRefresh, saveWindowRefresh } = require('./messageWindowRefresh');
+const { clearRetiredFields } = require('./retiredFields');
 
 // Fetch active users for specified CRM(s)
 async function getActiveUsers(crms) {
@@ -31,6 +40,25 @@ async function getActiveUsers(crms) {
     }
 }
 
+/**
+ * Active users of each CRM, optionally limited to one workspace
+ * @param {Array<string>} crms - CRM names
+ * @param {string} workspaceId - Keep only this workspace (optional)
+ * @returns {Object} Map of CRM name to active users
+ */
+async function getActiveUsersByCrm(crms, workspaceId = null) {
+    const activeUsersData = await getActiveUsers(crms);
+
+    // Keep only the requested workspace so neither BigQuery nor the CRMs see the others
+    const matchesWorkspace = user => !workspaceId || String(user.workspace_id) === String(workspaceId);
+
+    return crms.reduce((acc, crm) => {
+        const crmData = activeUsersData.crmWiseData.find(data => data.crm === crm);
+        acc[crm] = crmData ? crmData.activeUsersWithScalerPlan.filter(matchesWorkspace) : [];
+        return acc;
+    }, {});
+}
+
 // Helper function to split array into batches
 function chunkArray(array, chunkSize) {
     const chunks = [];
@@ -40,20 +68,68 @@ function chunkArray(array, chunkSize) {
     return chunks;
 }
 
-async function extractDataFromActiveUsers(batchSize = 25) {
-    try {
-        let crms = ['hubspot', 'zoho'];
-        let activeUsersData = await getActiveUsers(crms);
+// The oldest watermark wins when a workspace is synced to more than one CRM,
+// each CRM then drops the rows it has already synced in processDataToBeSynced
+function getQueryWatermarks(crmWatermarks, crmUsers) {
+    const queryWatermarks = {};
 
-        // Extract CRM-wise users from the response
-        const hubspotData = activeUsersData.crmWiseData.find(data => data.crm === 'hubspot');
-        const zohoData = activeUsersData.crmWiseData.find(data => data.crm === 'zoho');
-        
-        const hubspotUsers = hubspotData ? hubspotData.activeUsersWithScalerPlan : [];
-        const zohoUsers = zohoData ? zohoData.activeUsersWithScalerPlan : [];
+    Object.entries(crmUsers).forEach(([crm, users]) => {
+        users.forEach(user => {
+            const workspaceId = String(user.workspace_id);
+
+            const watermark = crmWatermarks[crm][workspaceId];
+            if (!watermark) {
+                queryWatermarks[workspaceId] = null;
+            } else if (queryWatermarks[workspaceId] === undefined) {
+                queryWatermarks[workspaceId] = watermark;
+            } else if (queryWatermarks[workspaceId] !== null && new Date(watermark) < new Date(queryWatermarks[workspaceId])) {
+                queryWatermarks[workspaceId] = watermark;
+            }
+        });
+    });
+
+    return Object.entries(queryWatermarks)
+        .filter(([, since]) => since)
+        .map(([uid, since]) => ({ uid, since: BigQuery.timestamp(since) }));
+}
+
+// Drop chats that are not newer than the CRM's watermark for the workspace
+function isNewerThanWatermark(row, watermarks) {
+    const watermark = watermarks[row.uid];
+    if (!watermark) return true;
+
+    const updatedAt = row.updated_at && typeof row.updated_at === 'object' ? row.updated_at.value : row.updated_at;
+    return new Date(updatedAt) > new Date(watermark);
+}
+
+// Chats left over the daily creation cap are read again whatever the watermark says
+function isPendingCreation(row, pendingCreations = {}) {
+    return (pendingCreations[row.uid] || []).includes(row.chat_id);
+}
+
+// Workspaces of a CRM that create contacts for unmatched chats
+function getCreatingWorkspaceIds(users) {
+    return users
+        .filter(user => getContactCreationSettings(getWorkspaceSettings(String(user.workspace_id), user)).enabled)
+        .map(user => String(user.workspace_id));
+}
+
+/**
+ * Read conversation summaries for the active users of the registered CRMs
+ * @param {number} batchSize - Number of workspaces per BigQuery query
+ * @param {Object} options - { crms, fullResync, workspaceId, chatId, chatType }
+ *   crms defaults to every registered CRM, fullResync ignores the stored watermarks,
+ *   workspaceId and chatId limit the run to one workspace or chat,
+ *   chatType group reads the @g.us group chats instead of the one-to-one chats
+ * @returns {Object} { conversationSummary, activeUsersByCrm, watermarks, pendingCreations }
+ */
+async function extractDataFromActiveUsers(batchSize = 25, options = {}) {
+    try {
+        const crms = options.crms || getCrmNames();
+        const activeUsersByCrm = await getActiveUsersByCrm(crms, options.workspaceId);
 
         // Combine all users for BigQuery processing
-        const activeUsersWithScalerPlan = [...hubspotUsers, ...zohoUsers];
+        const activeUsersWithScalerPlan = Object.values(activeUsersByCrm).flat();
 
         // activeUsers is an array of objects with the following structure:
         // {
@@ -62,7 +138,44 @@ async function extractDataFromActiveUsers(batchSize = 25) {
         //     refresh_token: string
         // }
 
-        console.log(`Processing ${activeUsersWithScalerPlan.length} active users (${hubspotUsers.length} HubSpot, ${zohoUsers.length} Zoho) in batches of ${batchSize}`);
+        const userCounts = crms.map(crm => `${activeUsersByCrm[crm].length} ${getCrmAdapter(crm).label}`).join(', ');
+        console.log(`Processing ${activeUsersWithScalerPlan.length} active users (${userCounts}) in batches of ${batchSize}`);
+
+        // Only read rows updated since the last successful sync unless a full resync is requested
+        // A single chat is always re-read, a workspace's watermark says nothing about one chat
+        const watermarks = crms.reduce((acc, crm) => {
+            acc[crm] = {};
+            return acc;
+        }, {});
+        const pendingCreations = crms.reduce((acc, crm) => {
+            acc[crm] = {};
+            return acc;
+        }, {});
+        const groupChats = options.chatType === 'group';
+        if (groupChats) {
+            // Several groups can feed one CRM record, so its totals need every group each time
+            console.log('Reading group chats, which are always read in full');
+        } else if (options.chatId) {
+            console.log(`Syncing chat ${options.chatId} only, ignoring stored watermarks`);
+        } else if (!options.fullResync) {
+            for (const crm of crms) {
+                watermarks[crm] = await getWatermarks(crm, activeUsersByCrm[crm].map(user => String(user.workspace_id)));
+                pendingCreations[crm] = await getPendingContactCreations(crm, getCreatingWorkspaceIds(activeUsersByCrm[crm]));
+            }
+        } else {
+            console.log('Full resync requested, ignoring stored watermarks');
+        }
+        const queryWatermarks = getQueryWatermarks(watermarks, activeUsersByCrm);
+        const pendingChats = Object.values(pendingCreations).reduce((acc, chatIdsByWorkspace) => {
+            Object.entries(chatIdsByWorkspace).forEach(([uid, chatIds]) => {
+                chatIds.forEach(chatId => {
+                    if (!acc.some(pending => pending.uid === uid && pending.chat_id === chatId)) {
+                        acc.push({ uid, chat_id: chatId });
+                    }
+                });
+            });
+            return acc;
+        }, []);
 
         // Split active users into batches
         const userBatches = chunkArray(activeUsersWithScalerPlan, batchSize);
@@ -78,23 +191,40 @@ async function extractDataFromActiveUsers(batchSize = 25) {
                 // Ensure workspace_ids are strings to match the uid column type
                 // Use Set to remove duplicates, then convert to array
                 const workspaceIds = [...new Set(batch.map(user => String(user.workspace_id)))];
+                const batchWatermarks = queryWatermarks.filter(watermark => workspaceIds.includes(watermark.uid));
+                const batchPendingChats = pendingChats.filter(pending => workspaceIds.includes(pending.uid));
                 
                 const query = {
                     query: `
                         SELECT 
-                            uid,
-                            org_id,
-                            chat_id,
-                            analytics,
-                            average_response_time,
-                            created_at,
-                            updated_at
-                        FROM \`waba-454907.whatsapp_analytics.conversation_summary\`
-                        WHERE uid IN UNNEST(@workspace_ids)
-                        AND chat_id NOT LIKE '%missing%' AND chat_id NOT LIKE '%@g.us%'
+                            cs.uid,
+                            cs.org_id,
+                            cs.chat_id,
+                            cs.analytics,
+                            cs.average_response_time,
+                            cs.created_at,
+                            cs.updated_at
+                        FROM \`waba-454907.whatsapp_analytics.conversation_summary\` AS cs
+                        LEFT JOIN UNNEST(@watermarks) AS watermark ON watermark.uid = cs.uid
+                        LEFT JOIN UNNEST(@pending_chats) AS pending ON pending.uid = cs.uid AND pending.chat_id = cs.chat_id
+                        WHERE cs.uid IN UNNEST(@workspace_ids)
+                        AND cs.chat_id NOT LIKE '%missing%' AND (cs.chat_id LIKE '%@g.us%') = @group_chats
+                        AND (watermark.since IS NULL OR cs.updated_at > watermark.since OR pending.chat_id IS NOT NULL)
+                        AND (@chat_id IS NULL OR cs.chat_id = @chat_id OR SPLIT(cs.chat_id, '@')[SAFE_OFFSET(0)] = @chat_id)
                     `,
                     params: {
-                        workspace_ids: workspaceIds
+                        workspace_ids: workspaceIds,
+                        watermarks: batchWatermarks,
+                        pending_chats: batchPendingChats,
+                        chat_id: options.chatId ? String(options.chatId) : null,
+                        group_chats: groupChats
+                    },
+                    types: {
+                        workspace_ids: ['STRING'],
+                        watermarks: [{ uid: 'STRING', since: 'TIMESTAMP' }],
+                        pending_chats: [{ uid: 'STRING', chat_id: 'STRING' }],
+                        chat_id: 'STRING',
+                        group_chats: 'BOOL'
                     }
                 };
                 
@@ -126,8 +256,9 @@ async function extractDataFromActiveUsers(batchSize = 25) {
         console.log(`Total records retrieved: ${allResults.length}`);
         return {
             conversationSummary: allResults,
-            activeHubspotUsers: hubspotUsers,
-            activeZohoUsers: zohoUsers
+            activeUsersByCrm: activeUsersByCrm,
+            watermarks: watermarks,
+            pendingCreations: pendingCreations
         };
         
     } catch (error) {
@@ -136,18 +267,24 @@ async function extractDataFromActiveUsers(batchSize = 25) {
     }
 }
 
-async function processDataToBeSyncedWithHubspot() {
+/**
+ * Read the conversations to be synced with a CRM and look up the contact of each chat
+ * @param {string} crm - CRM name from crmRegistry, e.g. hubspot
+ * @param {Object} options - { fullResync, workspaceId, chatId }
+ * @returns {Array} One entry per workspace: { uid, org_id, <credentials>, settings, fieldMapping, chats }
+ */
+async function processDataToBeSynced(crm, options = {}) {
+    const adapter = getCrmAdapter(crm);
     try {
-        const { conversationSummary, activeHubspotUsers } = await extractDataFromActiveUsers(25);
-        
-        // Create maps of workspace_id to tokens for quick lookup
-        const accessTokenMap = activeHubspotUsers.reduce((acc, user) => {
-            acc[user.workspace_id] = user.access_token;
-            return acc;
-        }, {});
-        
-        const refreshTokenMap = activeHubspotUsers.reduce((acc, user) => {
-            acc[user.workspace_id] = user.refresh_token;
+        const { conversationSummary: allConversationSummary, activeUsersByCrm, watermarks, pendingCreations } = await extractDataFromActiveUsers(25, {
+            ...options,
+            crms: [adapter.name]
+        });
+        const conversationSummary = allConversationSummary.filter(row =>
+            isNewerThanWatermark(row, watermarks[adapter.name]) || isPendingCreation(row, pendingCreations[adapter.name]));
+
+        const activeUserMap = activeUsersByCrm[adapter.name].reduce((acc, user) => {
+            acc[user.workspace_id] = user;
             return acc;
         }, {});
         
@@ -157,8 +294,8 @@ async function processDataToBeSyncedWithHubspot() {
                 acc[curr.uid] = {
                     uid: curr.uid,
                     org_id: curr.org_id,
-                    access_token: accessTokenMap[curr.uid] || null,
-                    refresh_token: refreshTokenMap[curr.uid] || null,
+                    ...adapter.getCredentials(activeUserMap[curr.uid]),
+                    settings: getWorkspaceSettings(curr.uid, activeUserMap[curr.uid]),
                     chats: []
                 };
             }
@@ -174,220 +311,466 @@ async function processDataToBeSyncedWithHubspot() {
         
         // Convert to array format
         const conversationSummaryArray = Object.values(conversationSummaryByUid);
+        conversationSummaryArray.forEach(conversation => {
+            conversation.fieldMapping = getFieldMapping(adapter.name, conversation.settings);
+        });
         
         // Process each conversation to add contactId information
         try {
             for (const conversation of conversationSummaryArray) {
-                if (conversation.access_token) {
-                    console.log('fetching hubspot contacts for uid: ', conversation.uid);
+                if (conversation.access_token || conversation.refresh_token) {
+                    console.log(`fetching ${adapter.name} contacts for uid: `, conversation.uid);
+                    // Numbers without a country code are read in the workspace's default and secondary countries
+                    const phoneRegion = getPhoneRegion(conversation.settings);
                     
                     try {
-                        const result = await contactExistanceBulkOnHubspot(
-                            conversation.access_token, 
-                            conversation.chats.map(chat => chat.chat_id.split('@')[0])
+                        const result = await adapter.withAccessToken(conversation, credentials =>
+                            adapter.findContactsByPhone(
+                                credentials,
+                                conversation.chats.map(chat => chat.chat_id.split('@')[0]),
+                                phoneRegion
+                            )
                         );
                         
                         console.log('Found contacts:', Object.keys(result.chatIdToContactIdMap).length);
+
+                        // A partly failed lookup can't tell unmatched chats from unsearched ones, so nothing is created for them
+                        const failedPhones = new Set(result.failedPhones || []);
+                        if (failedPhones.size > 0) {
+                            console.error(`${failedPhones.size} phone numbers could not be looked up in ${adapter.label} for UID: ${conversation.uid}`);
+                            conversation.lookupFailed = true;
+                        }
                         
-                        // Add contactId to each chat in the conversation
+                        // Add contactId to each chat in the conversation, resolving duplicates with the workspace's policy
+                        const policy = getResolutionPolicy(conversation.settings);
+                        const ambiguousMatches = [];
+                        // Numbers no longer matching several contacts, dropped from the duplicate report
+                        const resolvedPhones = [];
                         conversation.chats.forEach(chat => {
                             const phoneNumber = chat.chat_id.split('@')[0];
                             const contactInfo = result.chatIdToContactIdMap[phoneNumber];
-                            chat.contactId = contactInfo ? contactInfo.contactId : null;
+                            if (!contactInfo) {
+                                chat.contactId = null;
+                                if (failedPhones.has(phoneNumber)) {
+                                    chat.unmatchedReason = UNMATCHED_REASONS.LOOKUP_ERROR;
+                                    return;
+                                }
+                                resolvedPhones.push(phoneNumber);
+                                chat.unmatchedReason = canParsePhoneNumber(phoneNumber, phoneRegion)
+                                    ? UNMATCHED_REASONS.NO_MATCH
+                                    : UNMATCHED_REASONS.PARSE_FAILURE;
+                                return;
+                            }
+
+                            const matches = contactInfo.matches || [{ contactId: contactInfo.contactId }];
+                            const { contactIds, ambiguous } = resolveContactMatches(matches, policy);
+                            chat.contactId = contactIds[0];
+                            if (contactIds.length > 1) {
+                                chat.additionalContactIds = contactIds.slice(1);
+                            }
+                            if (ambiguous) {
+                                ambiguousMatches.push({
+                                    chat_id: chat.chat_id,
+                                    phone: phoneNumber,
+                                    policy,
+                                    contact_ids: matches.map(match => match.contactId),
+                                    resolved_contact_ids: contactIds
+                                });
+                            } else {
+                                resolvedPhones.push(phoneNumber);
+                            }
                         });
+
+                        if (ambiguousMatches.length > 0) {
+                            console.log(`${ambiguousMatches.length} phone numbers matched several ${adapter.label} contacts for UID: ${conversation.uid}, resolved with ${policy}`);
+                            conversation.ambiguousMatches = ambiguousMatches;
+                        }
+                        await recordAmbiguousMatches(adapter.name, conversation.uid, ambiguousMatches, resolvedPhones);
                         
                     } catch (error) {
                         console.error('Error for UID', conversation.uid, ':', error.message);
-                        if (error.response?.status === 401) {
-                            console.error('Authentication failed - access token may be invalid or expired');
+                        const authFailed = adapter.isAuthError ? adapter.isAuthError(error) : error.response?.status === 401;
+                        if (authFailed) {
+                            console.error('Authentication failed - access token could not be refreshed');
                         }
                         
                         // Set contactId to null for all chats in this conversation if there's an error
                         conversation.chats.forEach(chat => {
                             chat.contactId = null;
+                            chat.unmatchedReason = authFailed ? UNMATCHED_REASONS.AUTH_ERROR : UNMATCHED_REASONS.LOOKUP_ERROR;
                         });
+                        conversation.lookupFailed = true;
                     }
                 } else {
                     // Set contactId to null for all chats if no access token
                     conversation.chats.forEach(chat => {
                         chat.contactId = null;
+                        chat.unmatchedReason = UNMATCHED_REASONS.AUTH_ERROR;
                     });
                 }
             }
         } catch (error) {
-            console.error('Error fetching hubspot contacts:', error.response?.data || error.message);
+            console.error(`Error fetching ${adapter.name} contacts:`, error.response?.data || error.message);
             throw error;
         }
         
         // Return the modified conversationSummaryArray with contactId information
         return conversationSummaryArray;
 
-
     } catch (error) {
-        console.error('Error processing data to be processed:', error.response?.data || error.message);
+        console.error(`Error processing data to be synced with ${adapter.label}:`, error.response?.data || error.message);
         throw error;
     }
 }
 
-async function processDataToBeSyncedWithZoho() {
-    try {
-        const { conversationSummary, activeZohoUsers } = await extractDataFromActiveUsers(25);
-        
-        // Create maps of workspace_id to tokens and api domain for quick lookup
-        const accessTokenMap = activeZohoUsers.reduce((acc, user) => {
-            acc[user.workspace_id] = user.access_token;
-            return acc;
-        }, {});
-        
-        const apiDomainMap = activeZohoUsers.reduce((acc, user) => {
-            acc[user.workspace_id] = user.api_domain || 'https://www.zohoapis.com';
-            return acc;
-        }, {});
-        
-        // Group conversation summary by uid - each uid will contain all chats for that user
-        const conversationSummaryByUid = conversationSummary.reduce((acc, curr) => {
-            if (!acc[curr.uid]) {
-                acc[curr.uid] = {
-                    uid: curr.uid,
-                    org_id: curr.org_id,
-                    access_token: accessTokenMap[curr.uid] || null,
-                    api_domain: apiDomainMap[curr.uid] || 'https://www.zohoapis.com',
-                    chats: []
-                };
-            }
-            acc[curr.uid].chats.push({
-                chat_id: curr.chat_id,
-                analytics: curr.analytics,
-                average_response_time: curr.average_response_time,
-                created_at: curr.created_at,
-                updated_at: curr.updated_at
-            });
-            return acc;
-        }, {});
-        
-        // Convert to array format
-        const conversationSummaryArray = Object.values(conversationSummaryByUid);
-        
-        // Process each conversation to add contactId information
-        try {
-            for (const conversation of conversationSummaryArray) {
-                if (conversation.access_token) {
-                    console.log('fetching zoho contacts for uid: ', conversation.uid);
-                    
-                    try {
-                        const result = await contactExistanceBulkOnZoho(
-                            conversation.access_token, 
-                            conversation.chats.map(chat => chat.chat_id.split('@')[0]),
-                            conversation.api_domain
-                        );
-                        
-                        console.log('Found contacts:', Object.keys(result.chatIdToContactIdMap).length);
-                        
-                        // Add contactId to each chat in the conversation
-                        conversation.chats.forEach(chat => {
-                            const phoneNumber = chat.chat_id.split('@')[0];
-                            const contactInfo = result.chatIdToContactIdMap[phoneNumber];
-                            chat.contactId = contactInfo ? contactInfo.contactId : null;
-                        });
-                        
-                    } catch (error) {
-                        console.error('Error for UID', conversation.uid, ':', error.message);
-                        if (error.response?.status === 401) {
-                            console.error('Authentication failed - access token may be invalid or expired');
-                        }
-                        
-                        // Set contactId to null for all chats in this conversation if there's an error
-                        conversation.chats.forEach(chat => {
-                            chat.contactId = null;
-                        });
-                    }
-                } else {
-                    // Set contactId to null for all chats if no access token
-                    conversation.chats.forEach(chat => {
-                        chat.contactId = null;
-                    });
-                }
-            }
-        } catch (error) {
-            console.error('Error fetching zoho contacts:', error.response?.data || error.message);
-            throw error;
-        }
-        
-        // Return the modified conversationSummaryArray with contactId information
-        return conversationSummaryArray;
+// Make sure the mapped fields exist before writing to them, once per workspace and run
+async function ensureWorkspaceFields(adapter, conversation) {
+    if (conversation.fieldsEnsured) return;
+    conversation.fieldsEnsured = true;
 
-    } catch (error) {
-        console.error('Error processing data to be synced with Zoho:', error.response?.data || error.message);
-        throw error;
+    try {
+        await adapter.withAccessToken(conversation, credentials =>
+            adapter.ensureFields(credentials, conversation.fieldMapping)
+        );
+    } catch (fieldsError) {
+        console.error(`Error provisioning ${adapter.label} fields for UID ${conversation.uid}:`, fieldsError.response?.data || fieldsError.message);
     }
 }
 
-async function syncDataWithHubspot() {
+/**
+ * Push the analytics of every matched contact to a CRM
+ * @param {string} crm - CRM name from crmRegistry, e.g. hubspot
+ * @param {Object} options - { fullResync, dryRun, workspaceId, chatId }
+ * @returns {Object} Summary: { crm, dryRun, workspacesProcessed, contactsMatched, ambiguousMatches, contactsCreated, contactsSkipped, contactsUpdated, companiesUpdated, dealsUpdated, windowsRefreshed?, workspaces? }
+ */
+async function syncData(crm, options = {}) {
+    const adapter = getCrmAdapter(crm);
     try {
-        const conversationSummaryArray = await processDataToBeSyncedWithHubspot();
+        const conversationSummaryArray = await processDataToBeSynced(adapter.name, options);
+
+        const summary = {
+            crm: adapter.name,
+            dryRun: Boolean(options.dryRun),
+            workspacesProcessed: 0,
+            contactsMatched: 0,
+            ambiguousMatches: 0,
+            contactsCreated: 0,
+            contactsSkipped: 0,
+            contactsUpdated: 0,
+            companiesUpdated: 0,
+            dealsUpdated: 0
+        };
+        if (options.dryRun) {
+            summary.workspaces = [];
+        }
         
         for (const conversation of conversationSummaryArray) {
             if (conversation.access_token && conversation.chats.length > 0) {
-                // Filter chats that have contactId
-                const chatsWithContacts = conversation.chats.filter(chat => chat.contactId);
+                summary.workspacesProcessed++;
+                summary.contactsMatched += conversation.chats.filter(chat => chat.contactId).length;
+                summary.ambiguousMatches += (conversation.ambiguousMatches || []).length;
+
+                // Workspaces that opted in get a contact for each unmatched chat. Not after a failed
+                // lookup, every chat looks unmatched then.
+                let contactCreation = null;
+                if (adapter.createContactsBatch && !conversation.lookupFailed && getContactCreationSettings(conversation.settings).enabled) {
+                    try {
+                        if (!options.dryRun) {
+                            await ensureWorkspaceFields(adapter, conversation);
+                        }
+                        contactCreation = await createMissingContacts(adapter, conversation, options);
+                        summary.contactsCreated += contactCreation.created;
+                    } catch (error) {
+                        console.error(`Error creating ${adapter.label} contacts for UID ${conversation.uid}:`, error.response?.data || error.message);
+                    }
+                }
+
+                // The unmatched chat report and the window refresh read these back instead of searching every number again
+                if (!options.dryRun) {
+                    await recordUnmatchedChats(adapter.name, conversation.uid, conversation.chats);
+                    await recordMatchedChats(adapter.name, conversation.uid, conversation.chats);
+                }
+
+                // Filter chats that have contactId, one per contact when a chat resolved to several
+                const chatsWithContacts = expandResolvedChats(conversation.chats.filter(chat => chat.contactId));
+
+                // Rolling windows and derived metrics come from the message table, read only when the mapping
+                // writes them. Without them those fields are left out of the payload rather than zeroed. The windows
+                // of chats outside this run are kept up to date by refreshMessageWindows.
+                if (chatsWithContacts.length > 0 && usesMessageMetrics(conversation.fieldMapping)) {
+                    try {
+                        await attachMessageMetrics(conversation.uid, chatsWithContacts);
+                    } catch (error) {
+                        console.error(`Error reading message metrics for UID ${conversation.uid}:`, error.message);
+                    }
+                }
+
+                // Leave out contacts whose properties are identical to the last push
+                const { changedChats: chatsToSync, skippedCount, fingerprints } = await filterUnchangedChats(
+                    adapter.name,
+                    conversation.uid,
+                    chatsWithContacts,
+                    chat => adapter.buildContactProperties(chat, conversation.fieldMapping),
+                    { force: options.fullResync }
+                );
+                summary.contactsSkipped += skippedCount;
+                if (skippedCount > 0) {
+                    console.log(`Skipping ${skippedCount} unchanged contacts for UID: ${conversation.uid}`);
+                }
+
+                const dealSyncEnabled = Boolean(adapter.findOpenDeals && adapter.updateDealsBatch) &&
+                    getDealSyncSettings(conversation.settings).enabled;
+
+                // Dry run: build the payloads and read the values they would overwrite, write nothing
+                if (options.dryRun) {
+                    try {
+                        const contacts = chatsToSync.length > 0
+                            ? await adapter.withAccessToken(conversation, credentials =>
+                                    adapter.previewContactsBatch(credentials, chatsToSync, conversation.fieldMapping)
+                                )
+                            : [];
+                        const companyRollups = chatsToSync.length > 0 && adapter.companyRollupsEnabled && adapter.rollUpCompanies
+                            ? await adapter.withAccessToken(conversation, credentials =>
+                                    adapter.rollUpCompanies(credentials, chatsWithContacts, conversation.fieldMapping, { dryRun: true })
+                                )
+                            : null;
+                        const dealAnalytics = chatsToSync.length > 0 && dealSyncEnabled
+                            ? await syncDealAnalytics(adapter, conversation, chatsWithContacts, { dryRun: true })
+                            : null;
+                        summary.workspaces.push({
+                            uid: conversation.uid,
+                            contacts: contacts,
+                            ...(companyRollups ? { companyRollups: companyRollups.companies } : {}),
+                            ...(dealAnalytics ? { deals: dealAnalytics.deals } : {}),
+                            ...(contactCreation ? { contactsToCreate: contactCreation.candidates } : {}),
+                            ...(conversation.ambiguousMatches ? { ambiguousMatches: conversation.ambiguousMatches } : {})
+                        });
+                    } catch (error) {
+                        console.error(`Error previewing contacts for UID ${conversation.uid}:`, error.message);
+                        summary.workspaces.push({ uid: conversation.uid, contacts: [], error: error.message });
+                    }
+                    continue;
+                }
+
+                // Fields the sync stopped writing would keep their last value on every contact
+                try {
+                    await clearRetiredFields(adapter, conversation);
+                } catch (error) {
+                    console.error(`Error clearing retired ${adapter.label} fields for UID ${conversation.uid}:`, error.response?.data || error.message);
+                }
                 
-                if (chatsWithContacts.length > 0) {
-                    console.log(`Syncing ${chatsWithContacts.length} contacts for UID: ${conversation.uid}`);
+                if (chatsToSync.length > 0) {
+                    console.log(`Syncing ${chatsToSync.length} contacts for UID: ${conversation.uid}`);
+
+                    await ensureWorkspaceFields(adapter, conversation);
                     
                     try {
-                        await updateHubspotContactsBatch(conversation.access_token, chatsWithContacts);
-                        console.log(`Successfully synced ${chatsWithContacts.length} contacts for UID: ${conversation.uid}`);
+                        const result = await adapter.withAccessToken(conversation, credentials =>
+                            adapter.updateContactsBatch(credentials, chatsToSync, conversation.fieldMapping)
+                        );
+
+                        if (adapter.activitySyncEnabled && adapter.pushActivities) {
+                            try {
+                                await adapter.withAccessToken(conversation, credentials =>
+                                    adapter.pushActivities(credentials, conversation.uid, chatsToSync)
+                                );
+                            } catch (activityError) {
+                                // The properties are already updated, a missing note shouldn't fail the workspace
+                                console.error(`Error logging ${adapter.label} activities for UID ${conversation.uid}:`, activityError.message);
+                            }
+                        }
+
+                        // Rolled up over every contact of the workspace in this run, not only the changed ones,
+                        // so a company's totals don't depend on which of its contacts changed
+                        if (adapter.companyRollupsEnabled && adapter.rollUpCompanies) {
+                            try {
+                                const rollup = await adapter.withAccessToken(conversation, credentials =>
+                                    adapter.rollUpCompanies(credentials, chatsWithContacts, conversation.fieldMapping)
+                                );
+                                summary.companiesUpdated += rollup.totalUpdated;
+                            } catch (rollupError) {
+                                console.error(`Error rolling up ${adapter.label} companies for UID ${conversation.uid}:`, rollupError.message);
+                            }
+                        }
+
+                        // A deal summarizes all of its contacts, so it's built from every contact in the run as well
+                        if (dealSyncEnabled) {
+                            try {
+                                const dealResult = await syncDealAnalytics(adapter, conversation, chatsWithContacts);
+                                summary.dealsUpdated += dealResult.dealsUpdated;
+                            } catch (dealError) {
+                                console.error(`Error updating ${adapter.label} deals for UID ${conversation.uid}:`, dealError.message);
+                            }
+                        }
+
+                        summary.contactsUpdated += result.totalUpdated;
+
+                        try {
+                            await saveFingerprints(adapter.name, conversation.uid, fingerprints, result.updatedContactIds);
+                        } catch (fingerprintError) {
+                            console.error(`Error saving fingerprints for UID ${conversation.uid}:`, fingerprintError.message);
+                        }
+
+                        if (result.totalUpdated < result.totalProcessed) {
+                            console.log(`Synced ${result.totalUpdated}/${result.totalProcessed} contacts for UID: ${conversation.uid}, keeping the previous watermark`);
+                            continue;
+                        }
+                        console.log(`Successfully synced ${chatsToSync.length} contacts for UID: ${conversation.uid}`);
                     } catch (error) {
                         console.error(`Error syncing contacts for UID ${conversation.uid}:`, error.message);
                         // Continue with next conversation instead of failing completely
                         continue;
                     }
                 }
+
+                // Every chat up to the newest updated_at is in the CRM, the next run starts after it.
+                // A single-chat run leaves the workspace's other chats behind, so it keeps the watermark.
+                if (!conversation.lookupFailed && !options.chatId) {
+                    try {
+                        await advanceWatermark(adapter.name, conversation.uid, conversation.chats);
+                    } catch (error) {
+                        console.error(`Error saving watermark for UID ${conversation.uid}:`, error.message);
+                    }
+                }
+            } else if (!options.dryRun) {
+                // Nothing was searched without a token, the report still lists these chats
+                await recordUnmatchedChats(adapter.name, conversation.uid, conversation.chats);
             }
         }
+
+        // A full resync wrote every window already, a single-chat run leaves the others alone
+        if (!options.dryRun && !options.fullResync && !options.chatId) {
+            summary.windowsRefreshed = await refreshMessageWindows(adapter, conversationSummaryArray, options);
+        }
+
+        return summary;
     } catch (error) {
-        console.error('Error syncing data with Hubspot:', error.response?.data || error.message);
+        console.error(`Error syncing data with ${adapter.label}:`, error.response?.data || error.message);
         throw error;
     }
 }
 
-async function syncDataWithZoho() {
+/**
+ * Write the rolling windows of contacts matched by earlier runs whose counts moved as their messages aged.
+ * Only the window fields are written: no phone lookups, no fingerprints, no watermark.
+ * @param {Object} adapter - CRM adapter
+ * @param {Array} conversations - Conversation groups of this run, their chats are written already
+ * @param {Object} options - { workspaceId }
+ * @returns {number} Contacts updated
+ */
+async function refreshMessageWindows(adapter, conversations, options = {}) {
+    let totalUpdated = 0;
     try {
-        const conversationSummaryArray = await processDataToBeSyncedWithZoho();
-        
-        for (const conversation of conversationSummaryArray) {
-            if (conversation.access_token && conversation.chats.length > 0) {
-                // Filter chats that have contactId
-                const chatsWithContacts = conversation.chats.filter(chat => chat.contactId);
-                
-                if (chatsWithContacts.length > 0) {
-                    console.log(`Syncing ${chatsWithContacts.length} contacts for UID: ${conversation.uid}`);
-                    
-                    try {
-                        await updateZohoContactsBatch(
-                            conversation.access_token, 
-                            chatsWithContacts, 
-                            conversation.api_domain
-                        );
-                        console.log(`Successfully synced ${chatsWithContacts.length} contacts for UID: ${conversation.uid}`);
-                    } catch (error) {
-                        console.error(`Error syncing contacts for UID ${conversation.uid}:`, error.message);
-                        // Continue with next conversation instead of failing completely
+        const activeUsers = (await getActiveUsersByCrm([adapter.name], options.workspaceId))[adapter.name];
+
+        for (const user of activeUsers) {
+            if (!user.access_token) continue;
+
+            const uid = String(user.workspace_id);
+            const settings = getWorkspaceSettings(uid, user);
+            const windowMapping = getWindowFieldMapping(getFieldMapping(adapter.name, settings));
+            if (windowMapping.length === 0) continue;
+
+            const syncedChats = conversations.find(conversation => String(conversation.uid) === uid)?.chats || [];
+            try {
+                const { chats, refreshedAt } = await prepareWindowRefresh(adapter.name, uid, new Set(syncedChats.map(chat => chat.chat_id)));
+
+                if (chats.length > 0) {
+                    console.log(`Refreshing the message windows of ${chats.length} ${adapter.label} contacts for UID: ${uid}`);
+                    const conversation = { uid, ...adapter.getCredentials(user), settings };
+                    const result = await adapter.withAccessToken(conversation, credentials =>
+                        adapter.updateContactsBatch(credentials, chats, windowMapping)
+                    );
+                    totalUpdated += result.totalUpdated;
+
+                    // The next run looks at the same boundaries again
+                    if (result.totalUpdated < result.totalProcessed) {
+                        console.log(`Refreshed ${result.totalUpdated}/${result.totalProcessed} message windows for UID: ${uid}, keeping the previous refresh time`);
                         continue;
                     }
                 }
+
+                await saveWindowRefresh(adapter.name, uid, refreshedAt);
+            } catch (error) {
+                console.error(`Error refreshing message windows for UID ${uid}:`, error.response?.data || error.message);
             }
         }
     } catch (error) {
-        console.error('Error syncing data with Zoho:', error.response?.data || error.message);
+        // The run's own contacts are written already
+        console.error(`Error refreshing ${adapter.label} message windows:`, error.response?.data || error.message);
+    }
+
+    return totalUpdated;
+}
+
+/**
+ * List the chats that matched no CRM contact, with the reason and the phone variations tried.
+ * Read from what the sync runs recorded, nothing is searched in the CRMs and nothing is written.
+ * @param {Object} options - { crm, workspaceId, chatId } - crm defaults to every registered CRM
+ * @returns {Array} Report from buildUnmatchedChatReport, for all requested CRMs
+ */
+async function getUnmatchedChats(options = {}) {
+    try {
+        const crms = options.crm ? [getCrmAdapter(options.crm).name] : getCrmNames();
+        const activeUsersByCrm = await getActiveUsersByCrm(crms, options.workspaceId);
+        const report = [];
+
+        for (const crm of crms) {
+            const workspaces = activeUsersByCrm[crm].map(user => ({
+                uid: String(user.workspace_id),
+                settings: getWorkspaceSettings(String(user.workspace_id), user)
+            }));
+            report.push(...await readUnmatchedChatReport(crm, workspaces, options.chatId ? String(options.chatId) : null));
+        }
+
+        return report;
+    } catch (error) {
+        console.error('Error building unmatched chat report:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Reconcile the HubSpot property schema of every active HubSpot workspace
+ * @param {Object} options - { workspaceId, fix, objectType } - fix updates drifted properties in place,
+ *   objectType defaults to contacts
+ * @returns {Array} One reconcile report (or error) per workspace
+ */
+async function reconcileHubspotSchemas(options = {}) {
+    const adapter = getCrmAdapter('hubspot');
+    try {
+        const { hubspot: activeHubspotUsers } = await getActiveUsersByCrm([adapter.name], options.workspaceId);
+
+        const reports = [];
+        for (const user of activeHubspotUsers) {
+            if (!user.access_token) continue;
+
+            const conversation = {
+                uid: user.workspace_id,
+                ...adapter.getCredentials(user)
+            };
+            try {
+                const report = await adapter.withAccessToken(conversation, ({ accessToken }) =>
+                    reconcileHubspotProperties(accessToken, options.objectType || 'contacts', { fix: options.fix })
+                );
+                reports.push({ uid: user.workspace_id, ...report });
+            } catch (error) {
+                console.error(`Error reconciling HubSpot properties for UID ${user.workspace_id}:`, error.response?.data || error.message);
+                reports.push({ uid: user.workspace_id, error: error.response?.data?.message || error.message });
+            }
+        }
+
+        return reports;
+    } catch (error) {
+        console.error('Error reconciling HubSpot schemas:', error.response?.data || error.message);
         throw error;
     }
 }
 
 module.exports = {
     extractDataFromActiveUsers,
-    processDataToBeSyncedWithHubspot,
-    processDataToBeSyncedWithZoho,
-    syncDataWithHubspot,
-    syncDataWithZoho
+    processDataToBeSynced,
+    syncData,
+    getUnmatchedChats,
+    reconcileHubspotSchemas
 };
@@ -1,11 +1,134 @@
 const axios = require('axios');
 const dotenv = require('dotenv');
-const { generatePhoneNumberVariations } = require('./phoneNumberParsing');
+const { generatePhoneNumberVariations, normalizePhoneNumber } = require('./phoneNumberParsing');
 const { logWebhookSiteConfig } = require('./webhookSiteConfig');
 const { retryWithBackoff } = require('./utils');
+const { isHubspotAuthError, withHubspotAccessToken } = require('./hubspotAuth');
+const { getFieldMapping, buildMappedProperties } = require('./fieldMapping');
+const { reconcileHubspotProperties, ensureHubspotPropertySchema } = require('./hubspotPropertySchema');
+const { pushAnalyticsActivityToHubspot } = require('./analyticsPushToActivity');
+const { rollUpHubspotCompanies } = require('./companyRollups');
+const {
+    getHubspotAssociationsBatch,
+    readHubspotObjectsBatch,
+    updateHubspotObjectsBatch
+} = require('./hubspotObjects');
 dotenv.config();
 
-async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
+// Contacts returned per search page, the most HubSpot allows
+const SEARCH_PAGE_SIZE = 200;
+
+// HubSpot search can't page past the 10,000th result of a query
+const SEARCH_RESULT_CEILING = 10000;
+
+// Phone properties a contact is matched on, one filter group each (filter groups are ORed)
+const PHONE_SEARCH_PROPERTIES = [
+    "hs_searchable_calculated_phone_number",
+    "hs_searchable_calculated_mobile_number",
+    "phone",
+    "mobilephone",
+    "hs_whatsapp_phone_number"
+];
+
+function buildPhoneSearchRequest(phoneVariations, after) {
+    return {
+        filterGroups: PHONE_SEARCH_PROPERTIES.map(propertyName => ({
+            filters: [
+                {
+                    propertyName,
+                    operator: "IN",
+                    values: phoneVariations
+                }
+            ]
+        })),
+        properties: [
+            "id",
+            "email", 
+            "firstname",
+            "lastname",
+            ...PHONE_SEARCH_PROPERTIES
+        ],
+        // Stable order so the cursor doesn't skip or repeat contacts between pages
+        sorts: [{ propertyName: "hs_object_id", direction: "ASCENDING" }],
+        limit: SEARCH_PAGE_SIZE,
+        ...(after ? { after } : {})
+    };
+}
+
+/**
+ * Search contacts matching any of the phone variations, following the paging cursor.
+ * A search that hits HubSpot's 10,000-result ceiling is split in half and each half searched on its own.
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array<string>} phoneVariations - Up to 100 phone number variations
+ * @param {string} batchLabel - Batch position for the logs, e.g. 2/5
+ * @returns {Array} Contacts from the search results, may contain the same contact twice after a split
+ */
+async function searchHubspotContactsByPhones(accessToken, phoneVariations, batchLabel) {
+    const contacts = [];
+    let after = null;
+    let page = 0;
+
+    do {
+        const searchRequest = buildPhoneSearchRequest(phoneVariations, after);
+
+        // Log the search request
+        logWebhookSiteConfig({
+            operation: 'HubSpot Contact Search',
+            batch: batchLabel,
+            page: page + 1,
+            phoneCount: phoneVariations.length,
+            searchRequest: searchRequest
+        });
+
+        const response = await retryWithBackoff(async () => await axios.post('https://api.hubapi.com/crm/v3/objects/contacts/search', searchRequest, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }));
+
+        if (page === 0 && response.data.total > SEARCH_RESULT_CEILING) {
+            if (phoneVariations.length > 1) {
+                const middle = Math.ceil(phoneVariations.length / 2);
+                console.log(`Batch ${batchLabel} matches ${response.data.total} contacts, above the search ceiling, splitting it in two`);
+                const firstHalf = await searchHubspotContactsByPhones(accessToken, phoneVariations.slice(0, middle), `${batchLabel}a`);
+                const secondHalf = await searchHubspotContactsByPhones(accessToken, phoneVariations.slice(middle), `${batchLabel}b`);
+                return [...firstHalf, ...secondHalf];
+            }
+            // A single number can't be split further, the contacts past the ceiling stay unmatched
+            console.error(`Phone variation ${phoneVariations[0]} matches ${response.data.total} contacts, only the first ${SEARCH_RESULT_CEILING} are read`);
+        }
+
+        const results = response.data.results || [];
+        contacts.push(...results);
+
+        // Log the search response
+        logWebhookSiteConfig({
+            operation: 'HubSpot Contact Search Response',
+            batch: batchLabel,
+            page: page + 1,
+            foundContacts: results.length,
+            contacts: results
+        });
+
+        after = response.data.paging?.next?.after || null;
+        page++;
+
+        // The cursor stops working at the ceiling
+        if (after && Number(after) >= SEARCH_RESULT_CEILING) {
+            after = null;
+        }
+
+        // Add delay between pages to avoid rate limiting
+        if (after) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    } while (after);
+
+    return contacts;
+}
+
+async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = [], phoneRegion = {}) {
     try {
         // Create a mapping of original phone numbers to their variations
         const phoneToVariationsMap = {};
@@ -13,14 +136,14 @@ async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
         
         phoneNumbers.forEach(phone => {
             if (phone && typeof phone === 'string') {
-                const variations = generatePhoneNumberVariations(phone);
+                const variations = generatePhoneNumberVariations(phone, phoneRegion);
                 phoneToVariationsMap[phone] = variations;
                 allPhoneNumberVariations.push(...variations);
             }
         });
                 
         if (allPhoneNumberVariations.length === 0) {
-            return [];
+            return { chatIdToContactIdMap: {} };
         }
         
         // Split phone number variations into batches of 100
@@ -32,105 +155,18 @@ async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
         console.log(`Processing ${batches.length} batches of phone number variations`);
         
         const allContacts = [];
+        // Variations of batches that failed, their phones can't be called unmatched
+        const failedVariations = new Set();
         
         // Process each batch
         for (let i = 0; i < batches.length; i++) {
             const batch = batches[i];
             console.log(`Processing batch ${i + 1}/${batches.length} with ${batch.length} phone variations`);
             
-            // Define searchRequest outside try block so it's accessible in catch block
-            const searchRequest = {
-                filterGroups: [
-                    {
-                        filters: [
-                            {
-                                propertyName: "hs_searchable_calculated_phone_number",
-                                operator: "IN",
-                                values: batch
-                            }
-                        ]
-                    },
-                    {
-                        filters: [
-                            {
-                                propertyName: "hs_searchable_calculated_mobile_number", 
-                                operator: "IN",
-                                values: batch
-                            }
-                        ]
-                    },
-                    {
-                        filters: [
-                            {
-                                propertyName: "phone",
-                                operator: "IN", 
-                                values: batch
-                            }
-                        ]
-                    },
-                    {
-                        filters: [
-                            {
-                                propertyName: "mobilephone",
-                                operator: "IN",
-                                values: batch
-                            }
-                        ]
-                    },
-                    {
-                        filters: [
-                            {
-                                propertyName: "hs_whatsapp_phone_number",
-                                operator: "IN",
-                                values: batch
-                            }
-                        ]
-                    }
-                ],
-                properties: [
-                    "id",
-                    "email", 
-                    "firstname",
-                    "lastname",
-                    "phone",
-                    "mobilephone",
-                    "hs_searchable_calculated_phone_number",
-                    "hs_searchable_calculated_mobile_number",
-                    "hs_whatsapp_phone_number"
-                ],
-                limit: 100
-            };
-            
             try {
-                // Log the search request
-                logWebhookSiteConfig({
-                    operation: 'HubSpot Contact Search',
-                    batch: `${i + 1}/${batches.length}`,
-                    phoneCount: batch.length,
-                    searchRequest: searchRequest
-                });
-
-                const response = await retryWithBackoff(async () => await axios.post('https://api.hubapi.com/crm/v3/objects/contacts/search', searchRequest, {
-                    headers: {
-                        'Authorization': `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                }));
-                
-                if (response.data.results && response.data.results.length > 0) {
-                    allContacts.push(...response.data.results);
-                    console.log(`Batch ${i + 1} found ${response.data.results.length} contacts`);
-                    
-                    // Log the search response
-                    logWebhookSiteConfig({
-                        operation: 'HubSpot Contact Search Response',
-                        batch: `${i + 1}/${batches.length}`,
-                        foundContacts: response.data.results.length,
-                        contacts: response.data.results
-                    });
-                } else {
-                    console.log(`Batch ${i + 1} found 0 contacts`);
-                }
+                const contacts = await searchHubspotContactsByPhones(accessToken, batch, `${i + 1}/${batches.length}`);
+                allContacts.push(...contacts);
+                console.log(`Batch ${i + 1} found ${contacts.length} contacts`);
                 
                 // Add delay between batches to avoid rate limiting
                 if (i < batches.length - 1) {
@@ -140,18 +176,21 @@ async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
             } catch (batchError) {
                 console.error(`Error in batch ${i + 1}:`, batchError.message);
                 console.error('Error details:', batchError.response?.data);
-                // Continue with next batch
+                // An expired token fails every batch, let the caller refresh it and retry
+                if (isHubspotAuthError(batchError)) {
+                    throw batchError;
+                }
+                // Continue with next batch, reporting its phones as failed lookups
+                batch.forEach(variation => failedVariations.add(variation));
                 continue;
             }
         }
         
-        // Remove duplicate contacts based on ID
-        const uniqueContacts = allContacts.reduce((acc, contact) => {
-            if (!acc.find(c => c.id === contact.id)) {
-                acc.push(contact);
-            }
+        // Remove duplicate contacts based on ID, ordered by ID so matching doesn't depend on how the batches were paged or split
+        const uniqueContacts = Object.values(allContacts.reduce((acc, contact) => {
+            acc[contact.id] = contact;
             return acc;
-        }, []);
+        }, {})).sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
         
         // Create mapping of chat ID (phone number) to contact ID
         const chatIdToContactIdMap = {};
@@ -161,6 +200,13 @@ async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
             if (originalPhone && typeof originalPhone === 'string') {
                 const variations = phoneToVariationsMap[originalPhone] || [];
                 
+                // Stored numbers without a country code are read in the workspace's countries, like the chat's number
+                const chatE164 = normalizePhoneNumber(originalPhone, phoneRegion);
+                const matchesVariation = contactPhone => variations.some(variation =>
+                    contactPhone === variation ||
+                    contactPhone.replace(/\D/g, '') === variation.replace(/\D/g, '')
+                ) || (chatE164 !== null && normalizePhoneNumber(contactPhone, phoneRegion) === chatE164);
+
                 // Find contacts that match any variation of this phone number
                 const matchingContacts = uniqueContacts.filter(contact => {
                     const contactPhones = [
@@ -172,28 +218,36 @@ async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
                     ].filter(Boolean);
                     
                     // Check if any contact phone matches any variation
-                    return variations.some(variation => 
-                        contactPhones.some(contactPhone => 
-                            contactPhone === variation || 
-                            contactPhone.replace(/\D/g, '') === variation.replace(/\D/g, '')
-                        )
-                    );
+                    return contactPhones.some(matchesVariation);
                 });
                 
                 if (matchingContacts.length > 0) {
-                    // Use the first matching contact (you could modify this logic as needed)
+                    // Every match is returned, the workspace's duplicate_contact_policy picks the contact (contactResolution.js)
                     chatIdToContactIdMap[originalPhone] = {
                         contactId: matchingContacts[0].id,
-                        contact: matchingContacts[0]
+                        contact: matchingContacts[0],
+                        matches: matchingContacts.map(contact => ({
+                            contactId: contact.id,
+                            whatsappMatch: Boolean(contact.properties.hs_whatsapp_phone_number) &&
+                                matchesVariation(contact.properties.hs_whatsapp_phone_number),
+                            createdAt: contact.createdAt,
+                            modifiedAt: contact.updatedAt
+                        }))
                     };
                 }
             }
         });
         
+        // Phones without a match that weren't fully searched
+        const failedPhones = Object.keys(phoneToVariationsMap).filter(phone =>
+            !chatIdToContactIdMap[phone] && phoneToVariationsMap[phone].some(variation => failedVariations.has(variation))
+        );
+        
         console.log(`Total contacts found: ${allContacts.length}, Unique contacts: ${uniqueContacts.length}`);
         
         return {
-            chatIdToContactIdMap: chatIdToContactIdMap
+            chatIdToContactIdMap: chatIdToContactIdMap,
+            failedPhones: failedPhones
         };
     } catch (error) {
         console.error('Error checking contact existence bulk on Hubspot:', error.response?.data || error.message);
@@ -210,342 +264,131 @@ async function contactExistanceBulkOnHubspot(accessToken, phoneNumbers = []) {
 async function createHubspotCustomProperties(accessToken) {
     try {
         console.log('Creating custom properties in HubSpot...');
-        
-        // Single API call to get all contact properties
-        const allPropertiesResponse = await axios.get('https://api.hubapi.com/crm/v3/properties/contacts', {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            }
-        });
 
-        const allProperties = allPropertiesResponse.data.results;
+        // The property definitions live in hubspotPropertySchema.js
+        const report = await reconcileHubspotProperties(accessToken, 'contacts');
 
-        // Check if the group exists
-        const groupExists = allProperties.some(prop =>
-            prop.groupName === 'eazybe_whatsapp_integration_properties'
-        );
-
-        if (groupExists) {
-            // Check if all required properties exist in the group
-            const requiredPropertyNames = [
-                'eazybe_total_messages',
-                'eazybe_messages_received',
-                'eazybe_messages_sent',
-                'eazybe_follow_ups',
-                'eazybe_messages_you_got',
-                'eazybe_messages_you_sent',
-                'eazybe_first_response_time',
-                'eazybe_average_response_time',
-                'eazybe_time_since_last_client_message',
-                'eazybe_last_message_send_by',
-                'eazybe_client_replied'
-            ];
-
-            const existingProperties = allProperties.filter(prop =>
-                prop.groupName === 'eazybe_whatsapp_integration_properties' &&
-                requiredPropertyNames.includes(prop.name) &&
-                !prop.archived
-            );
-
-            if (existingProperties.length === requiredPropertyNames.length) {
-                console.log('✓ All properties already exist');
-                return {
-                    status: true,
-                    status_code: 200,
-                    data: {
-                        message: "Properties Already Exists"
-                    }
-                };
-            } else {
-                // Create the extra properties which are missing for older users
-                console.log('→ Group exists but some properties are missing, creating them...');
-                
-                try {
-                    const properties = {
-                        inputs: [
-                            {
-                                hidden: false,
-                                label: "Total Messages",
-                                type: "number",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_total_messages",
-                                fieldType: "number"
-                            },
-                            {
-                                hidden: false,
-                                label: "Messages Received",
-                                type: "number",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_messages_received",
-                                fieldType: "number"
-                            },
-                            {
-                                hidden: false,
-                                label: "Messages Sent",
-                                type: "number",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_messages_sent",
-                                fieldType: "number"
-                            },
-                            {
-                                hidden: false,
-                                label: "Follow-ups",
-                                type: "number",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_follow_ups",
-                                fieldType: "number"
-                            },
-                            {
-                                hidden: false,
-                                label: "Messages you got",
-                                type: "number",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_messages_you_got",
-                                fieldType: "number"
-                            },
-                            {
-                                hidden: false,
-                                label: "Messages you sent",
-                                type: "number",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_messages_you_sent",
-                                fieldType: "number"
-                            },
-                            {
-                                hidden: false,
-                                label: "First Response Time",
-                                type: "string",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_first_response_time",
-                                fieldType: "text"
-                            },
-                            {
-                                hidden: false,
-                                label: "Average Response Time",
-                                type: "string",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_average_response_time",
-                                fieldType: "text"
-                            },
-                            {
-                                hidden: false,
-                                label: "Time Since Last Client Message",
-                                type: "string",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_time_since_last_client_message",
-                                fieldType: "text"
-                            },
-                            {
-                                hidden: false,
-                                label: "Last Message send by",
-                                type: "string",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_last_message_send_by",
-                                fieldType: "text"
-                            },
-                            {
-                                hidden: false,
-                                label: "Client Replied",
-                                type: "string",
-                                groupName: "eazybe_whatsapp_integration_properties",
-                                name: "eazybe_client_replied",
-                                fieldType: "text"
-                            }
-                        ]
-                    };
+        let message = 'Properties Already Exists';
+        if (report.created.length > 0) {
+            message = `Created properties: ${report.created.join(', ')}`;
+        }
+        if (!report.inSync) {
+            message += `. Properties with a different definition: ${report.drift.filter(entry => !entry.fixed).map(entry => entry.name).join(', ')}`;
+        }
 
-                    await axios.post('https://api.hubapi.com/crm/v3/properties/contacts/batch/create', properties, {
-                        headers: {
-                            'Authorization': `Bearer ${accessToken}`,
-                            'Content-Type': 'application/json'
-                        }
-                    });
-
-                    console.log('✓ Missing properties created successfully');
-                    return {
-                        status: true,
-                        status_code: 200,
-                        data: {
-                            message: "Group Already Exists but properties were not present so created them"
-                        }
-                    };
-                } catch (error) {
-                    console.error('✗ Error creating missing properties:', error.response?.data || error.message);
-                    return {
-                        status: false,
-                        status_code: 500,
-                        data: {
-                            error: {
-                                message: error.message
-                            }
-                        }
-                    };
+        return {
+            status: true,
+            status_code: 200,
+            data: {
+                message: message,
+                report: report
+            }
+        };
+    } catch (err) {
+        console.error('✗ Error in createHubspotCustomProperties:', err.response?.data || err.message);
+        return {
+            status: false,
+            status_code: 500,
+            data: {
+                error: {
+                    message: err.message
                 }
             }
-        }
-
-        // If we reach here, the group doesn't exist so create it
-        console.log('→ Group does not exist, creating group and properties...');
-        
-        const groupDetails = {
-            name: 'eazybe_whatsapp_integration_properties',
-            label: 'Eazybe Whatsapp Integration Properties',
-            displayOrder: 1
         };
+    }
+}
 
-        try {
-            await axios.post('https://api.hubapi.com/crm/v3/properties/contacts/groups', groupDetails, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+/**
+ * Build the batch update input (id and mapped properties) for one chat
+ * @param {Object} chat - Chat with contactId, analytics and response times
+ * @param {Array} fieldMapping - Entries from getFieldMapping('hubspot', settings)
+ * @returns {Object} { id, properties }
+ */
+function buildHubspotContactInput(chat, fieldMapping = getFieldMapping('hubspot')) {
+    return {
+        id: chat.contactId,
+        properties: buildMappedProperties(chat, fieldMapping)
+    };
+}
 
-            console.log('✓ Property group created');
-
-            const properties = {
-                inputs: [
-                    {
-                        hidden: false,
-                        label: "Total Messages",
-                        type: "number",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_total_messages",
-                        fieldType: "number"
-                    },
-                    {
-                        hidden: false,
-                        label: "Messages Received",
-                        type: "number",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_messages_received",
-                        fieldType: "number"
-                    },
-                    {
-                        hidden: false,
-                        label: "Messages Sent",
-                        type: "number",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_messages_sent",
-                        fieldType: "number"
-                    },
-                    {
-                        hidden: false,
-                        label: "Follow-ups",
-                        type: "number",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_follow_ups",
-                        fieldType: "number"
-                    },
-                    {
-                        hidden: false,
-                        label: "Messages you got",
-                        type: "number",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_messages_you_got",
-                        fieldType: "number"
-                    },
-                    {
-                        hidden: false,
-                        label: "Messages you sent",
-                        type: "number",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_messages_you_sent",
-                        fieldType: "number"
-                    },
-                    {
-                        hidden: false,
-                        label: "First Response Time",
-                        type: "string",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_first_response_time",
-                        fieldType: "text"
-                    },
-                    {
-                        hidden: false,
-                        label: "Average Response Time",
-                        type: "string",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_average_response_time",
-                        fieldType: "text"
-                    },
-                    {
-                        hidden: false,
-                        label: "Time Since Last Client Message",
-                        type: "string",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_time_since_last_client_message",
-                        fieldType: "text"
-                    },
-                    {
-                        hidden: false,
-                        label: "Last Message send by",
-                        type: "string",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_last_message_send_by",
-                        fieldType: "text"
-                    },
-                    {
-                        hidden: false,
-                        label: "Client Replied",
-                        type: "string",
-                        groupName: "eazybe_whatsapp_integration_properties",
-                        name: "eazybe_client_replied",
-                        fieldType: "text"
-                    }
-                ]
-            };
+/**
+ * Build the update payloads for a set of chats without sending them, alongside
+ * the values currently stored on each HubSpot contact (read-only, used by dry runs)
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array} chatData - Chats with contactId, analytics and response times
+ * @param {Array} fieldMapping - Entries from getFieldMapping('hubspot', settings)
+ * @returns {Array} [{ contactId, chat_id, payload, current, changes }]
+ */
+async function previewHubspotContactsBatch(accessToken, chatData, fieldMapping = getFieldMapping('hubspot')) {
+    try {
+        const uniqueChatData = chatData.reduce((acc, chat) => {
+            if (!acc.find(c => c.contactId === chat.contactId)) {
+                acc.push(chat);
+            }
+            return acc;
+        }, []);
+
+        const propertyNames = fieldMapping.map(entry => entry.field);
+        const currentValues = {};
 
-            await axios.post('https://api.hubapi.com/crm/v3/properties/contacts/batch/create', properties, {
+        for (let i = 0; i < uniqueChatData.length; i += 100) {
+            const batch = uniqueChatData.slice(i, i + 100);
+            const response = await retryWithBackoff(async () => await axios.post('https://api.hubapi.com/crm/v3/objects/contacts/batch/read', {
+                properties: propertyNames,
+                inputs: batch.map(chat => ({ id: String(chat.contactId) }))
+            }, {
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
                     'Content-Type': 'application/json'
                 }
+            }));
+
+            (response.data.results || []).forEach(contact => {
+                currentValues[contact.id] = contact.properties || {};
             });
+        }
+
+        return uniqueChatData.map(chat => {
+            const { properties } = buildHubspotContactInput(chat, fieldMapping);
+            const current = propertyNames.reduce((acc, name) => {
+                acc[name] = currentValues[String(chat.contactId)]?.[name] ?? null;
+                return acc;
+            }, {});
 
-            console.log('✓ Properties created successfully');
-            
             return {
-                status: true,
-                status_code: 200,
-                data: {
-                    message: "Group and properties created successfully"
-                }
+                contactId: chat.contactId,
+                chat_id: chat.chat_id,
+                payload: properties,
+                current: current,
+                changes: getChangedProperties(current, properties)
             };
-        } catch (error) {
-            console.error('✗ Error creating group and properties:', error.response?.data || error.message);
-            return {
-                status: false,
-                status_code: 500,
-                data: {
-                    error: {
-                        message: error.message
-                    }
-                }
-            };
-        }
-    } catch (err) {
-        console.error('✗ Error in createHubspotCustomProperties:', err.response?.data || err.message);
-        return {
-            status: false,
-            status_code: 500,
-            data: {
-                error: {
-                    message: err.message
-                }
-            }
-        };
+        });
+    } catch (error) {
+        console.error('Error previewing HubSpot contacts batch:', error.response?.data || error.message);
+        throw error;
     }
 }
 
+// HubSpot returns every property as a string, so compare string forms
+function getChangedProperties(current, payload) {
+    const normalize = value => (value === null || value === undefined ? '' : String(value));
+
+    return Object.keys(payload).reduce((acc, name) => {
+        if (normalize(current[name]) !== normalize(payload[name])) {
+            acc[name] = { from: current[name] ?? null, to: payload[name] ?? null };
+        }
+        return acc;
+    }, {});
+}
+
 /**
  * Update multiple HubSpot contacts in batch (up to 100 contacts)
  * @param {string} accessToken - HubSpot access token
  * @param {Array} contacts - Array of contact objects with id and properties
+ * @param {Array} fieldMapping - Entries from getFieldMapping('hubspot', settings)
  * @returns {Object} Batch update response
  */
-async function updateHubspotContactsBatch(accessToken, chatData) {
+async function updateHubspotContactsBatch(accessToken, chatData, fieldMapping = getFieldMapping('hubspot')) {
     try {
         // Remove duplicate contact IDs to avoid HubSpot validation errors
         const uniqueChatData = chatData.reduce((acc, chat) => {
@@ -566,22 +409,9 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
 
         console.log(`Processing ${uniqueChatData.length} contacts in ${batches.length} batches of up to ${batchSize} contacts each`);
 
-        let properties = {
-            'eazybe_follow_ups': 0,
-            'eazybe_messages_received': 0,
-            'eazybe_messages_sent': 0,
-            'eazybe_messages_you_got': 0,
-            'eazybe_messages_you_sent': 0,
-            'eazybe_total_messages': 0,
-            'eazybe_first_response_time': 0,
-            'eazybe_average_response_time': 0,
-            'eazybe_time_since_last_client_message': 0,
-            'eazybe_last_message_send_by': 0,
-            'eazybe_client_replied': ''
-        }
-
         const allResults = [];
         let totalUpdated = 0;
+        const updatedContactIds = [];
         let propertiesCreated = false;
 
         // Process each batch
@@ -591,21 +421,7 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
 
             // Define batchData outside try block so it's accessible in catch block
             const batchData = {
-                inputs: batch.map(chat => ({
-                    id: chat.contactId,
-                    properties: {
-                        ...properties,
-                        'eazybe_total_messages': chat.analytics.total_messages,
-                        'eazybe_messages_received': chat.analytics.messages_received,
-                        'eazybe_messages_sent': chat.analytics.messages_sent,
-                        'eazybe_follow_ups': chat.analytics.number_of_follow_ups,
-                        'eazybe_average_response_time': chat.average_response_time,
-                        'eazybe_last_message_send_by': chat.last_message_from === "contact" ? "Client" : "Employee",
-                        'eazybe_first_response_time': chat.first_response_time,
-                        'eazybe_time_since_last_client_message': chat.time_since_last_client_message,
-                        'eazybe_client_replied': chat.client_replied || (chat.analytics.messages_received > 0 ? "Yes" : "No")
-                    }
-                }))
+                inputs: batch.map(chat => buildHubspotContactInput(chat, fieldMapping))
             };
 
             try {
@@ -626,6 +442,7 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
 
                 allResults.push(response.data);
                 totalUpdated += batch.length;
+                updatedContactIds.push(...batch.map(chat => chat.contactId));
                 console.log(`Successfully updated ${batch.length} contacts in batch ${i + 1}`);
 
                 // Log the batch update response
@@ -643,6 +460,11 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
 
             } catch (batchError) {
                 console.error(`Error updating batch ${i + 1}:`, batchError.response?.data || batchError.message);
+
+                // An expired token fails every batch, let the caller refresh it and retry
+                if (isHubspotAuthError(batchError)) {
+                    throw batchError;
+                }
                 
                 // Check if the error is due to missing properties
                 const errorData = batchError.response?.data;
@@ -670,6 +492,7 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
                             
                             allResults.push(retryResponse.data);
                             totalUpdated += batch.length;
+                            updatedContactIds.push(...batch.map(chat => chat.contactId));
                             console.log(`✓ Successfully updated ${batch.length} contacts in batch ${i + 1} after creating properties`);
                             
                             // Log the successful retry
@@ -713,6 +536,7 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
             totalProcessed: uniqueChatData.length,
             totalUpdated: totalUpdated,
             batchesProcessed: batches.length,
+            updatedContactIds: updatedContactIds,
             results: allResults
         };
 
@@ -721,10 +545,260 @@ async function updateHubspotContactsBatch(accessToken, chatData) {
         throw error;
     }
 }
+/**
+ * Create HubSpot contacts for WhatsApp chats that matched no contact (up to 100 per call)
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array} contacts - [{ chat, phone }] with the E.164 phone of each chat
+ * @param {Object} creationSettings - { lead_source }
+ * @returns {Object} { createdContactIds } - map of E.164 phone to new contact id
+ */
+async function createHubspotContactsBatch(accessToken, contacts, creationSettings = {}) {
+    try {
+        const createdContactIds = {};
+
+        for (let i = 0; i < contacts.length; i += 100) {
+            const batch = contacts.slice(i, i + 100);
+
+            try {
+                const response = await axios.post('https://api.hubapi.com/crm/v3/objects/contacts/batch/create', {
+                    inputs: batch.map(({ phone }) => ({
+                        properties: {
+                            phone: phone,
+                            hs_whatsapp_phone_number: phone,
+                            eazybe_lead_source: creationSettings.lead_source
+                        }
+                    }))
+                }, {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                // Results don't come back in request order, match them on the phone we sent
+                (response.data.results || []).forEach(contact => {
+                    if (contact.properties?.phone) {
+                        createdContactIds[contact.properties.phone] = contact.id;
+                    }
+                });
+            } catch (batchError) {
+                console.error(`Error creating HubSpot contacts batch ${i / 100 + 1}:`, batchError.response?.data || batchError.message);
+                if (isHubspotAuthError(batchError)) {
+                    throw batchError;
+                }
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'HubSpot Contacts Created',
+            requested: contacts.length,
+            created: Object.keys(createdContactIds).length
+        });
+
+        return { createdContactIds };
+    } catch (error) {
+        console.error('Error creating HubSpot contacts in batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Deal summary (see dealAnalytics.js) → HubSpot deal property
+const HUBSPOT_DEAL_SUMMARY_PROPERTIES = {
+    contacts: 'eazybe_deal_contacts',
+    messages_last_7_days: 'eazybe_deal_messages_last_7_days',
+    last_client_reply_at: 'eazybe_deal_last_client_reply_date',
+    follow_ups: 'eazybe_deal_follow_ups',
+    last_interaction_date: 'eazybe_deal_last_interaction_date'
+};
+
+/**
+ * Open deals associated with each contact
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array<string>} contactIds - HubSpot contact ids
+ * @returns {Object} Map of contact id to [{ id, name, amount, createdAt, modifiedAt }], contacts without open deals are left out
+ */
+async function findOpenHubspotDeals(accessToken, contactIds) {
+    try {
+        const contactDeals = await getHubspotAssociationsBatch(accessToken, 'contacts', 'deals', contactIds);
+        const dealIds = [...new Set(Object.values(contactDeals).flat())];
+        const deals = await readHubspotObjectsBatch(accessToken, 'deals', dealIds, [
+            'dealname', 'amount', 'hs_is_closed', 'createdate', 'hs_lastmodifieddate'
+        ]);
+
+        return Object.entries(contactDeals).reduce((acc, [contactId, ids]) => {
+            const openDeals = ids
+                .filter(id => deals[id] && deals[id].hs_is_closed !== 'true')
+                .map(id => ({
+                    id,
+                    name: deals[id].dealname,
+                    amount: deals[id].amount,
+                    createdAt: deals[id].createdate,
+                    modifiedAt: deals[id].hs_lastmodifieddate
+                }));
+            if (openDeals.length > 0) {
+                acc[contactId] = openDeals;
+            }
+            return acc;
+        }, {});
+    } catch (error) {
+        console.error('Error finding open HubSpot deals:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Write deal engagement summaries to HubSpot deals
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array} deals - [{ id, summary }] from dealAnalytics
+ * @returns {Object} { totalProcessed, totalUpdated, updatedIds }
+ */
+async function updateHubspotDealAnalytics(accessToken, deals) {
+    await ensureHubspotPropertySchema(accessToken, 'deals');
+
+    return await updateHubspotObjectsBatch(accessToken, 'deals', deals.map(deal => ({
+        id: deal.id,
+        properties: Object.entries(HUBSPOT_DEAL_SUMMARY_PROPERTIES).reduce((acc, [key, property]) => {
+            acc[property] = deal.summary[key];
+            return acc;
+        }, {})
+    })));
+}
 
+/**
+ * Empty contact properties the sync no longer writes on every contact that has a value
+ * @param {string} accessToken - HubSpot access token
+ * @param {Array<string>} propertyNames - Property names
+ * @returns {Object} { cleared } - contacts cleared, counted once per property
+ */
+async function clearHubspotContactProperties(accessToken, propertyNames) {
+    const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+
+    try {
+        let cleared = 0;
+        for (const propertyName of propertyNames) {
+            // Portals connected after the property was retired never had it
+            try {
+                await retryWithBackoff(async () => await axios.get(`https://api.hubapi.com/crm/v3/properties/contacts/${propertyName}`, { headers }));
+            } catch (propertyError) {
+                if (propertyError.response?.status === 404) continue;
+                throw propertyError;
+            }
+
+            // Paged by id rather than with after, cleared contacts leave the search index a few seconds late
+            let lastId = '0';
+            for (;;) {
+                const response = await retryWithBackoff(async () => await axios.post('https://api.hubapi.com/crm/v3/objects/contacts/search', {
+                    filterGroups: [{
+                        filters: [
+                            { propertyName, operator: 'HAS_PROPERTY' },
+                            { propertyName: 'hs_object_id', operator: 'GT', value: lastId }
+                        ]
+                    }],
+                    sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+                    properties: ['hs_object_id'],
+                    limit: SEARCH_PAGE_SIZE
+                }, { headers }));
+
+                const contactIds = (response.data.results || []).map(contact => String(contact.id));
+                if (contactIds.length === 0) break;
+
+                const result = await updateHubspotObjectsBatch(accessToken, 'contacts', contactIds.map(id => ({
+                    id,
+                    properties: { [propertyName]: '' }
+                })));
+                if (result.totalUpdated < result.totalProcessed) {
+                    throw new Error(`Cleared ${propertyName} on ${result.totalUpdated}/${result.totalProcessed} HubSpot contacts`);
+                }
+                cleared += contactIds.length;
+                lastId = contactIds[contactIds.length - 1];
+            }
+        }
+
+        return { cleared };
+    } catch (error) {
+        console.error('Error clearing HubSpot contact properties:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// CRM adapter used by the sync pipeline, see crmRegistry.js for the contract
+const hubspotAdapter = {
+    name: 'hubspot',
+    label: 'HubSpot',
+    isAuthError: isHubspotAuthError,
+    enabledByDefault: true,
+    // Log a conversation summary note on each contact's timeline as well as updating its properties
+    activitySyncEnabled: process.env.ENABLE_HUBSPOT_ACTIVITY_SYNC === 'true',
+    // Aggregate the contacts' analytics onto their associated companies after each update
+    companyRollupsEnabled: process.env.ENABLE_HUBSPOT_COMPANY_ROLLUPS === 'true',
+
+    getCredentials: user => ({
+        access_token: user?.access_token || null,
+        refresh_token: user?.refresh_token || null,
+        token_expires_at: user?.expires_at || null
+    }),
+
+    // Refreshes the token through the refresh token on expiry or a 401
+    withAccessToken: (conversation, operation) =>
+        withHubspotAccessToken(conversation, accessToken => operation({ accessToken })),
+
+    findContactsByPhone: ({ accessToken }, phoneNumbers, phoneRegion) =>
+        contactExistanceBulkOnHubspot(accessToken, phoneNumbers, phoneRegion),
+
+    buildContactProperties: (chat, fieldMapping) =>
+        buildHubspotContactInput(chat, fieldMapping).properties,
+
+    updateContactsBatch: ({ accessToken }, chats, fieldMapping) =>
+        updateHubspotContactsBatch(accessToken, chats, fieldMapping),
+
+    previewContactsBatch: ({ accessToken }, chats, fieldMapping) =>
+        previewHubspotContactsBatch(accessToken, chats, fieldMapping),
+
+    provisionFields: ({ accessToken }) =>
+        reconcileHubspotProperties(accessToken, 'contacts'),
+
+    // Only reconciles portals that aren't recorded on the current property schema version
+    ensureFields: ({ accessToken }) =>
+        ensureHubspotPropertySchema(accessToken, 'contacts'),
+
+    createContactsBatch: ({ accessToken }, contacts, creationSettings) =>
+        createHubspotContactsBatch(accessToken, contacts, creationSettings),
+
+    clearContactFields: ({ accessToken }, fieldNames) =>
+        clearHubspotContactProperties(accessToken, fieldNames),
+
+    pushActivities: ({ accessToken }, workspaceId, chats) =>
+        pushAnalyticsActivityToHubspot(accessToken, workspaceId, chats),
+
+    rollUpCompanies: ({ accessToken }, chats, fieldMapping, options) =>
+        rollUpHubspotCompanies(accessToken, chats, fieldMapping, options),
+
+    findOpenDeals: ({ accessToken }, contactIds) =>
+        findOpenHubspotDeals(accessToken, contactIds),
+
+    updateDealsBatch: ({ accessToken }, deals) =>
+        updateHubspotDealAnalytics(accessToken, deals),
+
+    // A deal's contacts outside the run are read back so its summary covers all of them
+    getDealContacts: ({ accessToken }, dealIds) =>
+        getHubspotAssociationsBatch(accessToken, 'deals', 'contacts', dealIds),
+
+    readContactFields: ({ accessToken }, contactIds, fieldNames) =>
+        readHubspotObjectsBatch(accessToken, 'contacts', contactIds, fieldNames)
+};
 
 module.exports = {
+    hubspotAdapter,
     contactExistanceBulkOnHubspot,
     updateHubspotContactsBatch,
-    createHubspotCustomProperties
+    previewHubspotContactsBatch,
+    buildHubspotContactInput,
+    createHubspotCustomProperties,
+    createHubspotContactsBatch,
+    findOpenHubspotDeals,
+    updateHubspotDealAnalytics,
+    clearHubspotContactProperties
 };
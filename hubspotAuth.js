@@ -0,0 +1,65 @@
+const dotenv = require('dotenv');
+const { exchangeRefreshToken, tokenExpiresAt, createOAuthTokenManager } = require('./oauthTokens');
+dotenv.config();
+
+const HUBSPOT_TOKEN_URL = 'https://api.hubapi.com/oauth/v1/token';
+
+// Refresh this many milliseconds before the token actually expires
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether an axios error means the access token was rejected
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+function isHubspotAuthError(error) {
+    return error?.response?.status === 401;
+}
+
+/**
+ * Exchange a refresh token for a new HubSpot access token
+ * @param {string} refreshToken - HubSpot refresh token
+ * @returns {Object} { access_token, refresh_token, expires_in }
+ */
+async function refreshHubspotAccessToken(refreshToken) {
+    return exchangeRefreshToken({
+        label: 'HubSpot',
+        tokenUrl: HUBSPOT_TOKEN_URL,
+        clientId: process.env.HUBSPOT_CLIENT_ID,
+        clientSecret: process.env.HUBSPOT_CLIENT_SECRET
+    }, refreshToken);
+}
+
+const hubspotTokens = createOAuthTokenManager({
+    crm: 'hubspot',
+    label: 'HubSpot',
+    isAuthError: isHubspotAuthError,
+    expiryMarginMs: EXPIRY_MARGIN_MS,
+    refresh: conversation => refreshHubspotAccessToken(conversation.refresh_token),
+    mapTokens: (tokenData, conversation) => ({
+        access_token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token || conversation.refresh_token,
+        token_expires_at: tokenExpiresAt(tokenData)
+    }),
+    reportFields: tokens => ({
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_at: tokens.token_expires_at
+    })
+});
+
+/**
+ * Run a HubSpot operation with a valid access token, refreshing once on expiry or a 401
+ * @param {Object} conversation - Conversation group with uid, access_token and refresh_token
+ * @param {Function} operation - async (accessToken) => result
+ * @returns {Promise} The result of the operation
+ */
+function withHubspotAccessToken(conversation, operation) {
+    return hubspotTokens.withAccessToken(conversation, operation);
+}
+
+module.exports = {
+    isHubspotAuthError,
+    refreshHubspotAccessToken,
+    withHubspotAccessToken
+};
@@ -0,0 +1,162 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { retryWithBackoff } = require('./utils');
+const { isHubspotAuthError } = require('./hubspotAuth');
+dotenv.config();
+
+// Generic reads and writes on any HubSpot object type, used for companies and deals
+
+/**
+ * Read the associations of records to another object type (up to 100 records per call)
+ * @param {string} accessToken - HubSpot access token
+ * @param {string} fromObjectType - e.g. contacts
+ * @param {string} toObjectType - e.g. companies
+ * @param {Array<string>} ids - Record ids of fromObjectType
+ * @returns {Object} Map of record id to the associated record ids, records without associations are left out
+ */
+async function getHubspotAssociationsBatch(accessToken, fromObjectType, toObjectType, ids = []) {
+    try {
+        const associations = {};
+        const uniqueIds = [...new Set(ids.map(String))];
+
+        for (let i = 0; i < uniqueIds.length; i += 100) {
+            const batch = uniqueIds.slice(i, i + 100);
+
+            const response = await retryWithBackoff(async () => await axios.post(
+                `https://api.hubapi.com/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/read`,
+                { inputs: batch.map(id => ({ id })) },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            ));
+
+            (response.data.results || []).forEach(result => {
+                const toIds = (result.to || []).map(to => String(to.toObjectId));
+                if (toIds.length > 0) {
+                    associations[String(result.from.id)] = toIds;
+                }
+            });
+
+            // Add delay between batches to avoid rate limiting
+            if (i + 100 < uniqueIds.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        return associations;
+    } catch (error) {
+        console.error(`Error reading HubSpot ${fromObjectType} → ${toObjectType} associations:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Read properties of any HubSpot object type (up to 100 records per call)
+ * @param {string} accessToken - HubSpot access token
+ * @param {string} objectType - e.g. contacts
+ * @param {Array<string>} ids - Record ids
+ * @param {Array<string>} properties - Property names to read
+ * @returns {Object} Map of record id to its properties
+ */
+async function readHubspotObjectsBatch(accessToken, objectType, ids = [], properties = []) {
+    try {
+        const records = {};
+        const uniqueIds = [...new Set(ids.map(String))];
+
+        for (let i = 0; i < uniqueIds.length; i += 100) {
+            const batch = uniqueIds.slice(i, i + 100);
+
+            const response = await retryWithBackoff(async () => await axios.post(`https://api.hubapi.com/crm/v3/objects/${objectType}/batch/read`, {
+                properties,
+                inputs: batch.map(id => ({ id }))
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }));
+
+            (response.data.results || []).forEach(record => {
+                records[String(record.id)] = record.properties || {};
+            });
+
+            // Add delay between batches to avoid rate limiting
+            if (i + 100 < uniqueIds.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        return records;
+    } catch (error) {
+        console.error(`Error reading HubSpot ${objectType} in batch:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Update properties of any HubSpot object type in batches of 100
+ * @param {string} accessToken - HubSpot access token
+ * @param {string} objectType - e.g. companies or deals
+ * @param {Array} records - [{ id, properties }]
+ * @returns {Object} { totalProcessed, totalUpdated, updatedIds }
+ */
+async function updateHubspotObjectsBatch(accessToken, objectType, records = []) {
+    try {
+        const updatedIds = [];
+
+        for (let i = 0; i < records.length; i += 100) {
+            const batch = records.slice(i, i + 100);
+
+            try {
+                logWebhookSiteConfig({
+                    operation: `HubSpot ${objectType} Batch Update`,
+                    batch: `${i / 100 + 1}/${Math.ceil(records.length / 100)}`,
+                    records: batch
+                });
+
+                await retryWithBackoff(async () => await axios.post(`https://api.hubapi.com/crm/v3/objects/${objectType}/batch/update`, {
+                    inputs: batch.map(record => ({ id: String(record.id), properties: record.properties }))
+                }, {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }));
+
+                updatedIds.push(...batch.map(record => String(record.id)));
+            } catch (batchError) {
+                console.error(`Error updating HubSpot ${objectType} batch ${i / 100 + 1}:`, batchError.response?.data || batchError.message);
+                // An expired token fails every batch, let the caller refresh it and retry
+                if (isHubspotAuthError(batchError)) {
+                    throw batchError;
+                }
+            }
+
+            // Add delay between batches to avoid rate limiting
+            if (i + 100 < records.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        console.log(`Successfully updated ${updatedIds.length} out of ${records.length} HubSpot ${objectType}`);
+
+        return {
+            totalProcessed: records.length,
+            totalUpdated: updatedIds.length,
+            updatedIds
+        };
+    } catch (error) {
+        console.error(`Error updating HubSpot ${objectType} in batch:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    getHubspotAssociationsBatch,
+    readHubspotObjectsBatch,
+    updateHubspotObjectsBatch
+};
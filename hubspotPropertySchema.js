@@ -0,0 +1,340 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { retryWithBackoff } = require('./utils');
+const { getSyncStateStore } = require('./syncStateStore');
+const { MESSAGE_WINDOW_DAYS } = require('./fieldMapping');
+dotenv.config();
+
+const SCHEMA_VERSION_NAMESPACE = 'hubspot_schema_versions';
+
+// A portal whose drift couldn't be fixed is reconciled again after this long, not on every sync
+const DRIFT_RETRY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Versioned definition of the properties we own in HubSpot, per object type.
+ * Bump the version whenever a property is added or changed so every portal is reconciled again.
+ *
+ * Version history (contacts):
+ * 1 - original eleven eazybe_* properties
+ * 2 - response times and time since last client message are numbers,
+ *     last message send by and client replied are dropdowns
+ * 3 - lead source of contacts created from WhatsApp chats
+ * 4 - last interaction date, read back for the company rollups
+ * 5 - messages sent and received in the last 7, 30 and 90 days, with the trend against the window before
+ * 6 - last client message date replaces time since last client message, which went stale between syncs
+ *     eazybe_time_since_last_client_message stays in the portal, its values are cleared once per workspace
+ *     by the sync (retiredFields.js) so reports don't keep reading them
+ *
+ * Version history (companies):
+ * 1 - analytics of the WhatsApp group chats mapped to the company
+ * 2 - rollups of the company's contacts, in their own property group
+ *
+ * Version history (deals):
+ * 1 - analytics of the WhatsApp group chats mapped to the deal
+ * 2 - engagement summary of the deal's contacts, in their own property group
+ * 3 - when the client last replied replaces the hours since, which went stale between syncs
+ *
+ * Properties go to the schema's group unless they name another one, extra groups are listed in groups.
+ */
+
+// Group chat analytics, the same on companies and deals
+const GROUP_CHAT_PROPERTIES = [
+    { name: 'eazybe_group_chats', label: 'WhatsApp Group Chats', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_group_total_messages', label: 'Group Total Messages', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_group_messages_received', label: 'Group Messages Received', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_group_messages_sent', label: 'Group Messages Sent', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_group_follow_ups', label: 'Group Follow-ups', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_group_average_response_time', label: 'Group Average Response Time', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_group_last_interaction_date', label: 'Group Last Interaction Date', type: 'date', fieldType: 'date' }
+];
+
+const GROUP_CHAT_PROPERTY_GROUP = {
+    name: 'eazybe_whatsapp_group_properties',
+    label: 'Eazybe WhatsApp Group Properties',
+    displayOrder: 1
+};
+
+// WhatsApp engagement of all contacts associated with a company
+const COMPANY_ROLLUP_PROPERTY_GROUP = {
+    name: 'eazybe_whatsapp_rollup_properties',
+    label: 'Eazybe WhatsApp Contact Rollups',
+    displayOrder: 2
+};
+
+const COMPANY_ROLLUP_PROPERTIES = [
+    { name: 'eazybe_rollup_total_messages', label: 'Contacts Total Messages', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_rollup_last_interaction_date', label: 'Contacts Last Interaction Date', type: 'date', fieldType: 'date' },
+    { name: 'eazybe_rollup_worst_average_response_time', label: 'Contacts Worst Average Response Time', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_rollup_engaged_contacts', label: 'Engaged Contacts', type: 'number', fieldType: 'number' }
+].map(property => ({ ...property, groupName: COMPANY_ROLLUP_PROPERTY_GROUP.name }));
+
+// WhatsApp engagement of the contacts an open deal is associated with
+const DEAL_ANALYTICS_PROPERTY_GROUP = {
+    name: 'eazybe_whatsapp_deal_properties',
+    label: 'Eazybe WhatsApp Deal Engagement',
+    displayOrder: 2
+};
+
+const DEAL_ANALYTICS_PROPERTIES = [
+    { name: 'eazybe_deal_contacts', label: 'WhatsApp Contacts', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_deal_messages_last_7_days', label: 'WhatsApp Messages Last 7 Days', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_deal_last_client_reply_date', label: 'Client Last Replied', type: 'datetime', fieldType: 'date' },
+    { name: 'eazybe_deal_follow_ups', label: 'WhatsApp Follow-ups', type: 'number', fieldType: 'number' },
+    { name: 'eazybe_deal_last_interaction_date', label: 'WhatsApp Last Interaction Date', type: 'date', fieldType: 'date' }
+].map(property => ({ ...property, groupName: DEAL_ANALYTICS_PROPERTY_GROUP.name }));
+
+// Rolling windows of the message table, the trend is the percent change of all messages against the window before
+const MESSAGE_WINDOW_PROPERTIES = MESSAGE_WINDOW_DAYS.flatMap(days => [
+    { name: `eazybe_messages_sent_last_${days}_days`, label: `Messages Sent Last ${days} Days`, type: 'number', fieldType: 'number' },
+    { name: `eazybe_messages_received_last_${days}_days`, label: `Messages Received Last ${days} Days`, type: 'number', fieldType: 'number' },
+    { name: `eazybe_messages_trend_${days}_days`, label: `Messages Trend ${days} Days (%)`, type: 'number', fieldType: 'number' }
+]);
+
+const HUBSPOT_PROPERTY_SCHEMAS = {
+    contacts: {
+        version: 6,
+        group: {
+            name: 'eazybe_whatsapp_integration_properties',
+            label: 'Eazybe Whatsapp Integration Properties',
+            displayOrder: 1
+        },
+        properties: [
+            { name: 'eazybe_total_messages', label: 'Total Messages', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_messages_received', label: 'Messages Received', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_messages_sent', label: 'Messages Sent', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_follow_ups', label: 'Follow-ups', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_messages_you_got', label: 'Messages you got', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_messages_you_sent', label: 'Messages you sent', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_first_response_time', label: 'First Response Time', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_average_response_time', label: 'Average Response Time', type: 'number', fieldType: 'number' },
+            { name: 'eazybe_last_client_message_date', label: 'Last Client Message Date', type: 'datetime', fieldType: 'date' },
+            {
+                name: 'eazybe_last_message_send_by',
+                label: 'Last Message send by',
+                type: 'enumeration',
+                fieldType: 'select',
+                options: [
+                    { label: 'Client', value: 'Client', displayOrder: 0 },
+                    { label: 'Employee', value: 'Employee', displayOrder: 1 }
+                ]
+            },
+            {
+                name: 'eazybe_client_replied',
+                label: 'Client Replied',
+                type: 'enumeration',
+                fieldType: 'select',
+                options: [
+                    { label: 'Yes', value: 'Yes', displayOrder: 0 },
+                    { label: 'No', value: 'No', displayOrder: 1 }
+                ]
+            },
+            { name: 'eazybe_lead_source', label: 'Eazybe Lead Source', type: 'string', fieldType: 'text' },
+            { name: 'eazybe_last_interaction_date', label: 'Last Interaction Date', type: 'date', fieldType: 'date' },
+            ...MESSAGE_WINDOW_PROPERTIES
+        ]
+    },
+    companies: {
+        version: 2,
+        group: GROUP_CHAT_PROPERTY_GROUP,
+        groups: [COMPANY_ROLLUP_PROPERTY_GROUP],
+        properties: [...GROUP_CHAT_PROPERTIES, ...COMPANY_ROLLUP_PROPERTIES]
+    },
+    deals: {
+        version: 3,
+        group: GROUP_CHAT_PROPERTY_GROUP,
+        groups: [DEAL_ANALYTICS_PROPERTY_GROUP],
+        properties: [...GROUP_CHAT_PROPERTIES, ...DEAL_ANALYTICS_PROPERTIES]
+    }
+};
+
+function hubspotHeaders(accessToken) {
+    return {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Get the HubSpot portal (hub) id an access token belongs to
+ * @param {string} accessToken - HubSpot access token
+ * @returns {string}
+ */
+async function getHubspotPortalId(accessToken) {
+    const response = await retryWithBackoff(async () => await axios.get('https://api.hubapi.com/account-info/v3/details', {
+        headers: hubspotHeaders(accessToken)
+    }));
+    return String(response.data.portalId);
+}
+
+/**
+ * Compare a schema property with the one in the portal
+ * @param {Object} expected - Property from HUBSPOT_PROPERTY_SCHEMAS
+ * @param {Object} actual - Property returned by /crm/v3/properties/{objectType}
+ * @returns {Array<string>} Human readable differences, empty when in sync
+ */
+function diffHubspotProperty(expected, actual) {
+    const differences = [];
+
+    if (actual.type !== expected.type) {
+        differences.push(`type is ${actual.type}, expected ${expected.type}`);
+    }
+    if (actual.fieldType !== expected.fieldType) {
+        differences.push(`fieldType is ${actual.fieldType}, expected ${expected.fieldType}`);
+    }
+    if (actual.groupName !== undefined && expected.groupName && actual.groupName !== expected.groupName) {
+        differences.push(`groupName is ${actual.groupName}, expected ${expected.groupName}`);
+    }
+    if (expected.options) {
+        const actualValues = (actual.options || []).map(option => option.value);
+        const missingValues = expected.options
+            .map(option => option.value)
+            .filter(value => !actualValues.includes(value));
+        if (missingValues.length > 0) {
+            differences.push(`options missing ${missingValues.join(', ')}`);
+        }
+    }
+
+    return differences;
+}
+
+/**
+ * Reconcile a portal's properties with HUBSPOT_PROPERTY_SCHEMAS: create the group and missing
+ * properties, report type/option drift and, with fix, update drifted properties in place.
+ * Every attempt is recorded per portal with the schema version and whether it ended in sync.
+ * @param {string} accessToken - HubSpot access token
+ * @param {string} objectType - HubSpot object type, e.g. contacts
+ * @param {Object} options - { fix } - fix updates properties whose type or options drifted,
+ *   defaults to HUBSPOT_SCHEMA_AUTOFIX=true
+ * @returns {Object} { portalId, objectType, version, created, drift, inSync }
+ */
+async function reconcileHubspotProperties(accessToken, objectType = 'contacts', options = {}) {
+    const fix = options.fix ?? process.env.HUBSPOT_SCHEMA_AUTOFIX === 'true';
+    const schema = HUBSPOT_PROPERTY_SCHEMAS[objectType];
+    if (!schema) {
+        throw new Error(`No HubSpot property schema defined for ${objectType}`);
+    }
+
+    const headers = hubspotHeaders(accessToken);
+    const portalId = await getHubspotPortalId(accessToken);
+
+    console.log(`Reconciling HubSpot ${objectType} properties for portal ${portalId} against schema v${schema.version}...`);
+
+    const [propertiesResponse, groupsResponse] = await Promise.all([
+        retryWithBackoff(async () => await axios.get(`https://api.hubapi.com/crm/v3/properties/${objectType}`, { headers })),
+        retryWithBackoff(async () => await axios.get(`https://api.hubapi.com/crm/v3/properties/${objectType}/groups`, { headers }))
+    ]);
+
+    const existingGroups = (groupsResponse.data.results || []).map(group => group.name);
+    for (const group of [schema.group, ...(schema.groups || [])]) {
+        if (existingGroups.includes(group.name)) continue;
+        console.log(`→ Group ${group.name} does not exist, creating it...`);
+        await axios.post(`https://api.hubapi.com/crm/v3/properties/${objectType}/groups`, group, { headers });
+        console.log('✓ Property group created');
+    }
+
+    const existingProperties = (propertiesResponse.data.results || []).reduce((acc, property) => {
+        if (!property.archived) acc[property.name] = property;
+        return acc;
+    }, {});
+
+    const definitions = schema.properties.map(property => ({
+        hidden: false,
+        groupName: schema.group.name,
+        ...property
+    }));
+
+    // Create what's missing in one batch call
+    const missing = definitions.filter(property => !existingProperties[property.name]);
+    if (missing.length > 0) {
+        console.log(`→ Creating ${missing.length} missing properties: ${missing.map(property => property.name).join(', ')}`);
+        await axios.post(`https://api.hubapi.com/crm/v3/properties/${objectType}/batch/create`, { inputs: missing }, { headers });
+        console.log('✓ Missing properties created');
+    }
+
+    // Report (and optionally fix) properties whose definition drifted
+    const drift = [];
+    for (const property of definitions) {
+        const actual = existingProperties[property.name];
+        if (!actual) continue;
+
+        const differences = diffHubspotProperty(property, actual);
+        if (differences.length === 0) continue;
+
+        const entry = { name: property.name, differences, fixed: false };
+        if (fix) {
+            try {
+                await axios.patch(`https://api.hubapi.com/crm/v3/properties/${objectType}/${property.name}`, {
+                    label: property.label,
+                    type: property.type,
+                    fieldType: property.fieldType,
+                    groupName: property.groupName,
+                    ...(property.options ? { options: property.options } : {})
+                }, { headers });
+                entry.fixed = true;
+                console.log(`✓ Fixed ${property.name}: ${differences.join('; ')}`);
+            } catch (error) {
+                entry.error = error.response?.data?.message || error.message;
+                console.error(`✗ Could not fix ${property.name}:`, error.response?.data || error.message);
+            }
+        } else {
+            console.warn(`⚠️  ${property.name} drifted: ${differences.join('; ')}`);
+        }
+        drift.push(entry);
+    }
+
+    const inSync = drift.every(entry => entry.fixed);
+    const report = {
+        portalId,
+        objectType,
+        version: schema.version,
+        created: missing.map(property => property.name),
+        drift,
+        inSync
+    };
+
+    await getSyncStateStore().set(SCHEMA_VERSION_NAMESPACE, `${portalId}:${objectType}`, {
+        version: schema.version,
+        reconciledAt: new Date().toISOString(),
+        inSync,
+        drifted: drift.filter(entry => !entry.fixed).map(entry => entry.name)
+    });
+
+    logWebhookSiteConfig({
+        operation: 'HubSpot Property Schema Reconciled',
+        ...report
+    });
+
+    return report;
+}
+
+/**
+ * Reconcile only when the portal isn't recorded on the current schema version yet, or when the last
+ * attempt left drift behind and DRIFT_RETRY_INTERVAL_MS has passed since
+ * @param {string} accessToken - HubSpot access token
+ * @param {string} objectType - HubSpot object type, e.g. contacts
+ * @param {Object} options - { fix } - passed to reconcileHubspotProperties
+ * @returns {Object|null} The reconcile report, or null when the portal is already up to date
+ */
+async function ensureHubspotPropertySchema(accessToken, objectType = 'contacts', options = {}) {
+    const schema = HUBSPOT_PROPERTY_SCHEMAS[objectType];
+    const portalId = await getHubspotPortalId(accessToken);
+    const recorded = await getSyncStateStore().get(SCHEMA_VERSION_NAMESPACE, `${portalId}:${objectType}`);
+
+    if (recorded && recorded.version >= schema.version) {
+        // Records written before attempts were recorded only exist for portals that were in sync
+        if (recorded.inSync !== false) return null;
+
+        const lastAttempt = new Date(recorded.reconciledAt).getTime();
+        if (Date.now() - lastAttempt < DRIFT_RETRY_INTERVAL_MS) return null;
+    }
+
+    return await reconcileHubspotProperties(accessToken, objectType, options);
+}
+
+module.exports = {
+    HUBSPOT_PROPERTY_SCHEMAS,
+    getHubspotPortalId,
+    reconcileHubspotProperties,
+    ensureHubspotPropertySchema
+};
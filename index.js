@@ -1,5 +1,10 @@
 const express = require('express');
-const { extractDataFromActiveUsers, processDataToBeSyncedWithHubspot, processDataToBeSyncedWithZoho, syncDataWithHubspot, syncDataWithZoho } = require('./helper');
+const { extractDataFromActiveUsers, processDataToBeSynced, syncData, getUnmatchedChats, reconcileHubspotSchemas } = require('./helper');
+const { toUnmatchedChatCsv } = require('./unmatchedChatReport');
+const { getAmbiguousMatches } = require('./contactResolution');
+const { getGroupChatMappings, setGroupChatMapping, removeGroupChatMapping, syncHubspotGroupChats } = require('./groupChatSync');
+const { parseBooleanFlag } = require('./utils');
+const { getCrmAdapter, hasCrmAdapter, getCrmNames } = require('./crmRegistry');
 
 const app = express();
 const PORT = process.env.PORT || 3004;
@@ -7,10 +12,34 @@ const PORT = process.env.PORT || 3004;
 // Middleware
 app.use(express.json());
 
+// Options shared by the routes below, read from the query string
+function getSyncOptions(req) {
+    return {
+        fullResync: parseBooleanFlag(req.query.fullResync),
+        dryRun: parseBooleanFlag(req.query.dryRun),
+        workspaceId: req.query.workspace_id || null,
+        chatId: req.query.chat_id || null
+    };
+}
+
+// 400 response when the crm query parameter is missing or not a registered CRM
+function rejectUnknownCrm(req, res) {
+    if (req.query.crm && hasCrmAdapter(req.query.crm)) {
+        return false;
+    }
+    res.status(400).json({
+        status: false,
+        message: req.query.crm
+            ? `Unknown crm: ${req.query.crm} (expected: ${getCrmNames().join(' or ')})`
+            : `Missing required query parameter: crm (expected: ${getCrmNames().join(' or ')})`
+    });
+    return true;
+}
+
 // Route to get all active users
 app.get('/active-users/conversation-summary', async (req, res) => {
     try {
-        const conversationSummary = await extractDataFromActiveUsers();
+        const conversationSummary = await extractDataFromActiveUsers(25, getSyncOptions(req));
         res.json({
             status: true,
             data: conversationSummary,
@@ -28,64 +57,220 @@ app.get('/active-users/conversation-summary', async (req, res) => {
 
 app.get('/active-users/process-data-to-be-synced', async (req, res) => {
     try {
-        if (!req.query.crm) {
+        if (rejectUnknownCrm(req, res)) return;
+        const adapter = getCrmAdapter(req.query.crm);
+        const data = await processDataToBeSynced(adapter.name, getSyncOptions(req));
+        res.json({
+            status: true,
+            data: data,
+            message: `Data to be synced with ${adapter.label} retrieved successfully`
+        });
+    } catch (error) {
+        console.error('Error in /active-users/process-data-to-be-synced route:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to process data to be synced',
+            error: error.message
+        });
+    }
+});
+
+app.get('/active-users/sync-data', async (req, res) => {
+    try {
+        if (rejectUnknownCrm(req, res)) return;
+        const options = getSyncOptions(req);
+        const data = await syncData(req.query.crm, options);
+        return res.json({
+            status: true,
+            data: data,
+            message: options.dryRun ? 'Dry run completed, nothing was written' : 'Data synced successfully'
+        });
+
+    }
+    catch (error) {
+        console.error('Error in /active-users/sync-data route:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to sync data',
+            error: error.message
+        });
+    }
+});
+
+// Chats that matched no CRM contact, format=csv downloads them for customers to clean up their CRM
+app.get('/active-users/unmatched-chats', async (req, res) => {
+    try {
+        if (req.query.crm && rejectUnknownCrm(req, res)) return;
+        const data = await getUnmatchedChats({
+            crm: req.query.crm || null,
+            workspaceId: req.query.workspace_id || null,
+            chatId: req.query.chat_id || null
+        });
+
+        if (String(req.query.format).toLowerCase() === 'csv') {
+            const fileName = `unmatched-chats-${req.query.workspace_id || 'all'}-${new Date().toISOString().split('T')[0]}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(toUnmatchedChatCsv(data));
+        }
+
+        res.json({
+            status: true,
+            data: data,
+            message: 'Unmatched chats retrieved successfully'
+        });
+    } catch (error) {
+        console.error('Error in /active-users/unmatched-chats route:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to retrieve unmatched chats',
+            error: error.message
+        });
+    }
+});
+
+// Phone numbers of a workspace that matched several contacts in a CRM, recorded by the sync
+app.get('/active-users/duplicate-contacts', async (req, res) => {
+    try {
+        if (rejectUnknownCrm(req, res)) return;
+        if (!req.query.workspace_id) {
             return res.status(400).json({
                 status: false,
-                message: 'Missing required query parameter: crm (expected: hubspot or zoho)'
+                message: 'Missing required query parameter: workspace_id'
             });
         }
-        let crm = req.query.crm.toLowerCase();
-        if (crm === 'hubspot') {
-            const data = await processDataToBeSyncedWithHubspot();
-            res.json({
-                status: true,
-                data: data,
-                message: 'Data to be synced with Hubspot retrieved successfully'
-            });
-        } else if (crm === 'zoho') {
-            const data = await processDataToBeSyncedWithZoho();
-            res.json({
-                status: true,
-                data: data,
-                message: 'Data to be synced with Zoho retrieved successfully'
+
+        const data = await getAmbiguousMatches(getCrmAdapter(req.query.crm).name, req.query.workspace_id);
+        res.json({
+            status: true,
+            data: data,
+            message: 'Duplicate contacts retrieved successfully'
+        });
+    } catch (error) {
+        console.error('Error in /active-users/duplicate-contacts route:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to retrieve duplicate contacts',
+            error: error.message
+        });
+    }
+});
+
+// Write WhatsApp group chat analytics to the HubSpot companies or deals the groups map to
+app.get('/active-users/sync-group-chats', async (req, res) => {
+    try {
+        const options = getSyncOptions(req);
+        const data = await syncHubspotGroupChats(options);
+        res.json({
+            status: true,
+            data: data,
+            message: options.dryRun ? 'Group chat dry run completed, nothing was written' : 'Group chats synced with HubSpot successfully'
+        });
+    } catch (error) {
+        console.error('Error in /active-users/sync-group-chats route:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to sync group chats with HubSpot',
+            error: error.message
+        });
+    }
+});
+
+// Stored group chat → HubSpot company/deal mappings of a workspace
+app.get('/active-users/group-chat-mappings', async (req, res) => {
+    try {
+        if (!req.query.workspace_id) {
+            return res.status(400).json({
+                status: false,
+                message: 'Missing required query parameter: workspace_id'
             });
         }
+        const data = await getGroupChatMappings(req.query.workspace_id);
+        res.json({
+            status: true,
+            data: data,
+            message: 'Group chat mappings retrieved successfully'
+        });
     } catch (error) {
-        console.error('Error in /active-users/process-data-to-be-synced route:', error);
+        console.error('Error in GET /active-users/group-chat-mappings route:', error);
         res.status(500).json({
             status: false,
-            message: 'Failed to process data to be synced',
+            message: 'Failed to retrieve group chat mappings',
             error: error.message
         });
     }
 });
 
-app.get('/active-users/sync-data', async (req, res) => {
+// Body: { workspace_id, chat_id, object_type: companies | deals, record_id }
+app.post('/active-users/group-chat-mappings', async (req, res) => {
+    const { workspace_id: workspaceId, chat_id: chatId, object_type: objectType, record_id: recordId } = req.body || {};
+    if (!workspaceId || !chatId || !objectType || !recordId) {
+        return res.status(400).json({
+            status: false,
+            message: 'Missing required fields: workspace_id, chat_id, object_type and record_id'
+        });
+    }
+
+    try {
+        const data = await setGroupChatMapping(workspaceId, chatId, objectType, recordId);
+        res.json({
+            status: true,
+            data: data,
+            message: 'Group chat mapping saved successfully'
+        });
+    } catch (error) {
+        console.error('Error in POST /active-users/group-chat-mappings route:', error);
+        res.status(400).json({
+            status: false,
+            message: 'Failed to save group chat mapping',
+            error: error.message
+        });
+    }
+});
+
+app.delete('/active-users/group-chat-mappings', async (req, res) => {
     try {
-        if (!req.query.crm) {
+        if (!req.query.workspace_id || !req.query.chat_id) {
             return res.status(400).json({
                 status: false,
-                message: 'Missing required query parameter: crm (expected: hubspot or zoho)'
+                message: 'Missing required query parameters: workspace_id and chat_id'
             });
         }
-        let crm = req.query.crm.toLowerCase();
-        if (crm === 'hubspot') {
-            const data = await syncDataWithHubspot();
-        } 
-        if (crm === 'zoho') {
-            const data = await syncDataWithZoho();
-        }
-        return res.json({
+        const data = await removeGroupChatMapping(req.query.workspace_id, req.query.chat_id);
+        res.json({
             status: true,
-            message: 'Data synced successfully'
+            data: data,
+            message: 'Group chat mapping removed successfully'
+        });
+    } catch (error) {
+        console.error('Error in DELETE /active-users/group-chat-mappings route:', error);
+        res.status(500).json({
+            status: false,
+            message: 'Failed to remove group chat mapping',
+            error: error.message
         });
-
     }
-    catch (error) {
-        console.error('Error in /active-users/sync-data route:', error);
+});
+
+// Diff each portal's properties against the HubSpot property schema, fix=true updates drifted properties,
+// object_type picks the schema (contacts, companies or deals)
+app.get('/active-users/hubspot-property-schema', async (req, res) => {
+    try {
+        const data = await reconcileHubspotSchemas({
+            workspaceId: req.query.workspace_id || null,
+            objectType: req.query.object_type || 'contacts',
+            fix: req.query.fix === undefined ? undefined : parseBooleanFlag(req.query.fix)
+        });
+        res.json({
+            status: true,
+            data: data,
+            message: 'HubSpot property schema reconciled successfully'
+        });
+    } catch (error) {
+        console.error('Error in /active-users/hubspot-property-schema route:', error);
         res.status(500).json({
             status: false,
-            message: 'Failed to sync data',
+            message: 'Failed to reconcile HubSpot property schema',
             error: error.message
         });
     }
@@ -107,10 +292,19 @@ app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
     console.log(`Conversation summary: http://localhost:${PORT}/active-users/conversation-summary`);
-    console.log(`Data to be synced with Hubspot: http://localhost:${PORT}/active-users/process-data-to-be-synced?crm=hubspot`);
-    console.log(`Sync data with Hubspot: http://localhost:${PORT}/active-users/sync-data?crm=hubspot`);
-    console.log(`Data to be synced with Zoho: http://localhost:${PORT}/active-users/process-data-to-be-synced?crm=zoho`);
-    console.log(`Sync data with Zoho: http://localhost:${PORT}/active-users/sync-data?crm=zoho`);
+    getCrmNames().forEach(crm => {
+        const { label } = getCrmAdapter(crm);
+        console.log(`Data to be synced with ${label}: http://localhost:${PORT}/active-users/process-data-to-be-synced?crm=${crm}`);
+        console.log(`Sync data with ${label}: http://localhost:${PORT}/active-users/sync-data?crm=${crm}`);
+    });
+    console.log(`Full resync (ignores watermarks): http://localhost:${PORT}/active-users/sync-data?crm=hubspot&fullResync=true`);
+    console.log(`Dry run (no CRM writes): http://localhost:${PORT}/active-users/sync-data?crm=hubspot&dryRun=true`);
+    console.log(`Unmatched chats (CSV): http://localhost:${PORT}/active-users/unmatched-chats?crm=hubspot&workspace_id=<optional>&format=csv`);
+    console.log(`Duplicate contacts: http://localhost:${PORT}/active-users/duplicate-contacts?crm=hubspot&workspace_id=<id>`);
+    console.log(`Sync group chats with HubSpot: http://localhost:${PORT}/active-users/sync-group-chats?dryRun=true`);
+    console.log(`Group chat mappings: http://localhost:${PORT}/active-users/group-chat-mappings?workspace_id=<id>`);
+    console.log(`HubSpot property schema drift: http://localhost:${PORT}/active-users/hubspot-property-schema?workspace_id=<optional>&fix=<optional>`);
+    console.log(`Sync one workspace: http://localhost:${PORT}/active-users/sync-data?crm=hubspot&workspace_id=<id>&chat_id=<optional>`);
 });
 
 module.exports = app;
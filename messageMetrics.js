@@ -0,0 +1,311 @@
+const dotenv = require('dotenv');
+const { bigquery } = require('./bigqueryClient');
+const { getSyncStateStore } = require('./syncStateStore');
+const { MESSAGE_WINDOW_DAYS, MESSAGE_WINDOW_METRICS, parseDate } = require('./fieldMapping');
+dotenv.config();
+
+// Message-level table: uid, chat_id, sender_id (phone number), from_me, timestamp
+const MESSAGES_TABLE = process.env.BIGQUERY_MESSAGES_TABLE || 'waba-454907.whatsapp_analytics.messages';
+
+// Days of messages read: the largest window and the one before it, plus a week so a chat whose
+// last message drops out of every window is still synced back to zero when a few runs were missed
+const MESSAGE_LOOKBACK_DAYS = Math.max(...MESSAGE_WINDOW_DAYS) * 2 + 7;
+
+// First response times found so far, keyed by workspaceId:chat_id. A chat's first exchange doesn't change,
+// so the messages of a chat older than the lookback are read in full only until it is known.
+const FIRST_RESPONSE_NAMESPACE = 'first_response_times';
+
+/**
+ * Chat fields derived from the message table, the one definition every CRM writer reads through METRICS:
+ * - first_response_time: minutes from the client's first message to the first reply after it
+ * - last_message_from: contact or employee, whoever sent the chat's latest message
+ * - last_client_message_at: when the client's latest message was sent
+ */
+const DERIVED_MESSAGE_METRICS = ['first_response_time', 'last_message_from', 'last_client_message_at'];
+
+// Counts of the last N days and of the N days before them, for every window
+function windowColumns(days) {
+    const since = periods => `TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${days * periods} DAY)`;
+    return `
+                    COUNTIF(from_me AND timestamp >= ${since(1)}) AS messages_sent_last_${days}_days,
+                    COUNTIF(NOT from_me AND timestamp >= ${since(1)}) AS messages_received_last_${days}_days,
+                    COUNTIF(timestamp >= ${since(2)} AND timestamp < ${since(1)}) AS messages_previous_${days}_days,`;
+}
+
+// Minutes from BigQuery's first_response_seconds, null when the client never got a reply
+function toFirstResponseTime(seconds) {
+    const firstResponseSeconds = seconds === null || seconds === undefined ? NaN : Number(seconds);
+    return Number.isNaN(firstResponseSeconds) ? null : Math.round(firstResponseSeconds / 60);
+}
+
+/**
+ * Percent change of a window against the one before it, rounded
+ * @param {number} current - Messages in the window
+ * @param {number} previous - Messages in the window before
+ * @returns {number|null} Null when the window before had no messages
+ */
+function buildTrend(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 100);
+}
+
+/**
+ * Rolling activity and the derived metrics of chats, read from the last MESSAGE_LOOKBACK_DAYS of the message table
+ * @param {string} workspaceId - Workspace id
+ * @param {Array<string>} chatIds - Chat ids
+ * @returns {Object} Map of chat_id to { messages_last_7_days, messages_sent_last_7_days, messages_received_last_7_days,
+ *                   messages_previous_7_days, messages_trend_7_days, ... for every window, last_client_message_at,
+ *                   first_response_time, last_message_from },
+ *                   chats without messages in the lookback are left out
+ */
+async function getMessageMetrics(workspaceId, chatIds) {
+    const uniqueChatIds = [...new Set(chatIds)];
+    if (uniqueChatIds.length === 0) return {};
+
+    try {
+        const [rows] = await bigquery.query({
+            query: `
+                WITH messages AS (
+                    SELECT
+                        chat_id,
+                        from_me,
+                        timestamp,
+                        MIN(IF(from_me, NULL, timestamp)) OVER (PARTITION BY chat_id) AS first_client_message_at
+                    FROM \`${MESSAGES_TABLE}\`
+                    WHERE uid = @uid
+                    AND chat_id IN UNNEST(@chat_ids)
+                    AND timestamp >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${MESSAGE_LOOKBACK_DAYS} DAY)
+                )
+                SELECT
+                    chat_id,${MESSAGE_WINDOW_DAYS.map(windowColumns).join('')}
+                    MAX(IF(from_me, NULL, timestamp)) AS last_client_message_at,
+                    TIMESTAMP_DIFF(
+                        MIN(IF(from_me AND timestamp > first_client_message_at, timestamp, NULL)),
+                        MIN(first_client_message_at),
+                        SECOND
+                    ) AS first_response_seconds,
+                    ARRAY_AGG(from_me ORDER BY timestamp DESC LIMIT 1)[SAFE_OFFSET(0)] AS last_message_from_me
+                FROM messages
+                GROUP BY chat_id
+            `,
+            params: {
+                uid: String(workspaceId),
+                chat_ids: uniqueChatIds
+            },
+            types: {
+                uid: 'STRING',
+                chat_ids: ['STRING']
+            }
+        });
+
+        return rows.reduce((acc, row) => {
+            const metrics = {
+                last_client_message_at: row.last_client_message_at,
+                first_response_time: toFirstResponseTime(row.first_response_seconds),
+                last_message_from: row.last_message_from_me === null ? null : (row.last_message_from_me ? 'employee' : 'contact')
+            };
+            MESSAGE_WINDOW_DAYS.forEach(days => {
+                const sent = Number(row[`messages_sent_last_${days}_days`]) || 0;
+                const received = Number(row[`messages_received_last_${days}_days`]) || 0;
+                const previous = Number(row[`messages_previous_${days}_days`]) || 0;
+
+                metrics[`messages_sent_last_${days}_days`] = sent;
+                metrics[`messages_received_last_${days}_days`] = received;
+                metrics[`messages_last_${days}_days`] = sent + received;
+                metrics[`messages_previous_${days}_days`] = previous;
+                metrics[`messages_trend_${days}_days`] = buildTrend(sent + received, previous);
+            });
+            acc[row.chat_id] = metrics;
+            return acc;
+        }, {});
+    } catch (error) {
+        console.error(`Error reading message metrics for UID ${workspaceId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * First response times of chats over all of their messages, for chats older than the lookback
+ * @param {string} workspaceId - Workspace id
+ * @param {Array<string>} chatIds - Chat ids
+ * @returns {Object} Map of chat_id to minutes, null when the client never got a reply
+ */
+async function getFullFirstResponseTimes(workspaceId, chatIds) {
+    const uniqueChatIds = [...new Set(chatIds)];
+    if (uniqueChatIds.length === 0) return {};
+
+    try {
+        const [rows] = await bigquery.query({
+            query: `
+                WITH messages AS (
+                    SELECT
+                        chat_id,
+                        from_me,
+                        timestamp,
+                        MIN(IF(from_me, NULL, timestamp)) OVER (PARTITION BY chat_id) AS first_client_message_at
+                    FROM \`${MESSAGES_TABLE}\`
+                    WHERE uid = @uid
+                    AND chat_id IN UNNEST(@chat_ids)
+                )
+                SELECT
+                    chat_id,
+                    TIMESTAMP_DIFF(
+                        MIN(IF(from_me AND timestamp > first_client_message_at, timestamp, NULL)),
+                        MIN(first_client_message_at),
+                        SECOND
+                    ) AS first_response_seconds
+                FROM messages
+                GROUP BY chat_id
+            `,
+            params: {
+                uid: String(workspaceId),
+                chat_ids: uniqueChatIds
+            },
+            types: {
+                uid: 'STRING',
+                chat_ids: ['STRING']
+            }
+        });
+
+        return uniqueChatIds.reduce((acc, chatId) => {
+            const row = rows.find(r => r.chat_id === chatId);
+            acc[chatId] = row ? toFirstResponseTime(row.first_response_seconds) : null;
+            return acc;
+        }, {});
+    } catch (error) {
+        console.error(`Error reading first response times for UID ${workspaceId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * First response time of each chat: the stored one, the lookback's for newer chats, and for older chats
+ * without a stored one a read over all of their messages. Times found are stored for the next runs.
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats with chat_id and created_at
+ * @param {Object} metrics - From getMessageMetrics
+ * @returns {Object} Map of chat_id to minutes or null, chats whose time couldn't be read are left out
+ */
+async function resolveFirstResponseTimes(workspaceId, chats, metrics) {
+    const store = getSyncStateStore();
+    const key = chatId => `${workspaceId}:${chatId}`;
+    const chatIds = [...new Set(chats.map(chat => chat.chat_id))];
+
+    let stored = {};
+    try {
+        stored = await store.getMany(FIRST_RESPONSE_NAMESPACE, chatIds.map(key));
+    } catch (error) {
+        console.error(`Error reading stored first response times for UID ${workspaceId}:`, error.message);
+    }
+
+    const firstResponseTimes = {};
+    const olderChatIds = [];
+    chatIds.forEach(chatId => {
+        const storedTime = stored[key(chatId)];
+        if (storedTime !== undefined && storedTime !== null) {
+            firstResponseTimes[chatId] = storedTime;
+        } else if (chats.some(chat => chat.chat_id === chatId && predatesLookback(chat))) {
+            olderChatIds.push(chatId);
+        } else {
+            firstResponseTimes[chatId] = metrics[chatId]?.first_response_time ?? null;
+        }
+    });
+
+    if (olderChatIds.length > 0) {
+        try {
+            Object.assign(firstResponseTimes, await getFullFirstResponseTimes(workspaceId, olderChatIds));
+        } catch (error) {
+            // Left out, the values already in the CRM stay
+        }
+    }
+
+    const found = chatIds.reduce((acc, chatId) => {
+        if (firstResponseTimes[chatId] !== undefined && firstResponseTimes[chatId] !== null && stored[key(chatId)] === undefined) {
+            acc[key(chatId)] = firstResponseTimes[chatId];
+        }
+        return acc;
+    }, {});
+    if (Object.keys(found).length > 0) {
+        try {
+            await store.setMany(FIRST_RESPONSE_NAMESPACE, found);
+        } catch (error) {
+            console.error(`Error storing first response times for UID ${workspaceId}:`, error.message);
+        }
+    }
+
+    return firstResponseTimes;
+}
+
+/**
+ * Whether a field mapping writes any metric read from the message table
+ * @param {Array} fieldMapping - Entries from getFieldMapping
+ * @returns {boolean}
+ */
+function usesMessageMetrics(fieldMapping = []) {
+    return fieldMapping.some(entry =>
+        MESSAGE_WINDOW_METRICS.includes(entry.metric) || DERIVED_MESSAGE_METRICS.includes(entry.metric)
+    );
+}
+
+// Counts of a chat without messages in the table
+function emptyMessageMetrics() {
+    return MESSAGE_WINDOW_DAYS.reduce((acc, days) => {
+        acc[`messages_sent_last_${days}_days`] = 0;
+        acc[`messages_received_last_${days}_days`] = 0;
+        acc[`messages_last_${days}_days`] = 0;
+        acc[`messages_previous_${days}_days`] = 0;
+        acc[`messages_trend_${days}_days`] = null;
+        return acc;
+    }, {
+        last_client_message_at: null,
+        first_response_time: null,
+        last_message_from: null
+    });
+}
+
+/**
+ * Whether a chat may have messages before the lookback, judged by when its conversation summary was created
+ * @param {Object} chat - Chat with created_at
+ * @returns {boolean} True without a created_at
+ */
+function predatesLookback(chat) {
+    const createdAt = parseDate(chat.created_at);
+    return !createdAt || createdAt.getTime() < Date.now() - MESSAGE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Set the derived metrics and message_windows on each chat, the values METRICS reads for the field mappings.
+ * Chats without messages in the lookback get zero counts and empty derived metrics. The first response time
+ * comes from resolveFirstResponseTimes. For chats older than the lookback the client's last message, when it
+ * is older, wasn't read, so it is left undefined and the value already in the CRM stays.
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats with chat_id and created_at, changed in place
+ */
+async function attachMessageMetrics(workspaceId, chats) {
+    const metrics = await getMessageMetrics(workspaceId, chats.map(chat => chat.chat_id));
+    const firstResponseTimes = await resolveFirstResponseTimes(workspaceId, chats, metrics);
+
+    chats.forEach(chat => {
+        const chatMetrics = metrics[chat.chat_id] || emptyMessageMetrics();
+        const partial = predatesLookback(chat);
+        DERIVED_MESSAGE_METRICS.forEach(metric => {
+            if (metric === 'first_response_time') {
+                chat[metric] = firstResponseTimes[chat.chat_id];
+                return;
+            }
+            chat[metric] = partial && chatMetrics[metric] === null ? undefined : chatMetrics[metric];
+        });
+        chat.message_windows = chatMetrics;
+    });
+}
+
+module.exports = {
+    MESSAGES_TABLE,
+    MESSAGE_LOOKBACK_DAYS,
+    DERIVED_MESSAGE_METRICS,
+    buildTrend,
+    getMessageMetrics,
+    usesMessageMetrics,
+    emptyMessageMetrics,
+    attachMessageMetrics
+};
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// bigqueryClient needs gcp-key.json, each test sets the rows the fake queries return:
+// queryRows for the lookback's metrics, fullRows for the first responses read over every message
+let queryRows = [];
+let fullRows = [];
+let lastQuery = null;
+let fullQueries = [];
+require.cache[require.resolve('./bigqueryClient')] = {
+    loaded: true,
+    exports: {
+        bigquery: {
+            query: async options => {
+                if (!/INTERVAL/.test(options.query)) {
+                    fullQueries.push(options);
+                    return [fullRows];
+                }
+                lastQuery = options;
+                return [queryRows];
+            }
+        }
+    }
+};
+
+const { createFileSyncStateStore, setSyncStateStore } = require('./syncStateStore');
+const { getFieldMapping, buildMappedProperties } = require('./fieldMapping');
+const { MESSAGE_LOOKBACK_DAYS, buildTrend, getMessageMetrics, attachMessageMetrics } = require('./messageMetrics');
+
+const stateDirs = [];
+test.after(() => stateDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// First response times found are stored, each test starts without any
+test.beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+    stateDirs.push(dir);
+    setSyncStateStore(createFileSyncStateStore(path.join(dir, 'state.json')));
+    fullRows = [];
+    fullQueries = [];
+});
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const messageRow = (chatId, extra = {}) => ({
+    chat_id: chatId,
+    last_client_message_at: { value: '2024-06-01T10:15:30.000Z' },
+    first_response_seconds: 150,
+    last_message_from_me: true,
+    ...extra
+});
+
+test('the last client message is written as a timestamp, not an age', async () => {
+    queryRows = [messageRow('14155552671@c.us')];
+    const chat = { chat_id: '14155552671@c.us', contactId: '1', created_at: daysAgo(10) };
+
+    await attachMessageMetrics('w1', [chat]);
+
+    assert.equal(chat.first_response_time, 3);
+    assert.equal(chat.last_message_from, 'employee');
+    assert.equal(buildMappedProperties(chat, getFieldMapping('hubspot')).eazybe_last_client_message_date, '2024-06-01T10:15:30+00:00');
+    assert.equal(buildMappedProperties(chat, getFieldMapping('zoho')).Last_Client_Message_Date, '2024-06-01T10:15:30+00:00');
+    assert.equal(buildMappedProperties(chat, getFieldMapping('pipedrive'))['Eazybe Last Client Message Date'], '2024-06-01');
+});
+
+test('a client that never wrote has an empty last client message', async () => {
+    queryRows = [messageRow('14155552671@c.us', { last_client_message_at: null, first_response_seconds: null })];
+    const chat = { chat_id: '14155552671@c.us', contactId: '1', created_at: daysAgo(10) };
+
+    await attachMessageMetrics('w1', [chat]);
+
+    const properties = buildMappedProperties(chat, getFieldMapping('hubspot'));
+    assert.equal(properties.eazybe_last_client_message_date, null);
+    assert.equal(properties.eazybe_first_response_time, null);
+});
+
+test('trends compare a window with the one before it', () => {
+    assert.equal(buildTrend(15, 10), 50);
+    assert.equal(buildTrend(2, 3), -33);
+    assert.equal(buildTrend(0, 4), -100);
+    assert.equal(buildTrend(5, 0), null);
+});
+
+test('window counts add up sent and received and only read the lookback', async () => {
+    queryRows = [messageRow('14155552671@c.us', {
+        messages_sent_last_7_days: 4,
+        messages_received_last_7_days: 2,
+        messages_previous_7_days: 4,
+        messages_sent_last_30_days: 10,
+        messages_received_last_30_days: 5,
+        messages_previous_30_days: 0
+    })];
+
+    const metrics = await getMessageMetrics('w1', ['14155552671@c.us', '14155552671@c.us']);
+
+    assert.equal(MESSAGE_LOOKBACK_DAYS, 187);
+    assert.match(lastQuery.query, /timestamp >= TIMESTAMP_SUB\(CURRENT_TIMESTAMP\(\), INTERVAL 187 DAY\)/);
+    assert.deepEqual(lastQuery.params.chat_ids, ['14155552671@c.us']);
+
+    const windows = metrics['14155552671@c.us'];
+    assert.equal(windows.messages_last_7_days, 6);
+    assert.equal(windows.messages_trend_7_days, 50);
+    assert.equal(windows.messages_last_30_days, 15);
+    assert.equal(windows.messages_trend_30_days, null);
+    assert.equal(windows.messages_last_90_days, 0);
+    assert.equal(windows.messages_trend_90_days, null);
+});
+
+test('a chat that went quiet is written back to zero counts', async () => {
+    queryRows = [];
+    const chat = { chat_id: '14155552671@c.us', contactId: '1', created_at: daysAgo(400) };
+
+    await attachMessageMetrics('w1', [chat]);
+
+    const properties = buildMappedProperties(chat, getFieldMapping('hubspot'));
+    assert.equal(properties.eazybe_messages_sent_last_90_days, 0);
+    assert.equal(properties.eazybe_messages_received_last_90_days, 0);
+    assert.equal(properties.eazybe_messages_trend_90_days, null);
+});
+
+test('a client message older than the lookback that it may have missed is left out', async () => {
+    queryRows = [messageRow('14155552671@c.us', { last_client_message_at: null })];
+    fullRows = [{ chat_id: '14155552671@c.us', first_response_seconds: 600 }];
+    const chat = { chat_id: '14155552671@c.us', contactId: '1', created_at: daysAgo(400) };
+
+    await attachMessageMetrics('w1', [chat]);
+
+    const properties = buildMappedProperties(chat, getFieldMapping('hubspot'));
+    assert.equal('eazybe_last_client_message_date' in properties, false);
+    assert.equal(properties.eazybe_last_message_send_by, 'Employee');
+});
+
+test('the first response of a chat older than the lookback is read over all its messages once', async () => {
+    queryRows = [messageRow('14155552671@c.us'), messageRow('14155552672@c.us', { first_response_seconds: 60 })];
+    fullRows = [{ chat_id: '14155552671@c.us', first_response_seconds: 1800 }];
+    const chats = () => [
+        { chat_id: '14155552671@c.us', contactId: '1', created_at: daysAgo(400) },
+        { chat_id: '14155552672@c.us', contactId: '2', created_at: daysAgo(10) }
+    ];
+
+    const firstRun = chats();
+    await attachMessageMetrics('w1', firstRun);
+
+    assert.deepEqual(firstRun.map(chat => chat.first_response_time), [30, 1]);
+    assert.equal(fullQueries.length, 1);
+    assert.deepEqual(fullQueries[0].params.chat_ids, ['14155552671@c.us']);
+
+    // Stored, the next run doesn't read the chat's full history again
+    const nextRun = chats();
+    await attachMessageMetrics('w1', nextRun);
+
+    assert.deepEqual(nextRun.map(chat => chat.first_response_time), [30, 1]);
+    assert.equal(fullQueries.length, 1);
+});
+
+test('an old chat whose client never got a reply has an empty first response time', async () => {
+    queryRows = [];
+    fullRows = [{ chat_id: '14155552671@c.us', first_response_seconds: null }];
+    const chat = { chat_id: '14155552671@c.us', contactId: '1', created_at: daysAgo(400) };
+
+    await attachMessageMetrics('w1', [chat]);
+
+    assert.equal(buildMappedProperties(chat, getFieldMapping('hubspot')).eazybe_first_response_time, null);
+});
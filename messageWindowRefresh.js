@@ -0,0 +1,152 @@
+const { BigQuery } = require('@google-cloud/bigquery');
+const { bigquery } = require('./bigqueryClient');
+const { getSyncStateStore } = require('./syncStateStore');
+const { MESSAGE_WINDOW_DAYS, MESSAGE_WINDOW_METRICS } = require('./fieldMapping');
+const { MESSAGES_TABLE, getMessageMetrics, emptyMessageMetrics } = require('./messageMetrics');
+
+// Contacts of the chats matched by the sync runs, keyed by crm:workspaceId, { [chat_id]: [contactIds] }
+const MATCHED_CHAT_NAMESPACE = 'matched_chats';
+
+// When each workspace's message windows were last brought up to date, keyed by crm:workspaceId
+const WINDOW_REFRESH_NAMESPACE = 'message_window_refreshes';
+
+// A message enters or leaves a window's counts when it becomes this many days old:
+// at the end of the window and at the end of the window before it, which the trend reads
+const WINDOW_BOUNDARY_DAYS = [...new Set(MESSAGE_WINDOW_DAYS.flatMap(days => [days, days * 2]))];
+
+/**
+ * Keep the contacts of the matched chats of a sync run, chats without a contact now are dropped
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats of the workspace in this run, with contactId and additionalContactIds
+ */
+async function recordMatchedChats(crm, workspaceId, chats) {
+    try {
+        const store = getSyncStateStore();
+        const key = `${crm}:${workspaceId}`;
+        const stored = (await store.get(MATCHED_CHAT_NAMESPACE, key)) || {};
+        const current = { ...stored };
+
+        chats.forEach(chat => {
+            if (chat.contactId) {
+                current[chat.chat_id] = [chat.contactId, ...(chat.additionalContactIds || [])];
+            } else {
+                delete current[chat.chat_id];
+            }
+        });
+
+        if (JSON.stringify(current) !== JSON.stringify(stored)) {
+            await store.set(MATCHED_CHAT_NAMESPACE, key, current);
+        }
+    } catch (error) {
+        // The contacts are written already, only the window refresh misses these chats until they change
+        console.error(`Error recording matched ${crm} chats for workspace ${workspaceId}:`, error.message);
+    }
+}
+
+/**
+ * The mapping entries of the rolling windows, the only fields the refresh writes
+ * @param {Array} fieldMapping - Entries from getFieldMapping
+ * @returns {Array}
+ */
+function getWindowFieldMapping(fieldMapping = []) {
+    return fieldMapping.filter(entry => MESSAGE_WINDOW_METRICS.includes(entry.metric));
+}
+
+/**
+ * Chats with a message that crossed a window boundary between two times, their window counts changed
+ * although no new message came in
+ * @param {string} workspaceId - Workspace id
+ * @param {Array<string>} chatIds - Chat ids
+ * @param {Date} since - Last refresh
+ * @param {Date} until - This refresh
+ * @returns {Array<string>} Chat ids
+ */
+async function findChatsWithMovedWindows(workspaceId, chatIds, since, until) {
+    if (chatIds.length === 0) return [];
+
+    const crossed = days =>
+        `(timestamp >= TIMESTAMP_SUB(@since, INTERVAL ${days} DAY) AND timestamp < TIMESTAMP_SUB(@until, INTERVAL ${days} DAY))`;
+
+    try {
+        const [rows] = await bigquery.query({
+            query: `
+                SELECT DISTINCT chat_id
+                FROM \`${MESSAGES_TABLE}\`
+                WHERE uid = @uid
+                AND chat_id IN UNNEST(@chat_ids)
+                AND timestamp >= TIMESTAMP_SUB(@since, INTERVAL ${Math.max(...WINDOW_BOUNDARY_DAYS)} DAY)
+                AND (${WINDOW_BOUNDARY_DAYS.map(crossed).join(' OR ')})
+            `,
+            params: {
+                uid: String(workspaceId),
+                chat_ids: chatIds,
+                since: BigQuery.timestamp(since),
+                until: BigQuery.timestamp(until)
+            },
+            types: {
+                uid: 'STRING',
+                chat_ids: ['STRING'],
+                since: 'TIMESTAMP',
+                until: 'TIMESTAMP'
+            }
+        });
+
+        return rows.map(row => row.chat_id);
+    } catch (error) {
+        console.error(`Error finding chats with moved message windows for UID ${workspaceId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Chats matched by earlier runs whose windows moved since the last refresh, with their windows attached.
+ * Nothing is looked up in the CRM, the contacts are the ones stored by recordMatchedChats.
+ * The first refresh of a workspace only sets the starting point, its chats were just synced.
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {Set<string>} syncedChatIds - Chats of this run, their windows are written already
+ * @returns {Object} { chats: [{ chat_id, contactId, message_windows }], refreshedAt }
+ */
+async function prepareWindowRefresh(crm, workspaceId, syncedChatIds = new Set()) {
+    const store = getSyncStateStore();
+    const key = `${crm}:${workspaceId}`;
+    const refreshedAt = new Date();
+    const lastRefresh = await store.get(WINDOW_REFRESH_NAMESPACE, key);
+    if (!lastRefresh) {
+        return { chats: [], refreshedAt };
+    }
+
+    const matchedChats = (await store.get(MATCHED_CHAT_NAMESPACE, key)) || {};
+    const chatIds = Object.keys(matchedChats).filter(chatId => !syncedChatIds.has(chatId));
+    const movedChatIds = await findChatsWithMovedWindows(workspaceId, chatIds, new Date(lastRefresh), refreshedAt);
+
+    const metrics = await getMessageMetrics(workspaceId, movedChatIds);
+    const chats = movedChatIds.flatMap(chatId =>
+        matchedChats[chatId].map(contactId => ({
+            chat_id: chatId,
+            contactId,
+            message_windows: metrics[chatId] || emptyMessageMetrics()
+        }))
+    );
+
+    return { chats, refreshedAt };
+}
+
+/**
+ * Store the time of a refresh, the next one looks for boundaries crossed after it
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {Date} refreshedAt - From prepareWindowRefresh
+ */
+async function saveWindowRefresh(crm, workspaceId, refreshedAt) {
+    await getSyncStateStore().set(WINDOW_REFRESH_NAMESPACE, `${crm}:${workspaceId}`, refreshedAt.toISOString());
+}
+
+module.exports = {
+    WINDOW_BOUNDARY_DAYS,
+    recordMatchedChats,
+    getWindowFieldMapping,
+    prepareWindowRefresh,
+    saveWindowRefresh
+};
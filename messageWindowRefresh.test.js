@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// bigqueryClient needs gcp-key.json, the fake answers the boundary query and then the metrics query
+const queries = [];
+let movedChatIds = [];
+require.cache[require.resolve('./bigqueryClient')] = {
+    loaded: true,
+    exports: {
+        bigquery: {
+            query: async options => {
+                queries.push(options);
+                if (/SELECT DISTINCT chat_id/.test(options.query)) {
+                    return [movedChatIds.map(chatId => ({ chat_id: chatId }))];
+                }
+                return [options.params.chat_ids.map(chatId => ({ chat_id: chatId, messages_sent_last_7_days: 2 }))];
+            }
+        }
+    }
+};
+
+const { createFileSyncStateStore, setSyncStateStore } = require('./syncStateStore');
+const { getFieldMapping } = require('./fieldMapping');
+const {
+    WINDOW_BOUNDARY_DAYS,
+    recordMatchedChats,
+    getWindowFieldMapping,
+    prepareWindowRefresh,
+    saveWindowRefresh
+} = require('./messageWindowRefresh');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+test('the refresh writes only the window fields', () => {
+    const mapping = getWindowFieldMapping(getFieldMapping('hubspot'));
+
+    assert.deepEqual(WINDOW_BOUNDARY_DAYS, [7, 14, 30, 60, 90, 180]);
+    assert.ok(mapping.length > 0);
+    assert.ok(mapping.every(entry => /^messages_(sent|received|last|trend)_/.test(entry.metric)));
+});
+
+test('only stored contacts whose window boundaries moved are refreshed', async () => {
+    setSyncStateStore(createFileSyncStateStore(path.join(stateDir, 'state.json')));
+
+    // The first refresh only sets the starting point
+    const first = await prepareWindowRefresh('hubspot', 'w1');
+    assert.deepEqual(first.chats, []);
+    assert.equal(queries.length, 0);
+    await saveWindowRefresh('hubspot', 'w1', new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+    await recordMatchedChats('hubspot', 'w1', [
+        { chat_id: '14155552671@c.us', contactId: '1', additionalContactIds: ['11'] },
+        { chat_id: '14155552672@c.us', contactId: '2' },
+        { chat_id: '14155552673@c.us', contactId: '3' },
+        { chat_id: '14155552674@c.us', contactId: '4' }
+    ]);
+    // A contact deleted from the CRM is not refreshed any more
+    await recordMatchedChats('hubspot', 'w1', [{ chat_id: '14155552674@c.us', contactId: null }]);
+    movedChatIds = ['14155552671@c.us'];
+
+    const { chats } = await prepareWindowRefresh('hubspot', 'w1', new Set(['14155552673@c.us']));
+
+    assert.deepEqual(queries[0].params.chat_ids, ['14155552671@c.us', '14155552672@c.us']);
+    assert.match(queries[0].query, /INTERVAL 180 DAY\) AND timestamp < TIMESTAMP_SUB\(@until, INTERVAL 180 DAY\)/);
+    assert.deepEqual(queries[1].params.chat_ids, ['14155552671@c.us']);
+    assert.deepEqual(chats.map(chat => [chat.chat_id, chat.contactId, chat.message_windows.messages_sent_last_7_days]), [
+        ['14155552671@c.us', '1', 2],
+        ['14155552671@c.us', '11', 2]
+    ]);
+});
@@ -0,0 +1,200 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+dotenv.config();
+
+const EAZYBE_TOKEN_SYNC_URL = process.env.EAZYBE_TOKEN_SYNC_URL || 'https://dev.eazybe.com/v2/common/crm-token';
+
+/**
+ * Exchange a refresh token at a CRM's OAuth token endpoint
+ * @param {Object} endpoint - { label, tokenUrl, clientId, clientSecret, clientAuth }
+ *                            clientAuth is where the client credentials go: body (default), basic or query
+ * @param {string} refreshToken - Refresh token of the workspace
+ * @returns {Object} The token response, e.g. { access_token, refresh_token, expires_in }
+ */
+async function exchangeRefreshToken(endpoint, refreshToken) {
+    const { label, tokenUrl, clientId, clientSecret, clientAuth = 'body' } = endpoint;
+
+    try {
+        const params = {
+            grant_type: 'refresh_token',
+            ...(clientAuth === 'basic' ? {} : { client_id: clientId, client_secret: clientSecret }),
+            refresh_token: refreshToken
+        };
+
+        const response = clientAuth === 'query'
+            ? await axios.post(tokenUrl, null, { params })
+            : await axios.post(tokenUrl, new URLSearchParams(params).toString(), {
+                headers: {
+                    ...(clientAuth === 'basic'
+                        ? { 'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}` }
+                        : {}),
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+        // Some CRMs (Zoho) answer 200 with an error field when the refresh token is rejected
+        if (response.data.error || !response.data.access_token) {
+            throw new Error(`${label} token refresh failed: ${response.data.error || 'no access_token returned'}`);
+        }
+
+        return response.data;
+    } catch (error) {
+        console.error(`Error refreshing ${label} access token via ${tokenUrl}:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Expiry timestamp of a token response
+ * @param {Object} tokenData - Token response with expires_in in seconds
+ * @returns {string|null} ISO timestamp, null when the CRM doesn't say
+ */
+function tokenExpiresAt(tokenData) {
+    return tokenData.expires_in
+        ? new Date(Date.now() + tokenData.expires_in * 1000).toISOString()
+        : null;
+}
+
+/**
+ * Send a rotated token back to the Eazybe backend so the next run starts with it
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {string} label - CRM name for logs
+ * @param {string} workspaceId - Workspace the token belongs to
+ * @param {Object} fields - Token fields the backend stores for this CRM
+ */
+async function reportRotatedToken(crm, label, workspaceId, fields) {
+    try {
+        await axios.post(EAZYBE_TOKEN_SYNC_URL, {
+            crm: crm,
+            workspace_id: workspaceId,
+            ...fields
+        }, {
+            headers: {
+                'x-gcs-signature': '1234567890',
+                'Content-Type': 'application/json'
+            }
+        });
+    } catch (error) {
+        // The refreshed token is still usable for this run, so only log the failure
+        console.error(`Error reporting rotated ${label} token for workspace ${workspaceId}:`, error.response?.data || error.message);
+    }
+}
+
+/**
+ * Token handling shared by the CRM auth modules: refresh before expiry, one exchange per workspace
+ * at a time, report the rotated token, and retry an operation once when the CRM rejects the token.
+ * @param {Object} config
+ * @param {string} config.crm - CRM name, e.g. hubspot
+ * @param {string} config.label - CRM name for logs, e.g. HubSpot
+ * @param {Function} config.isAuthError - (error) => whether the CRM rejected the token
+ * @param {Function} config.refresh - async (conversation) => token response, usually through exchangeRefreshToken
+ * @param {Function} config.mapTokens - (tokenData, conversation) => { access_token, refresh_token?, token_expires_at?, api_domain? },
+ *                                      the fields set on the conversation
+ * @param {Function} config.reportFields - (tokens) => fields sent to the Eazybe backend (optional, nothing is reported without it)
+ * @param {Function} config.onRefresh - (conversation, tokens) => void, called after every refresh (optional)
+ * @param {number} config.expiryMarginMs - Refresh this many milliseconds before token_expires_at (optional,
+ *                                         without it a token is only refreshed when missing or rejected)
+ * @returns {Object} { rotateToken, withAccessToken }
+ */
+function createOAuthTokenManager(config) {
+    const { crm, label, isAuthError, refresh, mapTokens, reportFields, onRefresh, expiryMarginMs } = config;
+
+    // In-flight refreshes keyed by workspace_id so parallel calls share one exchange
+    const pendingRefreshes = {};
+
+    function isTokenExpired(conversation) {
+        if (!conversation.access_token) return true;
+        if (expiryMarginMs === undefined || !conversation.token_expires_at) return false;
+
+        const expiresAt = new Date(conversation.token_expires_at).getTime();
+        if (isNaN(expiresAt)) return false;
+
+        return expiresAt - expiryMarginMs <= Date.now();
+    }
+
+    /**
+     * Refresh the conversation's token in place and report it to the backend
+     * @param {Object} conversation - Conversation group with uid and refresh_token
+     * @returns {string} The new access token
+     */
+    async function rotateToken(conversation) {
+        if (!conversation.refresh_token) {
+            throw new Error(`No ${label} refresh token available for workspace ${conversation.uid}`);
+        }
+
+        if (!pendingRefreshes[conversation.uid]) {
+            pendingRefreshes[conversation.uid] = (async () => {
+                console.log(`Refreshing ${label} access token for workspace ${conversation.uid}`);
+                const tokenData = await refresh(conversation);
+
+                const tokens = {
+                    refresh_token: conversation.refresh_token,
+                    ...mapTokens(tokenData, conversation)
+                };
+
+                logWebhookSiteConfig({
+                    operation: `${label} Token Refreshed`,
+                    workspace_id: conversation.uid,
+                    expires_at: tokens.token_expires_at || null,
+                    ...(tokens.api_domain ? { api_domain: tokens.api_domain } : {})
+                });
+
+                if (reportFields) {
+                    await reportRotatedToken(crm, label, conversation.uid, reportFields(tokens));
+                }
+                return tokens;
+            })().finally(() => {
+                delete pendingRefreshes[conversation.uid];
+            });
+        }
+
+        const tokens = await pendingRefreshes[conversation.uid];
+        Object.entries(tokens).forEach(([key, value]) => {
+            if (value !== undefined) {
+                conversation[key] = value;
+            }
+        });
+        if (onRefresh) {
+            onRefresh(conversation, tokens);
+        }
+
+        return conversation.access_token;
+    }
+
+    /**
+     * Run an operation with a valid access token, refreshing once on expiry or when the token is rejected
+     * @param {Object} conversation - Conversation group with uid, access_token, refresh_token and api_domain
+     * @param {Function} operation - async (accessToken, apiDomain) => result
+     * @returns {Promise} The result of the operation
+     */
+    async function withAccessToken(conversation, operation) {
+        let refreshed = false;
+
+        if (isTokenExpired(conversation) && conversation.refresh_token) {
+            await rotateToken(conversation);
+            refreshed = true;
+        }
+
+        try {
+            return await operation(conversation.access_token, conversation.api_domain);
+        } catch (error) {
+            // A token we just refreshed being rejected won't be fixed by refreshing again
+            if (!isAuthError(error) || refreshed || !conversation.refresh_token) {
+                throw error;
+            }
+
+            console.log(`${label} rejected the access token for workspace ${conversation.uid}, retrying with a refreshed token`);
+            await rotateToken(conversation);
+            return await operation(conversation.access_token, conversation.api_domain);
+        }
+    }
+
+    return { rotateToken, withAccessToken };
+}
+
+module.exports = {
+    exchangeRefreshToken,
+    tokenExpiresAt,
+    createOAuthTokenManager
+};
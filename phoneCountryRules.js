@@ -0,0 +1,241 @@
+const { parsePhoneNumberFromString, getCountryCallingCode } = require('libphonenumber-js');
+
+/**
+ * How numbers of a country end up stored in CRMs besides the formats every number gets,
+ * keyed by ISO 3166 country code. A country entry can have:
+ * - trunkPrefix: national dialing prefix, numbers are also searched with it kept after the country code (+44 07911...)
+ * - internationalPrefix: dialing prefix used instead of '+' (00971...)
+ * - rules: changes to the national number, each one yields another number to search for:
+ *   { type: 'insert' | 'remove', position, digits, when: { nationalLength, startsWith } }
+ *   digits can be a list, insert then yields one number per entry. remove only applies when the digits are there.
+ *   Rules apply in order to the national number and to the numbers earlier rules yielded.
+ *   { type: 'group', sizes } adds the national number split into space separated groups.
+ * Every country has fixtures in phoneCountryRules.test.js.
+ */
+const PHONE_COUNTRY_RULES = {
+    BR: {
+        name: 'Brazil',
+        rules: [
+            // Mobile numbers got a 9 after the area code, older records are stored without it
+            { type: 'insert', position: 2, digits: '9', when: { nationalLength: 10 } },
+            { type: 'remove', position: 2, digits: '9', when: { nationalLength: 11 } }
+        ]
+    },
+    MX: {
+        name: 'Mexico',
+        rules: [
+            // Mobile numbers were dialed with a 1 after the country code until 2019
+            { type: 'insert', position: 0, digits: '1', when: { nationalLength: 10 } },
+            { type: 'remove', position: 0, digits: '1', when: { nationalLength: 11 } }
+        ]
+    },
+    AR: {
+        name: 'Argentina',
+        trunkPrefix: '0',
+        rules: [
+            // Mobile numbers are written with the local 15 prefix and dialed with a 9 after the country code
+            { type: 'remove', position: 0, digits: '9', when: { nationalLength: 11 } },
+            { type: 'remove', position: 0, digits: '15' },
+            { type: 'insert', position: 0, digits: '9', when: { nationalLength: 10 } }
+        ]
+    },
+    CO: {
+        name: 'Colombia',
+        rules: [
+            // Carrier selection codes dialed after the area code
+            { type: 'insert', position: 3, digits: ['1', '2', '3', '4', '5'], when: { nationalLength: 10 } }
+        ]
+    },
+    VE: {
+        name: 'Venezuela',
+        rules: [
+            // Local numbers stored without an area code, tried with the most common ones
+            { type: 'insert', position: 0, digits: ['212', '414', '416', '424', '426'], when: { nationalLength: 7 } }
+        ]
+    },
+    CI: {
+        name: "Côte d'Ivoire",
+        rules: [
+            // Numbers went from 8 to 10 digits in 2021, older records keep the 8-digit number
+            { type: 'remove', position: 0, digits: ['01', '05', '07', '21', '25', '27'], when: { nationalLength: 10 } },
+            { type: 'insert', position: 0, digits: '5' }
+        ]
+    },
+    ID: {
+        name: 'Indonesia',
+        trunkPrefix: '0',
+        rules: [
+            // Landlines of the largest cities stored without their area code
+            { type: 'remove', position: 0, digits: ['21', '22', '24', '31', '341', '361'] }
+        ]
+    },
+    IN: {
+        name: 'India',
+        trunkPrefix: '0',
+        rules: [
+            { type: 'group', sizes: [4, 6], when: { nationalLength: 10 } },
+            { type: 'group', sizes: [5, 5], when: { nationalLength: 10 } }
+        ]
+    },
+    AE: {
+        name: 'United Arab Emirates',
+        trunkPrefix: '0',
+        internationalPrefix: '00',
+        rules: [
+            { type: 'group', sizes: [2, 3, 4], when: { nationalLength: 9, startsWith: '5' } }
+        ]
+    },
+    SA: {
+        name: 'Saudi Arabia',
+        trunkPrefix: '0',
+        internationalPrefix: '00',
+        rules: [
+            { type: 'group', sizes: [2, 3, 4], when: { nationalLength: 9, startsWith: '5' } }
+        ]
+    },
+    NG: {
+        name: 'Nigeria',
+        trunkPrefix: '0',
+        internationalPrefix: '009',
+        rules: [
+            { type: 'group', sizes: [3, 3, 4], when: { nationalLength: 10 } }
+        ]
+    },
+    PH: {
+        name: 'Philippines',
+        trunkPrefix: '0',
+        internationalPrefix: '00',
+        rules: [
+            { type: 'group', sizes: [3, 3, 4], when: { nationalLength: 10, startsWith: '9' } }
+        ]
+    },
+    GB: {
+        name: 'United Kingdom',
+        trunkPrefix: '0',
+        internationalPrefix: '00',
+        rules: [
+            // Mobile numbers, landline area codes vary in length
+            { type: 'group', sizes: [4, 6], when: { nationalLength: 10, startsWith: '7' } }
+        ]
+    },
+    ES: {
+        name: 'Spain',
+        internationalPrefix: '00',
+        rules: [
+            { type: 'group', sizes: [3, 3, 3], when: { nationalLength: 9 } },
+            { type: 'group', sizes: [3, 2, 2, 2], when: { nationalLength: 9 } }
+        ]
+    }
+};
+
+// Territories sharing a calling code with a country in the table use its rules, e.g. Guernsey (GG) on +44
+function getCountryRules(parsedNumber) {
+    if (PHONE_COUNTRY_RULES[parsedNumber.country]) {
+        return PHONE_COUNTRY_RULES[parsedNumber.country];
+    }
+    const country = Object.keys(PHONE_COUNTRY_RULES)
+        .find(code => getCountryCallingCode(code) === parsedNumber.countryCallingCode);
+    return country ? PHONE_COUNTRY_RULES[country] : null;
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function matchesCondition(number, when = {}) {
+    if (when.nationalLength && number.length !== when.nationalLength) return false;
+    if (when.startsWith && !toList(when.startsWith).some(prefix => number.startsWith(prefix))) return false;
+    return true;
+}
+
+// National numbers a rule yields for one national number
+function applyRule(rule, number) {
+    if (!matchesCondition(number, rule.when)) return [];
+
+    const head = number.slice(0, rule.position);
+    const tail = number.slice(rule.position);
+    switch (rule.type) {
+        case 'insert':
+            return toList(rule.digits).map(digits => `${head}${digits}${tail}`);
+        case 'remove':
+            return toList(rule.digits)
+                .filter(digits => tail.startsWith(digits))
+                .map(digits => `${head}${tail.slice(digits.length)}`);
+        default:
+            return [];
+    }
+}
+
+function groupDigits(number, sizes) {
+    const groups = [];
+    let start = 0;
+    sizes.forEach((size, index) => {
+        const end = index === sizes.length - 1 ? number.length : start + size;
+        groups.push(number.slice(start, end));
+        start = end;
+    });
+    return groups.filter(Boolean).join(' ');
+}
+
+// Formats of a national number yielded by a rule, plus its formats with the country's dialing prefixes
+function addNationalNumberFormats(valueSet, countryRules, countryCode, number) {
+    valueSet.add(number);
+    valueSet.add(`+${countryCode}${number}`);
+    valueSet.add(`${countryCode}${number}`);
+
+    const parsedNumber = parsePhoneNumberFromString(`+${countryCode}${number}`);
+    if (parsedNumber) {
+        valueSet.add(parsedNumber.format('INTERNATIONAL'));
+        valueSet.add(parsedNumber.format('NATIONAL'));
+    }
+
+    if (countryRules.trunkPrefix) {
+        valueSet.add(`${countryRules.trunkPrefix}${number}`);
+        valueSet.add(`+${countryCode}${countryRules.trunkPrefix}${number}`);
+        valueSet.add(`${countryCode}${countryRules.trunkPrefix}${number}`);
+        valueSet.add(`+${countryCode} (${countryRules.trunkPrefix})${number}`);
+    }
+    if (countryRules.internationalPrefix) {
+        valueSet.add(`${countryRules.internationalPrefix}${countryCode}${number}`);
+    }
+}
+
+/**
+ * Add the variations of the number's country from PHONE_COUNTRY_RULES
+ * @param {Set} valueSet - Variations collected so far
+ * @param {Object} parsedNumber - Number parsed by libphonenumber-js
+ * @returns {boolean} Whether the country has rules
+ */
+function addCountryRuleFormats(valueSet, parsedNumber) {
+    const countryRules = getCountryRules(parsedNumber);
+    if (!countryRules) return false;
+
+    const countryCode = parsedNumber.countryCallingCode;
+    const numbers = new Set([parsedNumber.nationalNumber]);
+
+    (countryRules.rules || []).forEach(rule => {
+        if (rule.type === 'group') {
+            [...numbers].forEach(number => {
+                if (!matchesCondition(number, rule.when)) return;
+                const grouped = groupDigits(number, rule.sizes);
+                valueSet.add(grouped);
+                valueSet.add(`+${countryCode} ${grouped}`);
+                if (countryRules.trunkPrefix) {
+                    valueSet.add(`${countryRules.trunkPrefix}${grouped}`);
+                }
+            });
+            return;
+        }
+        [...numbers].forEach(number => {
+            applyRule(rule, number).forEach(yielded => numbers.add(yielded));
+        });
+    });
+
+    numbers.forEach(number => addNationalNumberFormats(valueSet, countryRules, countryCode, number));
+    return true;
+}
+
+module.exports = {
+    PHONE_COUNTRY_RULES,
+    addCountryRuleFormats
+};
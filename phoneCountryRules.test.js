@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PHONE_COUNTRY_RULES } = require('./phoneCountryRules');
+const { generatePhoneNumberVariations } = require('./phoneNumberParsing');
+
+// Numbers as they come from WhatsApp, with variations their country's rules must and must not produce
+const FIXTURES = {
+    BR: [
+        { number: '551187654321', includes: ['+5511987654321', '11987654321', '+55 11 98765 4321', '(11) 98765-4321'], excludes: ['+55119987654321'] },
+        { number: '5511987654321', includes: ['+551187654321', '1187654321'], excludes: ['+55119987654321'] }
+    ],
+    MX: [
+        { number: '5215512345678', includes: ['+525512345678', '525512345678', '5512345678'], excludes: ['+52115512345678'] },
+        { number: '525512345678', includes: ['+5215512345678', '15512345678'], excludes: ['+52115512345678'] }
+    ],
+    AR: [
+        { number: '541112345678', includes: ['+5491112345678', '91112345678'], excludes: ['+54991112345678'] },
+        { number: '5491112345678', includes: ['1112345678', '01112345678'], excludes: ['+54991112345678'] }
+    ],
+    CO: [
+        { number: '573001234567', includes: ['+573001234567', '30011234567', '+5730051234567'], excludes: ['+5730061234567', '+57300111234567'] }
+    ],
+    VE: [
+        // Area codes are only added to 7-digit local numbers
+        { number: '584141234567', includes: ['+584141234567', '04141234567', '0414-1234567'], excludes: ['+582124141234567'] }
+    ],
+    CI: [
+        { number: '2250701234567', includes: ['+2250701234567', '01234567', '+22501234567', '50701234567'], excludes: ['1234567', '+2250501234567'] }
+    ],
+    ID: [
+        { number: '622112345678', includes: ['+622112345678', '02112345678', '12345678'], excludes: ['+6222112345678'] },
+        { number: '6281234567890', includes: ['081234567890', '+62081234567890'], excludes: ['0081234567890'] }
+    ],
+    IN: [
+        { number: '919876543210', includes: ['+919876543210', '09876543210', '9876 543210', '98765 43210', '+91 98765 43210'], excludes: ['987 654 3210'] }
+    ],
+    AE: [
+        { number: '971501234567', includes: ['+971501234567', '0501234567', '+9710501234567', '00971501234567', '50 123 4567', '+971 50 123 4567'], excludes: ['501 234 567', '009710501234567'] }
+    ],
+    SA: [
+        { number: '966512345678', includes: ['+966512345678', '0512345678', '+9660512345678', '00966512345678', '51 234 5678'], excludes: ['512 345 678'] }
+    ],
+    NG: [
+        { number: '2348031234567', includes: ['+2348031234567', '08031234567', '+23408031234567', '0092348031234567', '803 123 4567', '0803 123 4567'], excludes: ['8031 234567', '002348031234567'] }
+    ],
+    PH: [
+        { number: '639171234567', includes: ['+639171234567', '09171234567', '+6309171234567', '00639171234567', '917 123 4567', '0917 123 4567'], excludes: ['9171 234567'] }
+    ],
+    GB: [
+        { number: '447911123456', includes: ['+447911123456', '07911123456', '+4407911123456', '+44 (0)7911123456', '00447911123456', '07911 123456'], excludes: ['79111 23456', '7911 123 456'] }
+    ],
+    ES: [
+        // Spain has no trunk prefix
+        { number: '34612345678', includes: ['+34612345678', '612345678', '0034612345678', '612 345 678', '612 34 56 78', '+34 612 34 56 78'], excludes: ['0612 345 678', '+340612345678'] }
+    ]
+};
+
+test('every country in PHONE_COUNTRY_RULES has fixtures', () => {
+    assert.deepEqual(Object.keys(PHONE_COUNTRY_RULES).sort(), Object.keys(FIXTURES).sort());
+});
+
+Object.entries(FIXTURES).forEach(([country, fixtures]) => {
+    fixtures.forEach(fixture => {
+        test(`${country} ${fixture.number}`, () => {
+            const variations = generatePhoneNumberVariations(fixture.number);
+
+            assert.deepEqual(fixture.includes.filter(expected => !variations.includes(expected)), [], 'missing variations');
+            assert.deepEqual(fixture.excludes.filter(unexpected => variations.includes(unexpected)), [], 'unexpected variations');
+            assert.equal(new Set(variations).size, variations.length, 'duplicate variations');
+        });
+    });
+});
@@ -0,0 +1,545 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const { generatePhoneNumberVariations, normalizePhoneNumber } = require('./phoneNumberParsing');
+const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { retryWithBackoff } = require('./utils');
+const { isPipedriveAuthError, withPipedriveAccessToken } = require('./pipedriveAuth');
+const { getFieldMapping, buildMappedProperties, DEFAULT_FIELD_MAPPINGS, MESSAGE_WINDOW_METRICS } = require('./fieldMapping');
+dotenv.config();
+
+const DEFAULT_API_DOMAIN = 'https://api.pipedrive.com';
+
+// Persons returned per phone number, more than one means duplicates
+const MAX_MATCHES_PER_PHONE = 10;
+
+// Search results read per term, partial matches are filtered out afterwards
+const SEARCH_RESULT_LIMIT = 50;
+
+// Phone numbers searched in parallel
+const SEARCH_CONCURRENCY = 5;
+
+// Persons updated in parallel, Pipedrive has no batch update endpoint for persons
+const UPDATE_CONCURRENCY = 10;
+
+// Field types of the custom fields we create on persons
+const PIPEDRIVE_FIELD_TYPES = {
+    'Eazybe Total Messages': 'double',
+    'Eazybe Messages Received': 'double',
+    'Eazybe Messages Sent': 'double',
+    'Eazybe Follow-ups': 'double',
+    'Eazybe Average Response Time': 'double',
+    'Eazybe First Response Time': 'double',
+    'Eazybe Last Client Message Date': 'date',
+    'Eazybe Last Message Sent By': 'varchar',
+    'Eazybe Client Replied': 'varchar',
+    'Eazybe Last Interaction Date': 'date',
+    // Rolling window counts and trends (percent), e.g. Eazybe Messages Sent Last 7 Days
+    ...Object.fromEntries(DEFAULT_FIELD_MAPPINGS.pipedrive
+        .filter(entry => MESSAGE_WINDOW_METRICS.includes(entry.metric))
+        .map(entry => [entry.field, 'double']))
+};
+
+// Field type for mapped fields we have no definition for, based on the mapping transform
+const TRANSFORM_FIELD_TYPES = {
+    number: 'double',
+    date: 'date'
+};
+
+function pipedriveHeaders(accessToken) {
+    return {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+/**
+ * Get all person fields of a Pipedrive company
+ * @param {string} accessToken - Pipedrive access token
+ * @param {string} apiDomain - Company API domain, e.g. https://acme.pipedrive.com
+ * @returns {Array} [{ key, name, field_type }]
+ */
+async function getPipedrivePersonFields(accessToken, apiDomain = DEFAULT_API_DOMAIN) {
+    try {
+        const fields = [];
+        let start = 0;
+
+        // personFields is paginated with start/limit
+        while (start !== null && start !== undefined) {
+            const response = await retryWithBackoff(async () => await axios.get(`${apiDomain}/api/v1/personFields`, {
+                params: { start, limit: 500 },
+                headers: pipedriveHeaders(accessToken)
+            }));
+
+            fields.push(...(response.data.data || []));
+            const pagination = response.data.additional_data?.pagination;
+            start = pagination?.more_items_in_collection ? pagination.next_start : null;
+        }
+
+        return fields;
+    } catch (error) {
+        console.error('Error fetching Pipedrive person fields:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resolve the mapped field names to the hash keys Pipedrive expects in person payloads
+ * @param {Array} personFields - From getPipedrivePersonFields
+ * @param {Array} fieldMapping - Entries from getFieldMapping('pipedrive', settings)
+ * @returns {Object} Map of field name to key, fields that don't exist are left out
+ */
+function getPipedriveFieldKeys(personFields, fieldMapping) {
+    return fieldMapping.reduce((acc, entry) => {
+        const field = personFields.find(personField => personField.name === entry.field);
+        if (field) {
+            acc[entry.field] = field.key;
+        }
+        return acc;
+    }, {});
+}
+
+/**
+ * Create the mapped person fields that don't exist yet
+ * @param {string} accessToken - Pipedrive access token
+ * @param {string} apiDomain - Company API domain
+ * @param {Array} fieldMapping - Entries from getFieldMapping('pipedrive', settings)
+ * @param {Object} fieldKeys - From getPipedriveFieldKeys (optional), read from Pipedrive when left out
+ * @returns {Object} { status, created, failed, fieldKeys } - fieldKeys includes the created fields
+ */
+async function createPipedriveCustomFields(accessToken, apiDomain = DEFAULT_API_DOMAIN, fieldMapping = getFieldMapping('pipedrive'), fieldKeys = null) {
+    try {
+        console.log('Checking Pipedrive person fields...');
+
+        const existingKeys = {
+            ...(fieldKeys || getPipedriveFieldKeys(await getPipedrivePersonFields(accessToken, apiDomain), fieldMapping))
+        };
+
+        const missingEntries = fieldMapping.filter(entry => !existingKeys[entry.field]);
+        if (missingEntries.length === 0) {
+            console.log('✓ All Pipedrive fields already exist');
+            return { status: true, created: [], failed: [], fieldKeys: existingKeys };
+        }
+
+        console.log(`→ Creating ${missingEntries.length} missing Pipedrive fields: ${missingEntries.map(entry => entry.field).join(', ')}`);
+
+        const created = [];
+        const failed = [];
+        // personFields can only be created one at a time
+        for (const entry of missingEntries) {
+            try {
+                const response = await axios.post(`${apiDomain}/api/v1/personFields`, {
+                    name: entry.field,
+                    field_type: PIPEDRIVE_FIELD_TYPES[entry.field] || TRANSFORM_FIELD_TYPES[entry.transform] || 'varchar'
+                }, {
+                    headers: pipedriveHeaders(accessToken)
+                });
+                if (response.data?.data?.key) {
+                    existingKeys[entry.field] = response.data.data.key;
+                }
+                created.push(entry.field);
+            } catch (error) {
+                if (isPipedriveAuthError(error)) {
+                    throw error;
+                }
+                failed.push({ field: entry.field, error: error.response?.data?.error || error.message });
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'Pipedrive Custom Fields Created',
+            created: created,
+            failed: failed
+        });
+
+        if (failed.length > 0) {
+            console.error('✗ Some Pipedrive fields could not be created:', failed);
+        } else {
+            console.log('✓ Pipedrive fields created');
+        }
+
+        return { status: failed.length === 0, created, failed, fieldKeys: existingKeys };
+    } catch (error) {
+        console.error('Error creating Pipedrive custom fields:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+const digitsOnly = value => String(value).replace(/\D/g, '');
+
+/**
+ * Digits-only search terms of a phone number, national number and E.164 first, without duplicates.
+ * Pipedrive ignores formatting in phone searches, so the formatted variations only add
+ * terms when they carry other digits (e.g. a trunk prefix).
+ * @param {string} phone - Phone number, with or without '+'
+ * @param {Object} phoneRegion - From getPhoneRegion (optional)
+ * @returns {Array<string>} Search terms
+ */
+function getPipedriveSearchTerms(phone, phoneRegion = {}) {
+    const e164 = normalizePhoneNumber(phone, phoneRegion);
+    const parsed = e164 ? parsePhoneNumberFromString(e164) : null;
+
+    const terms = [
+        parsed ? parsed.nationalNumber : null,
+        e164,
+        ...generatePhoneNumberVariations(phone, phoneRegion)
+    ].filter(Boolean).map(digitsOnly);
+
+    // Short terms match unrelated numbers and Pipedrive rejects terms under 2 characters
+    return [...new Set(terms)].filter(term => term.length >= 6);
+}
+
+// Whether a person found by a partial search has the phone number itself
+function personHasPhone(person, phone, phoneRegion) {
+    const e164 = normalizePhoneNumber(phone, phoneRegion);
+    const variationDigits = new Set(generatePhoneNumberVariations(phone, phoneRegion).map(digitsOnly));
+
+    return (person.phones || []).some(entry => {
+        const stored = typeof entry === 'string' ? entry : entry?.value;
+        if (!stored) return false;
+        return (e164 && normalizePhoneNumber(stored, phoneRegion) === e164) || variationDigits.has(digitsOnly(stored));
+    });
+}
+
+/**
+ * Search the Pipedrive person of one phone number, one term at a time until a term matches
+ * @returns {Object|null} Match in the chatIdToContactIdMap shape, null without a match
+ */
+async function searchPipedrivePersonByPhone(accessToken, phone, apiDomain, phoneRegion) {
+    for (const term of getPipedriveSearchTerms(phone, phoneRegion)) {
+        const response = await retryWithBackoff(async () => await axios.get(`${apiDomain}/api/v2/persons/search`, {
+            params: {
+                term: term,
+                fields: 'phone',
+                exact_match: false,
+                limit: SEARCH_RESULT_LIMIT
+            },
+            headers: pipedriveHeaders(accessToken)
+        }));
+
+        // A partial search also returns numbers that only contain the term
+        const persons = (response.data?.data?.items || [])
+            .map(entry => entry.item)
+            .filter(person => person && personHasPhone(person, phone, phoneRegion))
+            .slice(0, MAX_MATCHES_PER_PHONE);
+
+        if (persons.length > 0) {
+            // Every match is returned, the workspace's duplicate_contact_policy picks the person.
+            // Search results carry no timestamps, so duplicates resolve to the lowest person id.
+            return {
+                contactId: persons[0].id,
+                contact: persons[0],
+                matches: persons.map(match => ({
+                    contactId: match.id,
+                    whatsappMatch: false,
+                    createdAt: null,
+                    modifiedAt: null
+                }))
+            };
+        }
+    }
+    return null;
+}
+
+async function personExistanceBulkOnPipedrive(accessToken, phoneNumbers = [], apiDomain = DEFAULT_API_DOMAIN, phoneRegion = {}) {
+    try {
+        const phones = [...new Set(phoneNumbers.filter(phone => phone && typeof phone === 'string'))];
+        if (phones.length === 0) {
+            return { chatIdToContactIdMap: {} };
+        }
+
+        const chatIdToContactIdMap = {};
+        // Phones whose search failed, they can't be called unmatched
+        const failedPhones = [];
+
+        console.log(`Searching Pipedrive persons for ${phones.length} phone numbers`);
+
+        for (let i = 0; i < phones.length; i += SEARCH_CONCURRENCY) {
+            const batch = phones.slice(i, i + SEARCH_CONCURRENCY);
+            const settled = await Promise.allSettled(batch.map(phone =>
+                searchPipedrivePersonByPhone(accessToken, phone, apiDomain, phoneRegion)
+            ));
+
+            settled.forEach((result, idx) => {
+                const phone = batch[idx];
+                if (result.status === 'fulfilled') {
+                    if (result.value) {
+                        chatIdToContactIdMap[phone] = result.value;
+                        console.log(`Found person for phone ${phone}: ${result.value.contactId}`);
+                    }
+                } else {
+                    console.error(`Error searching Pipedrive persons for ${phone}:`, result.reason.response?.data || result.reason.message);
+                    failedPhones.push(phone);
+                }
+            });
+
+            // An expired token fails every search, let the caller refresh it and retry
+            const authError = settled.find(result => result.status === 'rejected' && isPipedriveAuthError(result.reason));
+            if (authError) {
+                throw authError.reason;
+            }
+
+            // Add delay between batches to avoid rate limiting
+            if (i + SEARCH_CONCURRENCY < phones.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        console.log(`Total persons found: ${Object.keys(chatIdToContactIdMap).length}`);
+
+        return {
+            chatIdToContactIdMap: chatIdToContactIdMap,
+            failedPhones: failedPhones
+        };
+    } catch (error) {
+        console.error('Error checking person existence bulk on Pipedrive:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Build the mapped fields (keyed by field name) for one chat
+ * @param {Object} chat - Chat with contactId, analytics and response times
+ * @param {Array} fieldMapping - Entries from getFieldMapping('pipedrive', settings)
+ * @returns {Object} Map of field name to value
+ */
+function buildPipedrivePersonFields(chat, fieldMapping = getFieldMapping('pipedrive')) {
+    return buildMappedProperties(chat, fieldMapping);
+}
+
+// Person payloads address custom fields by key, not by name
+function toCustomFields(fields, fieldKeys) {
+    return Object.entries(fields).reduce((acc, [name, value]) => {
+        if (fieldKeys[name]) {
+            acc[fieldKeys[name]] = value;
+        }
+        return acc;
+    }, {});
+}
+
+function uniqueByContactId(chatData) {
+    return chatData.reduce((acc, chat) => {
+        if (!acc.find(c => c.contactId === chat.contactId)) {
+            acc.push(chat);
+        }
+        return acc;
+    }, []);
+}
+
+/**
+ * Build the person updates for a set of chats without sending them, alongside
+ * the values currently stored on each person (read-only, used by dry runs)
+ * @param {string} accessToken - Pipedrive access token
+ * @param {Array} chatData - Chats with contactId and analytics
+ * @param {string} apiDomain - Company API domain
+ * @param {Array} fieldMapping - Entries from getFieldMapping('pipedrive', settings)
+ * @param {Object} fieldKeys - From getPipedriveFieldKeys (optional), read from Pipedrive when left out
+ * @returns {Array} [{ contactId, chat_id, payload, current, changes }]
+ */
+async function previewPipedrivePersonsBatch(accessToken, chatData, apiDomain = DEFAULT_API_DOMAIN, fieldMapping = getFieldMapping('pipedrive'), fieldKeys = null) {
+    try {
+        const uniqueChatData = uniqueByContactId(chatData);
+        const keys = fieldKeys || getPipedriveFieldKeys(await getPipedrivePersonFields(accessToken, apiDomain), fieldMapping);
+        const fieldNames = fieldMapping.map(entry => entry.field);
+        const currentValues = {};
+
+        for (let i = 0; i < uniqueChatData.length; i += 100) {
+            const batch = uniqueChatData.slice(i, i + 100);
+            const response = await retryWithBackoff(async () => await axios.get(`${apiDomain}/api/v2/persons`, {
+                params: {
+                    ids: batch.map(chat => chat.contactId).join(','),
+                    limit: 100
+                },
+                headers: pipedriveHeaders(accessToken)
+            }));
+
+            (response.data?.data || []).forEach(person => {
+                currentValues[String(person.id)] = person.custom_fields || {};
+            });
+        }
+
+        const normalize = value => (value === null || value === undefined ? '' : String(value));
+
+        return uniqueChatData.map(chat => {
+            const payload = buildPipedrivePersonFields(chat, fieldMapping);
+            const current = fieldNames.reduce((acc, name) => {
+                acc[name] = keys[name] ? currentValues[String(chat.contactId)]?.[keys[name]] ?? null : null;
+                return acc;
+            }, {});
+            const changes = fieldNames.reduce((acc, name) => {
+                if (normalize(current[name]) !== normalize(payload[name])) {
+                    acc[name] = { from: current[name], to: payload[name] ?? null };
+                }
+                return acc;
+            }, {});
+
+            return {
+                contactId: chat.contactId,
+                chat_id: chat.chat_id,
+                payload: payload,
+                current: current,
+                changes: changes
+            };
+        });
+    } catch (error) {
+        console.error('Error previewing Pipedrive persons batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Update the mapped fields of many Pipedrive persons, UPDATE_CONCURRENCY at a time
+ * @param {string} accessToken - Pipedrive access token
+ * @param {Array} chatData - Chats with contactId, analytics and response times
+ * @param {string} apiDomain - Company API domain
+ * @param {Array} fieldMapping - Entries from getFieldMapping('pipedrive', settings)
+ * @param {Object} fieldKeys - From getPipedriveFieldKeys (optional), read from Pipedrive when left out
+ * @returns {Object} { totalProcessed, totalUpdated, batchesProcessed, updatedContactIds, results }
+ */
+async function updatePipedrivePersonsBatch(accessToken, chatData, apiDomain = DEFAULT_API_DOMAIN, fieldMapping = getFieldMapping('pipedrive'), fieldKeys = null) {
+    try {
+        const uniqueChatData = uniqueByContactId(chatData);
+
+        console.log(`Removed ${chatData.length - uniqueChatData.length} duplicate persons. Processing ${uniqueChatData.length} unique persons.`);
+
+        const keys = fieldKeys || getPipedriveFieldKeys(await getPipedrivePersonFields(accessToken, apiDomain), fieldMapping);
+        const unknownFields = fieldMapping.filter(entry => !keys[entry.field]).map(entry => entry.field);
+        if (unknownFields.length > 0) {
+            console.warn(`⚠️  Pipedrive fields not found, leaving them out: ${unknownFields.join(', ')}`);
+        }
+
+        const batches = [];
+        for (let i = 0; i < uniqueChatData.length; i += UPDATE_CONCURRENCY) {
+            batches.push(uniqueChatData.slice(i, i + UPDATE_CONCURRENCY));
+        }
+
+        const allResults = [];
+        let totalUpdated = 0;
+        const updatedContactIds = [];
+
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            console.log(`Processing batch ${i + 1}/${batches.length} with ${batch.length} persons`);
+
+            const settled = await Promise.allSettled(batch.map(chat =>
+                axios.patch(`${apiDomain}/api/v2/persons/${chat.contactId}`, {
+                    custom_fields: toCustomFields(buildPipedrivePersonFields(chat, fieldMapping), keys)
+                }, {
+                    headers: pipedriveHeaders(accessToken)
+                })
+            ));
+
+            settled.forEach((result, idx) => {
+                const chat = batch[idx];
+                if (result.status === 'fulfilled') {
+                    totalUpdated++;
+                    updatedContactIds.push(chat.contactId);
+                    allResults.push({ contactId: chat.contactId, success: true });
+                } else {
+                    console.error(`Error updating Pipedrive person ${chat.contactId}:`, result.reason.response?.data || result.reason.message);
+                    allResults.push({ contactId: chat.contactId, success: false, error: result.reason.response?.data?.error || result.reason.message });
+                }
+            });
+
+            // An expired token fails every person, let the caller refresh it and retry
+            const authError = settled.find(result => result.status === 'rejected' && isPipedriveAuthError(result.reason));
+            if (authError) {
+                throw authError.reason;
+            }
+
+            // Add delay between batches to avoid rate limiting
+            if (i < batches.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'Pipedrive Batch Update Response',
+            totalUpdated: totalUpdated,
+            totalProcessed: uniqueChatData.length,
+            batchesProcessed: batches.length,
+            results: allResults
+        });
+
+        return {
+            totalProcessed: uniqueChatData.length,
+            totalUpdated: totalUpdated,
+            batchesProcessed: batches.length,
+            updatedContactIds: updatedContactIds,
+            results: allResults
+        };
+    } catch (error) {
+        console.error('Error updating Pipedrive persons in batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Keys of the mapped person fields, read once per workspace and run, see withAccessToken
+async function workspaceFieldKeys({ accessToken, apiDomain, personFields }, fieldMapping) {
+    if (!personFields.keys) {
+        personFields.keys = getPipedriveFieldKeys(await getPipedrivePersonFields(accessToken, apiDomain), fieldMapping);
+    }
+    return personFields.keys;
+}
+
+// CRM adapter used by the sync pipeline, see crmRegistry.js for the contract
+const pipedriveAdapter = {
+    name: 'pipedrive',
+    label: 'Pipedrive',
+    // Scheduled syncs only push to Pipedrive with ENABLE_PIPEDRIVE_SYNC=true
+    isAuthError: isPipedriveAuthError,
+    enabledByDefault: false,
+
+    getCredentials: user => ({
+        access_token: user?.access_token || null,
+        refresh_token: user?.refresh_token || null,
+        token_expires_at: user?.expires_at || null,
+        api_domain: user?.api_domain || DEFAULT_API_DOMAIN
+    }),
+
+    // Refreshes the token through the refresh token on expiry or a 401.
+    // The person field keys are kept on the workspace so a run reads them once.
+    withAccessToken: (conversation, operation) => {
+        if (!conversation.pipedrivePersonFields) {
+            conversation.pipedrivePersonFields = {};
+        }
+        return withPipedriveAccessToken(conversation, (accessToken, apiDomain) =>
+            operation({ accessToken, apiDomain, personFields: conversation.pipedrivePersonFields })
+        );
+    },
+
+    findContactsByPhone: ({ accessToken, apiDomain }, phoneNumbers, phoneRegion) =>
+        personExistanceBulkOnPipedrive(accessToken, phoneNumbers, apiDomain, phoneRegion),
+
+    buildContactProperties: (chat, fieldMapping) =>
+        buildPipedrivePersonFields(chat, fieldMapping),
+
+    updateContactsBatch: async (credentials, chats, fieldMapping) =>
+        updatePipedrivePersonsBatch(credentials.accessToken, chats, credentials.apiDomain, fieldMapping,
+            await workspaceFieldKeys(credentials, fieldMapping)),
+
+    previewContactsBatch: async (credentials, chats, fieldMapping) =>
+        previewPipedrivePersonsBatch(credentials.accessToken, chats, credentials.apiDomain, fieldMapping,
+            await workspaceFieldKeys(credentials, fieldMapping)),
+
+    provisionFields: ({ accessToken, apiDomain }, fieldMapping) =>
+        createPipedriveCustomFields(accessToken, apiDomain, fieldMapping),
+
+    ensureFields: async (credentials, fieldMapping) => {
+        const result = await createPipedriveCustomFields(credentials.accessToken, credentials.apiDomain, fieldMapping,
+            await workspaceFieldKeys(credentials, fieldMapping));
+        // Created fields are written in the same run
+        credentials.personFields.keys = result.fieldKeys;
+        return result;
+    }
+};
+
+module.exports = {
+    pipedriveAdapter,
+    getPipedrivePersonFields,
+    createPipedriveCustomFields,
+    personExistanceBulkOnPipedrive,
+    updatePipedrivePersonsBatch,
+    previewPipedrivePersonsBatch,
+    buildPipedrivePersonFields
+};
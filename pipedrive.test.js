@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { getFieldMapping } = require('./fieldMapping');
+const { createPipedriveCustomFields } = require('./pipedrive');
+
+test('the last interaction date and message window fields are created like the HubSpot ones', async t => {
+    const created = {};
+    t.mock.method(axios, 'post', async (url, body) => {
+        if (!url.endsWith('/api/v1/personFields')) return { data: {} };
+        created[body.name] = body.field_type;
+        return { data: { data: { key: `key_${Object.keys(created).length}` } } };
+    });
+
+    // Every other default field exists already
+    const existing = getFieldMapping('pipedrive').reduce((acc, entry) => {
+        if (entry.metric !== 'last_interaction_at' && !/_\d+_days$/.test(entry.metric)) {
+            acc[entry.field] = `existing_${entry.metric}`;
+        }
+        return acc;
+    }, {});
+
+    const result = await createPipedriveCustomFields('token', 'https://acme.pipedrive.com', getFieldMapping('pipedrive'), existing);
+
+    assert.equal(result.failed.length, 0);
+    assert.equal(created['Eazybe Last Interaction Date'], 'date');
+    assert.equal(created['Eazybe Messages Sent Last 7 Days'], 'double');
+    assert.equal(created['Eazybe Messages Received Last 30 Days'], 'double');
+    assert.equal(created['Eazybe Messages Trend 90 Days'], 'double');
+    assert.equal(Object.keys(created).length, 10);
+    assert.equal(result.fieldKeys['Eazybe Last Interaction Date'], 'key_1');
+});
@@ -0,0 +1,69 @@
+const dotenv = require('dotenv');
+const { exchangeRefreshToken, tokenExpiresAt, createOAuthTokenManager } = require('./oauthTokens');
+dotenv.config();
+
+const PIPEDRIVE_TOKEN_URL = 'https://oauth.pipedrive.com/oauth/token';
+
+// Refresh this many milliseconds before the token actually expires
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether an axios error means the Pipedrive access token was rejected
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+function isPipedriveAuthError(error) {
+    return error?.response?.status === 401;
+}
+
+/**
+ * Exchange a refresh token for a new Pipedrive access token
+ * @param {string} refreshToken - Pipedrive refresh token
+ * @returns {Object} { access_token, refresh_token, expires_in, api_domain }
+ */
+async function refreshPipedriveAccessToken(refreshToken) {
+    // Pipedrive takes the client credentials as HTTP Basic auth
+    return exchangeRefreshToken({
+        label: 'Pipedrive',
+        tokenUrl: PIPEDRIVE_TOKEN_URL,
+        clientId: process.env.PIPEDRIVE_CLIENT_ID,
+        clientSecret: process.env.PIPEDRIVE_CLIENT_SECRET,
+        clientAuth: 'basic'
+    }, refreshToken);
+}
+
+const pipedriveTokens = createOAuthTokenManager({
+    crm: 'pipedrive',
+    label: 'Pipedrive',
+    isAuthError: isPipedriveAuthError,
+    expiryMarginMs: EXPIRY_MARGIN_MS,
+    refresh: conversation => refreshPipedriveAccessToken(conversation.refresh_token),
+    mapTokens: (tokenData, conversation) => ({
+        access_token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token || conversation.refresh_token,
+        token_expires_at: tokenExpiresAt(tokenData),
+        api_domain: tokenData.api_domain || conversation.api_domain
+    }),
+    reportFields: tokens => ({
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_at: tokens.token_expires_at,
+        api_domain: tokens.api_domain
+    })
+});
+
+/**
+ * Run a Pipedrive operation with a valid access token, refreshing once on expiry or a 401
+ * @param {Object} conversation - Conversation group with uid, access_token, refresh_token and api_domain
+ * @param {Function} operation - async (accessToken, apiDomain) => result
+ * @returns {Promise} The result of the operation
+ */
+function withPipedriveAccessToken(conversation, operation) {
+    return pipedriveTokens.withAccessToken(conversation, operation);
+}
+
+module.exports = {
+    isPipedriveAuthError,
+    refreshPipedriveAccessToken,
+    withPipedriveAccessToken
+};
@@ -0,0 +1,49 @@
+const { getSyncStateStore } = require('./syncStateStore');
+
+// Retired fields already emptied, keyed by crm:workspaceId, [fieldName]
+const RETIRED_FIELD_NAMESPACE = 'retired_field_clears';
+
+/**
+ * Contact fields earlier versions of the sync wrote and the default mappings no longer do. Their last
+ * value would stay on every contact, so they are emptied once per workspace.
+ * - time since last client message: whole hours as of the sync, stale between syncs, replaced by the
+ *   last client message date (HubSpot contacts schema v6)
+ */
+const RETIRED_FIELDS = {
+    hubspot: ['eazybe_time_since_last_client_message'],
+    zoho: ['Time_Since_Last_Client_Message']
+};
+
+/**
+ * Empty the retired fields of a workspace's contacts unless it was done already.
+ * Fields the workspace's own mapping still writes to are left alone.
+ * @param {Object} adapter - CRM adapter, only those with clearContactFields clear anything
+ * @param {Object} conversation - Conversation group with uid, credentials and fieldMapping
+ * @returns {number} Contacts cleared
+ */
+async function clearRetiredFields(adapter, conversation) {
+    if (!adapter.clearContactFields) return 0;
+
+    const fieldNames = (RETIRED_FIELDS[adapter.name] || [])
+        .filter(fieldName => !conversation.fieldMapping.some(entry => entry.field === fieldName));
+    if (fieldNames.length === 0) return 0;
+
+    const store = getSyncStateStore();
+    const key = `${adapter.name}:${conversation.uid}`;
+    const cleared = (await store.get(RETIRED_FIELD_NAMESPACE, key)) || [];
+    const pending = fieldNames.filter(fieldName => !cleared.includes(fieldName));
+    if (pending.length === 0) return 0;
+
+    console.log(`Clearing retired ${adapter.label} fields (${pending.join(', ')}) for UID: ${conversation.uid}`);
+    const result = await adapter.withAccessToken(conversation, credentials =>
+        adapter.clearContactFields(credentials, pending)
+    );
+    await store.set(RETIRED_FIELD_NAMESPACE, key, [...cleared, ...pending]);
+
+    return result.cleared;
+}
+
+module.exports = {
+    RETIRED_FIELDS,
+    clearRetiredFields
+};
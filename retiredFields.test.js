@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileSyncStateStore, setSyncStateStore } = require('./syncStateStore');
+const { getFieldMapping } = require('./fieldMapping');
+const { clearRetiredFields } = require('./retiredFields');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+test.after(() => fs.rmSync(stateDir, { recursive: true, force: true }));
+
+const adapterClearing = cleared => ({
+    name: 'hubspot',
+    label: 'HubSpot',
+    withAccessToken: (conversation, operation) => operation({ accessToken: 'token' }),
+    clearContactFields: async (credentials, fieldNames) => {
+        cleared.push(...fieldNames);
+        return { cleared: 3 };
+    }
+});
+
+test('retired fields are cleared once per workspace', async () => {
+    setSyncStateStore(createFileSyncStateStore(path.join(stateDir, 'once.json')));
+    const cleared = [];
+    const adapter = adapterClearing(cleared);
+
+    assert.equal(await clearRetiredFields(adapter, { uid: 'w1', fieldMapping: getFieldMapping('hubspot') }), 3);
+    assert.equal(await clearRetiredFields(adapter, { uid: 'w1', fieldMapping: getFieldMapping('hubspot') }), 0);
+    assert.equal(await clearRetiredFields(adapter, { uid: 'w2', fieldMapping: getFieldMapping('hubspot') }), 3);
+
+    assert.deepEqual(cleared, ['eazybe_time_since_last_client_message', 'eazybe_time_since_last_client_message']);
+});
+
+test('a retired field the workspace still maps is left alone', async () => {
+    setSyncStateStore(createFileSyncStateStore(path.join(stateDir, 'mapped.json')));
+    const cleared = [];
+    const settings = {
+        field_mapping: {
+            hubspot: { eazybe_time_since_last_client_message: { metric: 'follow_ups', transform: 'number' } }
+        }
+    };
+
+    const count = await clearRetiredFields(adapterClearing(cleared), { uid: 'w1', fieldMapping: getFieldMapping('hubspot', settings) });
+
+    assert.equal(count, 0);
+    assert.deepEqual(cleared, []);
+});
@@ -0,0 +1,511 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { generatePhoneNumberVariations } = require('./phoneNumberParsing');
+const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { retryWithBackoff } = require('./utils');
+const { isSalesforceAuthError, withSalesforceAccessToken } = require('./salesforceAuth');
+const { getFieldMapping, buildMappedProperties } = require('./fieldMapping');
+dotenv.config();
+
+const SALESFORCE_API_VERSION = process.env.SALESFORCE_API_VERSION || 'v60.0';
+
+// Objects we match phone numbers against, Contacts win over Leads for the same number
+const MATCHED_OBJECTS = ['Contact', 'Lead'];
+
+// Record id prefixes of the matched objects, so a contactId tells which object to update
+const SOBJECT_KEY_PREFIXES = {
+    '003': 'Contact',
+    '00Q': 'Lead'
+};
+
+// sObject Collections accept at most 200 records per call
+const COLLECTION_SIZE = 200;
+
+// Phone numbers per SOQL query, their variations have to fit in the query string
+const PHONES_PER_QUERY = 20;
+
+// Custom fields we create on Contact and Lead
+const SALESFORCE_FIELD_DEFINITIONS = {
+    Eazybe_Total_Messages__c: { label: 'Eazybe Total Messages', type: 'Number', precision: 18, scale: 0 },
+    Eazybe_Messages_Received__c: { label: 'Eazybe Messages Received', type: 'Number', precision: 18, scale: 0 },
+    Eazybe_Messages_Sent__c: { label: 'Eazybe Messages Sent', type: 'Number', precision: 18, scale: 0 },
+    Eazybe_Follow_ups__c: { label: 'Eazybe Follow-ups', type: 'Number', precision: 18, scale: 0 },
+    Eazybe_Average_Response_Time__c: { label: 'Eazybe Average Response Time', type: 'Number', precision: 18, scale: 2 },
+    Eazybe_First_Response_Time__c: { label: 'Eazybe First Response Time', type: 'Number', precision: 18, scale: 2 },
+    Eazybe_Last_Client_Message_Date__c: { label: 'Eazybe Last Client Message Date', type: 'DateTime' },
+    Eazybe_Last_Message_Sent_By__c: { label: 'Eazybe Last Message Sent By', type: 'Text', length: 255 },
+    Eazybe_Client_Replied__c: { label: 'Eazybe Client Replied', type: 'Text', length: 255 },
+    Eazybe_Last_Interaction_Date__c: { label: 'Eazybe Last Interaction Date', type: 'Date' }
+};
+
+// Field definition for mapped fields we have no definition for, based on the mapping transform
+const TRANSFORM_FIELD_DEFINITIONS = {
+    number: { type: 'Number', precision: 18, scale: 0 },
+    date: { type: 'Date' },
+    datetime: { type: 'DateTime' }
+};
+
+function salesforceHeaders(accessToken) {
+    return {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+}
+
+function dataUrl(instanceUrl, path) {
+    return `${instanceUrl}/services/data/${SALESFORCE_API_VERSION}${path}`;
+}
+
+// Quote a value for a SOQL string literal
+function soqlString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Tell which sObject a record id belongs to
+ * @param {string} recordId - Salesforce record id
+ * @returns {string|null} Contact, Lead or null
+ */
+function getSalesforceObjectType(recordId) {
+    return SOBJECT_KEY_PREFIXES[String(recordId || '').slice(0, 3)] || null;
+}
+
+/**
+ * Run a SOQL query and follow nextRecordsUrl until every record is read
+ * @param {string} accessToken - Salesforce access token
+ * @param {string} instanceUrl - Org instance URL
+ * @param {string} soql - Query
+ * @returns {Array} Records
+ */
+async function querySalesforce(accessToken, instanceUrl, soql) {
+    const records = [];
+    let response = await retryWithBackoff(async () => await axios.get(dataUrl(instanceUrl, '/query'), {
+        params: { q: soql },
+        headers: salesforceHeaders(accessToken)
+    }));
+    records.push(...(response.data.records || []));
+
+    while (!response.data.done && response.data.nextRecordsUrl) {
+        const nextRecordsUrl = response.data.nextRecordsUrl;
+        response = await retryWithBackoff(async () => await axios.get(`${instanceUrl}${nextRecordsUrl}`, {
+            headers: salesforceHeaders(accessToken)
+        }));
+        records.push(...(response.data.records || []));
+    }
+
+    return records;
+}
+
+/**
+ * Get the field API names of an sObject the integration user can see
+ * @param {string} accessToken - Salesforce access token
+ * @param {string} instanceUrl - Org instance URL
+ * @param {string} objectType - e.g. Contact
+ * @returns {Array<string>}
+ */
+async function getSalesforceFieldNames(accessToken, instanceUrl, objectType) {
+    try {
+        const response = await retryWithBackoff(async () => await axios.get(dataUrl(instanceUrl, `/sobjects/${objectType}/describe`), {
+            headers: salesforceHeaders(accessToken)
+        }));
+        return (response.data.fields || []).map(field => field.name);
+    } catch (error) {
+        console.error(`Error describing Salesforce ${objectType}:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Create the mapped custom fields that are missing on Contact or Lead, through the Tooling API.
+ * New fields are only writable once the integration user's profile or permission set grants access.
+ * @param {string} accessToken - Salesforce access token
+ * @param {string} instanceUrl - Org instance URL
+ * @param {Array} fieldMapping - Entries from getFieldMapping('salesforce', settings)
+ * @returns {Object} { status, created, failed }
+ */
+async function createSalesforceCustomFields(accessToken, instanceUrl, fieldMapping = getFieldMapping('salesforce')) {
+    try {
+        console.log('Checking Salesforce custom fields...');
+
+        const created = [];
+        const failed = [];
+
+        for (const objectType of MATCHED_OBJECTS) {
+            const existingFields = new Set(await getSalesforceFieldNames(accessToken, instanceUrl, objectType));
+            const missingEntries = fieldMapping.filter(entry => !existingFields.has(entry.field));
+            if (missingEntries.length === 0) continue;
+
+            console.log(`→ Creating ${missingEntries.length} missing ${objectType} fields: ${missingEntries.map(entry => entry.field).join(', ')}`);
+
+            for (const entry of missingEntries) {
+                const definition = SALESFORCE_FIELD_DEFINITIONS[entry.field] || {
+                    label: entry.field.replace(/__c$/, '').replace(/_/g, ' '),
+                    ...(TRANSFORM_FIELD_DEFINITIONS[entry.transform] || { type: 'Text', length: 255 })
+                };
+
+                try {
+                    await axios.post(dataUrl(instanceUrl, '/tooling/sobjects/CustomField'), {
+                        FullName: `${objectType}.${entry.field}`,
+                        Metadata: definition
+                    }, {
+                        headers: salesforceHeaders(accessToken)
+                    });
+                    created.push(`${objectType}.${entry.field}`);
+                } catch (error) {
+                    if (isSalesforceAuthError(error)) {
+                        throw error;
+                    }
+                    // A field hidden from the integration user by field-level security also lands here
+                    failed.push({
+                        field: `${objectType}.${entry.field}`,
+                        error: error.response?.data?.[0]?.message || error.message
+                    });
+                }
+            }
+        }
+
+        if (created.length === 0 && failed.length === 0) {
+            console.log('✓ All Salesforce fields already exist');
+            return { status: true, created, failed };
+        }
+
+        logWebhookSiteConfig({
+            operation: 'Salesforce Custom Fields Created',
+            created: created,
+            failed: failed
+        });
+
+        if (created.length > 0) {
+            console.log(`✓ Salesforce fields created, grant field access to the integration user: ${created.join(', ')}`);
+        }
+        if (failed.length > 0) {
+            console.error('✗ Some Salesforce fields could not be created:', failed);
+        }
+
+        return { status: failed.length === 0, created, failed };
+    } catch (error) {
+        console.error('Error creating Salesforce custom fields:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+async function recordExistanceBulkOnSalesforce(accessToken, phoneNumbers = [], instanceUrl, phoneRegion = {}) {
+    try {
+        // Create a mapping of original phone numbers to their variations
+        const phoneToVariationsMap = {};
+        phoneNumbers.forEach(phone => {
+            if (phone && typeof phone === 'string') {
+                phoneToVariationsMap[phone] = generatePhoneNumberVariations(phone, phoneRegion);
+            }
+        });
+
+        const phones = Object.keys(phoneToVariationsMap).filter(phone => phoneToVariationsMap[phone].length > 0);
+        if (phones.length === 0) {
+            return { chatIdToContactIdMap: {} };
+        }
+
+        const chatIdToContactIdMap = {};
+        // Phones whose query failed, they can't be called unmatched
+        const failedPhones = [];
+        const chunks = Math.ceil(phones.length / PHONES_PER_QUERY);
+
+        console.log(`Processing ${phones.length} phone numbers in ${chunks} chunks`);
+
+        for (let i = 0; i < chunks; i++) {
+            const phoneChunk = phones.slice(i * PHONES_PER_QUERY, (i + 1) * PHONES_PER_QUERY);
+            const variations = [...new Set(phoneChunk.flatMap(phone => phoneToVariationsMap[phone]))];
+            const inList = variations.map(soqlString).join(', ');
+
+            try {
+                for (const objectType of MATCHED_OBJECTS) {
+                    // Converted leads are read-only, their contact is matched instead
+                    const leadFilter = objectType === 'Lead' ? ' AND IsConverted = false' : '';
+                    const records = await querySalesforce(accessToken, instanceUrl,
+                        `SELECT Id, Phone, MobilePhone, CreatedDate, LastModifiedDate FROM ${objectType} WHERE (Phone IN (${inList}) OR MobilePhone IN (${inList}))${leadFilter}`
+                    );
+
+                    phoneChunk.forEach(phone => {
+                        if (chatIdToContactIdMap[phone]) return;
+
+                        const phoneVariations = phoneToVariationsMap[phone];
+                        const matchedRecords = records.filter(r => phoneVariations.includes(r.Phone) || phoneVariations.includes(r.MobilePhone));
+                        const record = matchedRecords[0];
+                        if (record) {
+                            // Every match of the object is returned, the workspace's duplicate_contact_policy picks one.
+                            // MobilePhone is where WhatsApp numbers are kept.
+                            chatIdToContactIdMap[phone] = {
+                                contactId: record.Id,
+                                contact: record,
+                                matches: matchedRecords.map(r => ({
+                                    contactId: r.Id,
+                                    whatsappMatch: phoneVariations.includes(r.MobilePhone),
+                                    createdAt: r.CreatedDate,
+                                    modifiedAt: r.LastModifiedDate
+                                }))
+                            };
+                            console.log(`Found ${objectType} for phone ${phone}: ${record.Id}`);
+                        }
+                    });
+                }
+
+                console.log(`Chunk ${i + 1} completed: ${Object.keys(chatIdToContactIdMap).length} total records found so far`);
+
+                // Add delay between chunks to avoid rate limiting
+                if (i < chunks - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+            } catch (chunkError) {
+                console.error(`Error in chunk ${i + 1}:`, chunkError.response?.data || chunkError.message);
+                // An expired session fails every chunk, let the caller refresh it and retry
+                if (isSalesforceAuthError(chunkError)) {
+                    throw chunkError;
+                }
+                // Phones matched on an object queried before the failure keep their match
+                failedPhones.push(...phoneChunk.filter(phone => !chatIdToContactIdMap[phone]));
+                continue;
+            }
+        }
+
+        console.log(`Total records mapped: ${Object.keys(chatIdToContactIdMap).length}`);
+
+        return {
+            chatIdToContactIdMap: chatIdToContactIdMap,
+            failedPhones: failedPhones
+        };
+    } catch (error) {
+        console.error('Error checking record existence bulk on Salesforce:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Build the mapped fields of one chat
+ * @param {Object} chat - Chat with contactId, analytics and response times
+ * @param {Array} fieldMapping - Entries from getFieldMapping('salesforce', settings)
+ * @returns {Object} Map of field API name to value
+ */
+function buildSalesforceRecordFields(chat, fieldMapping = getFieldMapping('salesforce')) {
+    return buildMappedProperties(chat, fieldMapping);
+}
+
+function uniqueByContactId(chatData) {
+    return chatData.reduce((acc, chat) => {
+        if (!acc.find(c => c.contactId === chat.contactId)) {
+            acc.push(chat);
+        }
+        return acc;
+    }, []);
+}
+
+/**
+ * Build the record updates for a set of chats without sending them, alongside
+ * the values currently stored on each record (read-only, used by dry runs)
+ * @param {string} accessToken - Salesforce access token
+ * @param {Array} chatData - Chats with contactId and analytics
+ * @param {string} instanceUrl - Org instance URL
+ * @param {Array} fieldMapping - Entries from getFieldMapping('salesforce', settings)
+ * @returns {Array} [{ contactId, chat_id, payload, current, changes }]
+ */
+async function previewSalesforceRecordsBatch(accessToken, chatData, instanceUrl, fieldMapping = getFieldMapping('salesforce')) {
+    try {
+        const uniqueChatData = uniqueByContactId(chatData);
+        const fieldNames = fieldMapping.map(entry => entry.field);
+        const currentValues = {};
+
+        for (const objectType of MATCHED_OBJECTS) {
+            const ids = uniqueChatData
+                .map(chat => chat.contactId)
+                .filter(id => getSalesforceObjectType(id) === objectType);
+
+            for (let i = 0; i < ids.length; i += COLLECTION_SIZE) {
+                const response = await retryWithBackoff(async () => await axios.get(dataUrl(instanceUrl, `/composite/sobjects/${objectType}`), {
+                    params: {
+                        ids: ids.slice(i, i + COLLECTION_SIZE).join(','),
+                        fields: fieldNames.join(',')
+                    },
+                    headers: salesforceHeaders(accessToken)
+                }));
+
+                (response.data || []).filter(Boolean).forEach(record => {
+                    currentValues[record.Id] = record;
+                });
+            }
+        }
+
+        const normalize = value => (value === null || value === undefined ? '' : String(value));
+
+        return uniqueChatData.map(chat => {
+            const payload = buildSalesforceRecordFields(chat, fieldMapping);
+            const current = fieldNames.reduce((acc, name) => {
+                acc[name] = currentValues[chat.contactId]?.[name] ?? null;
+                return acc;
+            }, {});
+            const changes = fieldNames.reduce((acc, name) => {
+                if (normalize(current[name]) !== normalize(payload[name])) {
+                    acc[name] = { from: current[name], to: payload[name] ?? null };
+                }
+                return acc;
+            }, {});
+
+            return {
+                contactId: chat.contactId,
+                chat_id: chat.chat_id,
+                payload: payload,
+                current: current,
+                changes: changes
+            };
+        });
+    } catch (error) {
+        console.error('Error previewing Salesforce records batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Update the mapped fields of Contacts and Leads through sObject Collections, 200 records per call
+ * @param {string} accessToken - Salesforce access token
+ * @param {Array} chatData - Chats with contactId (Contact or Lead id), analytics and response times
+ * @param {string} instanceUrl - Org instance URL
+ * @param {Array} fieldMapping - Entries from getFieldMapping('salesforce', settings)
+ * @returns {Object} { totalProcessed, totalUpdated, batchesProcessed, updatedContactIds, results }
+ */
+async function updateSalesforceRecordsBatch(accessToken, chatData, instanceUrl, fieldMapping = getFieldMapping('salesforce')) {
+    try {
+        const uniqueChatData = uniqueByContactId(chatData).filter(chat => {
+            if (getSalesforceObjectType(chat.contactId)) return true;
+            console.warn(`Skipping Salesforce record ${chat.contactId}: not a Contact or Lead id`);
+            return false;
+        });
+
+        const batches = [];
+        for (let i = 0; i < uniqueChatData.length; i += COLLECTION_SIZE) {
+            batches.push(uniqueChatData.slice(i, i + COLLECTION_SIZE));
+        }
+
+        console.log(`Processing ${uniqueChatData.length} records in ${batches.length} batches of up to ${COLLECTION_SIZE} records each`);
+
+        const allResults = [];
+        let totalUpdated = 0;
+        const updatedContactIds = [];
+
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            console.log(`Processing batch ${i + 1}/${batches.length} with ${batch.length} records`);
+
+            // Define batchData outside try block so it's accessible in catch block
+            const batchData = {
+                allOrNone: false,
+                records: batch.map(chat => ({
+                    attributes: { type: getSalesforceObjectType(chat.contactId) },
+                    id: chat.contactId,
+                    ...buildSalesforceRecordFields(chat, fieldMapping)
+                }))
+            };
+
+            try {
+                logWebhookSiteConfig({
+                    operation: 'Salesforce Batch Update Request',
+                    batch: `${i + 1}/${batches.length}`,
+                    recordCount: batch.length,
+                    batchData: batchData
+                });
+
+                const response = await axios.patch(dataUrl(instanceUrl, '/composite/sobjects'), batchData, {
+                    headers: salesforceHeaders(accessToken)
+                });
+
+                // One result per record, in request order
+                (response.data || []).forEach((result, idx) => {
+                    const contactId = batch[idx]?.contactId;
+                    if (result.success) {
+                        totalUpdated++;
+                        updatedContactIds.push(contactId);
+                    } else {
+                        console.error(`Error updating Salesforce record ${contactId}:`, result.errors);
+                    }
+                });
+                allResults.push(response.data);
+
+                // Add delay between batches to avoid rate limiting
+                if (i < batches.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+            } catch (batchError) {
+                console.error(`Error updating batch ${i + 1}:`, batchError.response?.data || batchError.message);
+                // An expired session fails every batch, let the caller refresh it and retry
+                if (isSalesforceAuthError(batchError)) {
+                    throw batchError;
+                }
+                allResults.push({ error: batchError.response?.data || batchError.message });
+                continue;
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'Salesforce Batch Update Response',
+            totalUpdated: totalUpdated,
+            totalProcessed: uniqueChatData.length,
+            batchesProcessed: batches.length,
+            results: allResults
+        });
+
+        return {
+            totalProcessed: uniqueChatData.length,
+            totalUpdated: totalUpdated,
+            batchesProcessed: batches.length,
+            updatedContactIds: updatedContactIds,
+            results: allResults
+        };
+    } catch (error) {
+        console.error('Error updating Salesforce records in batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// CRM adapter used by the sync pipeline, see crmRegistry.js for the contract
+const salesforceAdapter = {
+    name: 'salesforce',
+    label: 'Salesforce',
+    // Scheduled syncs only push to Salesforce with ENABLE_SALESFORCE_SYNC=true
+    isAuthError: isSalesforceAuthError,
+    enabledByDefault: false,
+
+    // api_domain holds the org's instance URL
+    getCredentials: user => ({
+        access_token: user?.access_token || null,
+        refresh_token: user?.refresh_token || null,
+        api_domain: user?.instance_url || user?.api_domain || null
+    }),
+
+    // Refreshes the session through the refresh token when Salesforce rejects it
+    withAccessToken: (conversation, operation) =>
+        withSalesforceAccessToken(conversation, (accessToken, instanceUrl) => operation({ accessToken, apiDomain: instanceUrl })),
+
+    findContactsByPhone: ({ accessToken, apiDomain }, phoneNumbers, phoneRegion) =>
+        recordExistanceBulkOnSalesforce(accessToken, phoneNumbers, apiDomain, phoneRegion),
+
+    buildContactProperties: (chat, fieldMapping) =>
+        buildSalesforceRecordFields(chat, fieldMapping),
+
+    updateContactsBatch: ({ accessToken, apiDomain }, chats, fieldMapping) =>
+        updateSalesforceRecordsBatch(accessToken, chats, apiDomain, fieldMapping),
+
+    previewContactsBatch: ({ accessToken, apiDomain }, chats, fieldMapping) =>
+        previewSalesforceRecordsBatch(accessToken, chats, apiDomain, fieldMapping),
+
+    provisionFields: ({ accessToken, apiDomain }, fieldMapping) =>
+        createSalesforceCustomFields(accessToken, apiDomain, fieldMapping),
+
+    ensureFields: ({ accessToken, apiDomain }, fieldMapping) =>
+        createSalesforceCustomFields(accessToken, apiDomain, fieldMapping)
+};
+
+module.exports = {
+    salesforceAdapter,
+    getSalesforceObjectType,
+    createSalesforceCustomFields,
+    recordExistanceBulkOnSalesforce,
+    updateSalesforceRecordsBatch,
+    previewSalesforceRecordsBatch,
+    buildSalesforceRecordFields
+};
@@ -0,0 +1,65 @@
+const dotenv = require('dotenv');
+const { exchangeRefreshToken, createOAuthTokenManager } = require('./oauthTokens');
+dotenv.config();
+
+// Sandboxes authenticate against https://test.salesforce.com
+const SALESFORCE_LOGIN_URL = process.env.SALESFORCE_LOGIN_URL || 'https://login.salesforce.com';
+
+/**
+ * Check whether an axios error means the Salesforce session was rejected
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+function isSalesforceAuthError(error) {
+    const errors = Array.isArray(error?.response?.data) ? error.response.data : [];
+    return error?.response?.status === 401 || errors.some(entry => entry.errorCode === 'INVALID_SESSION_ID');
+}
+
+/**
+ * Exchange a refresh token for a new Salesforce access token
+ * @param {string} refreshToken - Salesforce refresh token
+ * @returns {Object} { access_token, instance_url, issued_at }
+ */
+async function refreshSalesforceAccessToken(refreshToken) {
+    return exchangeRefreshToken({
+        label: 'Salesforce',
+        tokenUrl: `${SALESFORCE_LOGIN_URL}/services/oauth2/token`,
+        clientId: process.env.SALESFORCE_CLIENT_ID,
+        clientSecret: process.env.SALESFORCE_CLIENT_SECRET
+    }, refreshToken);
+}
+
+// Salesforce doesn't say when a session expires, so there is no proactive refresh
+const salesforceTokens = createOAuthTokenManager({
+    crm: 'salesforce',
+    label: 'Salesforce',
+    isAuthError: isSalesforceAuthError,
+    refresh: conversation => refreshSalesforceAccessToken(conversation.refresh_token),
+    // Salesforce keeps the refresh token, only the session and possibly the instance change
+    mapTokens: (tokenData, conversation) => ({
+        access_token: tokenData.access_token,
+        refresh_token: tokenData.refresh_token || conversation.refresh_token,
+        api_domain: tokenData.instance_url || conversation.api_domain
+    }),
+    reportFields: tokens => ({
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        instance_url: tokens.api_domain
+    })
+});
+
+/**
+ * Run a Salesforce operation with a valid session, refreshing once when it's missing or rejected
+ * @param {Object} conversation - Conversation group with uid, access_token, refresh_token and api_domain (instance URL)
+ * @param {Function} operation - async (accessToken, instanceUrl) => result
+ * @returns {Promise} The result of the operation
+ */
+function withSalesforceAccessToken(conversation, operation) {
+    return salesforceTokens.withAccessToken(conversation, operation);
+}
+
+module.exports = {
+    isSalesforceAuthError,
+    refreshSalesforceAccessToken,
+    withSalesforceAccessToken
+};
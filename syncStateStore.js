@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '.sync-state.json');
+const DEFAULT_STATE_TABLE = 'waba-454907.whatsapp_analytics.crm_sync_state';
+
+/**
+ * File-based sync state store. Keeps everything in one JSON file:
+ * { [namespace]: { [key]: value } }
+ * Suitable for local runs, Cloud Run instances lose the file on restart.
+ * @param {string} filePath - Path of the JSON state file
+ * @returns {Object} Store with get, getMany, set and setMany
+ */
+function createFileSyncStateStore(filePath = DEFAULT_STATE_FILE) {
+    let state = null;
+
+    function load() {
+        if (state) return state;
+        try {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading sync state file ${filePath}:`, error.message);
+            }
+            state = {};
+        }
+        return state;
+    }
+
+    function persist() {
+        // Write to a temp file first so a crash never leaves a half-written state file
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        async get(namespace, key) {
+            const values = load()[namespace] || {};
+            return values[key] === undefined ? null : values[key];
+        },
+
+        async getMany(namespace, keys) {
+            const values = load()[namespace] || {};
+            return keys.reduce((acc, key) => {
+                if (values[key] !== undefined) acc[key] = values[key];
+                return acc;
+            }, {});
+        },
+
+        async set(namespace, key, value) {
+            await this.setMany(namespace, { [key]: value });
+        },
+
+        async setMany(namespace, entries) {
+            const current = load();
+            current[namespace] = { ...(current[namespace] || {}), ...entries };
+            persist();
+        }
+    };
+}
+
+/**
+ * BigQuery-backed sync state store. Expects a table with the columns
+ * namespace STRING, key STRING, value STRING (JSON), updated_at TIMESTAMP.
+ * @param {string} tableId - Fully qualified table id (project.dataset.table)
+ * @returns {Object} Store with get, getMany, set and setMany
+ */
+function createBigQuerySyncStateStore(tableId = DEFAULT_STATE_TABLE) {
+    // Required lazily so the file store works without BigQuery credentials
+    const { bigquery } = require('./bigqueryClient');
+
+    return {
+        async get(namespace, key) {
+            const values = await this.getMany(namespace, [key]);
+            return values[key] === undefined ? null : values[key];
+        },
+
+        async getMany(namespace, keys) {
+            if (keys.length === 0) return {};
+
+            const [rows] = await bigquery.query({
+                query: `
+                    SELECT key, value
+                    FROM \`${tableId}\`
+                    WHERE namespace = @namespace
+                    AND key IN UNNEST(@keys)
+                `,
+                params: { namespace, keys }
+            });
+
+            return rows.reduce((acc, row) => {
+                acc[row.key] = JSON.parse(row.value);
+                return acc;
+            }, {});
+        },
+
+        async set(namespace, key, value) {
+            await this.setMany(namespace, { [key]: value });
+        },
+
+        async setMany(namespace, entries) {
+            const rows = Object.entries(entries).map(([key, value]) => ({
+                key,
+                value: JSON.stringify(value)
+            }));
+            if (rows.length === 0) return;
+
+            await bigquery.query({
+                query: `
+                    MERGE \`${tableId}\` AS target
+                    USING (SELECT entry.key, entry.value FROM UNNEST(@entries) AS entry) AS source
+                    ON target.namespace = @namespace AND target.key = source.key
+                    WHEN MATCHED THEN
+                        UPDATE SET value = source.value, updated_at = CURRENT_TIMESTAMP()
+                    WHEN NOT MATCHED THEN
+                        INSERT (namespace, key, value, updated_at)
+                        VALUES (@namespace, source.key, source.value, CURRENT_TIMESTAMP())
+                `,
+                params: { namespace, entries: rows },
+                types: { namespace: 'STRING', entries: [{ key: 'STRING', value: 'STRING' }] }
+            });
+        }
+    };
+}
+
+let syncStateStore = null;
+
+/**
+ * Get the configured sync state store (SYNC_STATE_STORE=file|bigquery, default file)
+ * @returns {Object} Store with get, getMany, set and setMany
+ */
+function getSyncStateStore() {
+    if (!syncStateStore) {
+        const storeType = (process.env.SYNC_STATE_STORE || 'file').toLowerCase();
+        syncStateStore = storeType === 'bigquery'
+            ? createBigQuerySyncStateStore(process.env.SYNC_STATE_TABLE || DEFAULT_STATE_TABLE)
+            : createFileSyncStateStore(process.env.SYNC_STATE_FILE || DEFAULT_STATE_FILE);
+    }
+    return syncStateStore;
+}
+
+/**
+ * Replace the sync state store, e.g. with a custom implementation
+ * @param {Object} store - Object implementing get, getMany, set and setMany
+ */
+function setSyncStateStore(store) {
+    syncStateStore = store;
+}
+
+module.exports = {
+    createFileSyncStateStore,
+    createBigQuerySyncStateStore,
+    getSyncStateStore,
+    setSyncStateStore
+};
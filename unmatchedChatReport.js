@@ -0,0 +1,156 @@
+const { getSyncStateStore } = require('./syncStateStore');
+const { getPhoneRegion, generatePhoneNumberVariations } = require('./phoneNumberParsing');
+
+// Unmatched chats of the sync runs, keyed by crm:workspaceId, { [chat_id]: { reason, seen_at } }
+const UNMATCHED_CHAT_NAMESPACE = 'unmatched_chats';
+
+// Why a chat has no CRM contact
+const UNMATCHED_REASONS = {
+    // The number couldn't be parsed, only the raw string was searched for
+    PARSE_FAILURE: 'parse_failure',
+    // Every variation was searched for, none matched a contact
+    NO_MATCH: 'no_match',
+    // The workspace has no usable token, nothing was searched
+    AUTH_ERROR: 'auth_error',
+    // The lookup failed for another reason, e.g. the CRM was unavailable
+    LOOKUP_ERROR: 'lookup_error'
+};
+
+const CSV_COLUMNS = ['crm', 'workspace_id', 'chat_id', 'phone', 'reason', 'variations_tried'];
+
+/**
+ * Collect the chats without a contact from the output of processDataToBeSynced
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {Array} conversations - Conversation groups with settings and chats carrying contactId and unmatchedReason
+ * @returns {Array} [{ crm, uid, unmatched: [{ chat_id, phone, reason, variations, checked_at? }] }], workspaces with no unmatched chats are left out
+ */
+function buildUnmatchedChatReport(crm, conversations) {
+    return conversations
+        .map(conversation => {
+            // The variations searched for depend on the workspace's phone countries
+            const phoneRegion = getPhoneRegion(conversation.settings);
+
+            return {
+                crm,
+                uid: conversation.uid,
+                unmatched: conversation.chats
+                    .filter(chat => !chat.contactId)
+                    .map(chat => {
+                        const phone = chat.chat_id.split('@')[0];
+                        let variations = [];
+                        // Nothing was searched without a token
+                        if (chat.unmatchedReason !== UNMATCHED_REASONS.AUTH_ERROR) {
+                            try {
+                                variations = generatePhoneNumberVariations(phone, phoneRegion);
+                            } catch (error) {
+                                variations = [];
+                            }
+                        }
+
+                        return {
+                            chat_id: chat.chat_id,
+                            phone,
+                            reason: chat.unmatchedReason || UNMATCHED_REASONS.NO_MATCH,
+                            variations,
+                            // When a sync run last found the chat unmatched
+                            ...(chat.unmatchedAt ? { checked_at: chat.unmatchedAt } : {})
+                        };
+                    })
+            };
+        })
+        .filter(workspace => workspace.unmatched.length > 0);
+}
+
+/**
+ * Keep the unmatched chats of a sync run for the report, chats that have a contact now are dropped
+ * @param {string} crm - CRM name
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats of the workspace in this run, unmatched ones have no contactId
+ */
+async function recordUnmatchedChats(crm, workspaceId, chats) {
+    try {
+        const store = getSyncStateStore();
+        const key = `${crm}:${workspaceId}`;
+        const stored = (await store.get(UNMATCHED_CHAT_NAMESPACE, key)) || {};
+        const current = { ...stored };
+        const seenAt = new Date().toISOString();
+
+        chats.forEach(chat => {
+            if (chat.contactId) {
+                delete current[chat.chat_id];
+            } else {
+                current[chat.chat_id] = { reason: chat.unmatchedReason || UNMATCHED_REASONS.NO_MATCH, seen_at: seenAt };
+            }
+        });
+
+        if (Object.keys(stored).length === 0 && Object.keys(current).length === 0) return;
+        await store.set(UNMATCHED_CHAT_NAMESPACE, key, current);
+    } catch (error) {
+        // The sync itself isn't affected, only the report misses this run
+        console.error(`Error recording unmatched ${crm} chats for workspace ${workspaceId}:`, error.message);
+    }
+}
+
+/**
+ * Build the report from the unmatched chats recorded by the sync runs, nothing is looked up
+ * @param {string} crm - CRM name
+ * @param {Array} workspaces - [{ uid, settings }]
+ * @param {string} chatId - Keep only this chat, by chat id or phone number (optional)
+ * @returns {Array} Same as buildUnmatchedChatReport
+ */
+async function readUnmatchedChatReport(crm, workspaces, chatId = null) {
+    const keys = workspaces.map(workspace => `${crm}:${workspace.uid}`);
+    const stored = await getSyncStateStore().getMany(UNMATCHED_CHAT_NAMESPACE, keys);
+
+    const conversations = workspaces.map(workspace => ({
+        uid: workspace.uid,
+        settings: workspace.settings,
+        chats: Object.entries(stored[`${crm}:${workspace.uid}`] || {})
+            .filter(([storedChatId]) => !chatId || storedChatId === chatId || storedChatId.split('@')[0] === chatId)
+            .map(([storedChatId, entry]) => ({
+                chat_id: storedChatId,
+                contactId: null,
+                unmatchedReason: entry.reason,
+                unmatchedAt: entry.seen_at
+            }))
+    }));
+
+    return buildUnmatchedChatReport(crm, conversations);
+}
+
+function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets read cells starting with these as formulas, the quote keeps them text
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an unmatched chat report into CSV, one row per chat
+ * @param {Array} report - From buildUnmatchedChatReport
+ * @returns {string} CSV with a header row
+ */
+function toUnmatchedChatCsv(report) {
+    const rows = report.flatMap(workspace => workspace.unmatched.map(chat => [
+        workspace.crm,
+        workspace.uid,
+        chat.chat_id,
+        chat.phone,
+        chat.reason,
+        chat.variations.join(' | ')
+    ]));
+
+    return [CSV_COLUMNS, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\n') + '\n';
+}
+
+module.exports = {
+    UNMATCHED_REASONS,
+    buildUnmatchedChatReport,
+    recordUnmatchedChats,
+    readUnmatchedChatReport,
+    toUnmatchedChatCsv
+};
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileSyncStateStore, setSyncStateStore } = require('./syncStateStore');
+const {
+    UNMATCHED_REASONS,
+    buildUnmatchedChatReport,
+    recordUnmatchedChats,
+    readUnmatchedChatReport,
+    toUnmatchedChatCsv
+} = require('./unmatchedChatReport');
+
+const reportRow = chat => [{ crm: 'hubspot', uid: 'w1', unmatched: [{ variations: [], ...chat }] }];
+
+test('matched chats are left out and reasons default to no_match', () => {
+    const report = buildUnmatchedChatReport('hubspot', [
+        {
+            uid: 'w1',
+            settings: {},
+            chats: [
+                { chat_id: '14155552671@c.us', contactId: '1' },
+                { chat_id: '14155552672@c.us', contactId: null },
+                { chat_id: '14155552673@c.us', contactId: null, unmatchedReason: UNMATCHED_REASONS.LOOKUP_ERROR }
+            ]
+        },
+        { uid: 'w2', settings: {}, chats: [{ chat_id: '14155552674@c.us', contactId: '2' }] }
+    ]);
+
+    assert.equal(report.length, 1);
+    assert.deepEqual(report[0].unmatched.map(chat => [chat.phone, chat.reason]), [
+        ['14155552672', UNMATCHED_REASONS.NO_MATCH],
+        ['14155552673', UNMATCHED_REASONS.LOOKUP_ERROR]
+    ]);
+    assert.ok(report[0].unmatched[0].variations.includes('+14155552672'));
+});
+
+test('chats of workspaces without a token list no variations', () => {
+    const report = buildUnmatchedChatReport('hubspot', [{
+        uid: 'w1',
+        settings: {},
+        chats: [{ chat_id: '14155552671@c.us', contactId: null, unmatchedReason: UNMATCHED_REASONS.AUTH_ERROR }]
+    }]);
+
+    assert.deepEqual(report[0].unmatched[0].variations, []);
+});
+
+test('CSV has a header row and joins the variations', () => {
+    const csv = toUnmatchedChatCsv(reportRow({
+        chat_id: '14155552671@c.us',
+        phone: '14155552671',
+        reason: UNMATCHED_REASONS.NO_MATCH,
+        variations: ['14155552671', '4155552671']
+    }));
+
+    assert.equal(csv, [
+        'crm,workspace_id,chat_id,phone,reason,variations_tried',
+        'hubspot,w1,14155552671@c.us,14155552671,no_match,14155552671 | 4155552671',
+        ''
+    ].join('\n'));
+});
+
+test('CSV quotes commas, quotes and line breaks', () => {
+    const csv = toUnmatchedChatCsv(reportRow({ chat_id: 'a,b', phone: 'say "hi"', reason: 'line\nbreak' }));
+
+    assert.equal(csv.split('\n').slice(1).join('\n'), 'hubspot,w1,"a,b","say ""hi""","line\nbreak",\n');
+});
+
+test('CSV cells that spreadsheets would read as formulas are prefixed with a quote', () => {
+    const csv = toUnmatchedChatCsv(reportRow({
+        chat_id: '=HYPERLINK("http://example.com")',
+        phone: '+14155552671',
+        reason: '-1',
+        variations: ['@SUM(A1)']
+    }));
+
+    assert.equal(csv.split('\n')[1], `hubspot,w1,"'=HYPERLINK(""http://example.com"")",'+14155552671,'-1,'@SUM(A1)`);
+});
+
+test('the report reads back the unmatched chats of earlier runs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    setSyncStateStore(createFileSyncStateStore(path.join(dir, 'state.json')));
+
+    await recordUnmatchedChats('hubspot', 'w1', [
+        { chat_id: '14155552671@c.us', contactId: null, unmatchedReason: UNMATCHED_REASONS.NO_MATCH },
+        { chat_id: '14155552672@c.us', contactId: null, unmatchedReason: UNMATCHED_REASONS.LOOKUP_ERROR },
+        { chat_id: '14155552673@c.us', contactId: '3' }
+    ]);
+    // A later incremental run only reads the chats that changed
+    await recordUnmatchedChats('hubspot', 'w1', [{ chat_id: '14155552672@c.us', contactId: '2' }]);
+
+    const report = await readUnmatchedChatReport('hubspot', [{ uid: 'w1', settings: {} }, { uid: 'w2', settings: {} }]);
+
+    assert.equal(report.length, 1);
+    assert.deepEqual(report[0].unmatched.map(chat => [chat.chat_id, chat.reason]), [['14155552671@c.us', UNMATCHED_REASONS.NO_MATCH]]);
+    assert.ok(report[0].unmatched[0].checked_at);
+    assert.deepEqual(await readUnmatchedChatReport('hubspot', [{ uid: 'w1', settings: {} }], '14155552672'), []);
+});
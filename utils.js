@@ -3,9 +3,10 @@
  * @param {Function} func - The async function to retry
  * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
  * @param {number} delay - Initial delay in milliseconds (default: 1000)
+ * @param {Function} shouldRetry - (error) => whether the error may be retried (default: every error)
  * @returns {Promise} The result of the function call
  */
-async function retryWithBackoff(func, maxRetries = 3, delay = 1000) {
+async function retryWithBackoff(func, maxRetries = 3, delay = 1000, shouldRetry = () => true) {
     let retries = 0;
     let lastError;
     
@@ -16,6 +17,10 @@ async function retryWithBackoff(func, maxRetries = 3, delay = 1000) {
             lastError = error;
             retries++;
             
+            if (!shouldRetry(error)) {
+                throw error;
+            }
+
             if (retries >= maxRetries) {
                 // We've exhausted all retries, throw the last error
                 console.error(`Failed after ${maxRetries} retries:`, error.message);
@@ -33,7 +38,19 @@ async function retryWithBackoff(func, maxRetries = 3, delay = 1000) {
     throw lastError || new Error('Max retries reached');
 }
 
+/**
+ * Parse a boolean flag from a query string, request body or environment variable
+ * @param {*} value - e.g. true, 'true', '1', 'yes'
+ * @returns {boolean}
+ */
+function parseBooleanFlag(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === undefined || value === null) return false;
+    return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
 module.exports = {
-    retryWithBackoff
+    retryWithBackoff,
+    parseBooleanFlag
 };
 
@@ -0,0 +1,71 @@
+const { getSyncStateStore } = require('./syncStateStore');
+
+const WATERMARK_NAMESPACE = 'watermarks';
+
+function watermarkKey(crm, workspaceId) {
+    return `${crm}:${workspaceId}`;
+}
+
+/**
+ * Convert a BigQuery timestamp (object with value property) or date-like value to epoch millis
+ * @param {*} value - Timestamp value
+ * @returns {number|null}
+ */
+function toTime(value) {
+    if (!value) return null;
+    if (typeof value === 'object' && value.value) {
+        value = value.value;
+    }
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Get the last synced updated_at for each workspace on a CRM
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {Array<string>} workspaceIds - Workspace ids to look up
+ * @returns {Object} Map of workspace_id to ISO timestamp (missing when never synced)
+ */
+async function getWatermarks(crm, workspaceIds) {
+    const keys = workspaceIds.map(workspaceId => watermarkKey(crm, workspaceId));
+    const values = await getSyncStateStore().getMany(WATERMARK_NAMESPACE, keys);
+
+    return workspaceIds.reduce((acc, workspaceId) => {
+        const value = values[watermarkKey(crm, workspaceId)];
+        if (value) acc[workspaceId] = value;
+        return acc;
+    }, {});
+}
+
+/**
+ * Move a workspace's watermark forward to the newest updated_at among the synced chats
+ * @param {string} crm - CRM name, e.g. hubspot
+ * @param {string} workspaceId - Workspace id
+ * @param {Array} chats - Chats that were synced, each with updated_at
+ * @returns {string|null} The stored watermark
+ */
+async function advanceWatermark(crm, workspaceId, chats) {
+    const newest = chats.reduce((max, chat) => {
+        const time = toTime(chat.updated_at);
+        return time !== null && time > max ? time : max;
+    }, 0);
+    if (!newest) return null;
+
+    const store = getSyncStateStore();
+    const key = watermarkKey(crm, workspaceId);
+    const current = toTime(await store.get(WATERMARK_NAMESPACE, key));
+
+    // Never move backwards, e.g. after a filtered or partial run
+    if (current !== null && current >= newest) {
+        return new Date(current).toISOString();
+    }
+
+    const watermark = new Date(newest).toISOString();
+    await store.set(WATERMARK_NAMESPACE, key, watermark);
+    return watermark;
+}
+
+module.exports = {
+    getWatermarks,
+    advanceWatermark
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const DEFAULT_SETTINGS_FILE = path.join(__dirname, 'workspace-settings.json');
+
+let fileSettings = null;
+
+// Per-workspace settings maintained by support, keyed by workspace_id:
+// { "123": { "field_mapping": { "hubspot": { ... } } } }
+function loadFileSettings() {
+    if (fileSettings) return fileSettings;
+
+    const filePath = process.env.WORKSPACE_SETTINGS_PATH || DEFAULT_SETTINGS_FILE;
+    try {
+        fileSettings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading workspace settings file ${filePath}:`, error.message);
+        }
+        fileSettings = {};
+    }
+    return fileSettings;
+}
+
+/**
+ * Get the settings of a workspace. Settings sent by the Eazybe backend with the
+ * active user come first, the local settings file overrides them key by key.
+ * @param {string} workspaceId - Workspace id
+ * @param {Object} activeUser - Active user record from getActiveUsers (optional)
+ * @returns {Object} Workspace settings
+ */
+function getWorkspaceSettings(workspaceId, activeUser = null) {
+    const backendSettings = activeUser?.settings || {};
+    const localSettings = loadFileSettings()[String(workspaceId)] || {};
+
+    return {
+        ...backendSettings,
+        ...localSettings
+    };
+}
+
+module.exports = {
+    getWorkspaceSettings
+};
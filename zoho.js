@@ -2,21 +2,56 @@ const axios = require('axios');
 const dotenv = require('dotenv');
 const { generatePhoneNumberVariations } = require('./phoneNumberParsing');
 const { logWebhookSiteConfig } = require('./webhookSiteConfig');
+const { retryWithBackoff } = require('./utils');
+const { isZohoAuthError, withZohoAccessToken } = require('./zohoAuth');
+const { getFieldMapping, buildMappedProperties, DEFAULT_FIELD_MAPPINGS, MESSAGE_WINDOW_METRICS } = require('./fieldMapping');
+const { pushAnalyticsNotesToZoho } = require('./analyticsPushToActivity');
 dotenv.config();
 
+// Custom fields we create on Contacts. Zoho derives the API name from the label
+// (spaces become underscores), so each label is chosen to produce the API name we write.
+const ZOHO_FIELD_DEFINITIONS = {
+    messagesreceived: { field_label: 'messagesreceived', data_type: 'integer' },
+    messagessent: { field_label: 'messagessent', data_type: 'integer' },
+    totalmessages: { field_label: 'totalmessages', data_type: 'integer' },
+    Follow_ups_Count: { field_label: 'Follow ups Count', data_type: 'integer' },
+    Last_Interaction_Date: { field_label: 'Last Interaction Date', data_type: 'date' },
+    Average_Response_Time: { field_label: 'Average Response Time', data_type: 'text', length: 255 },
+    Last_Client_Message_Date: { field_label: 'Last Client Message Date', data_type: 'datetime' },
+    First_Response_Time: { field_label: 'First Response Time', data_type: 'text', length: 255 },
+    Last_Message_send_by: { field_label: 'Last Message send by', data_type: 'text', length: 255 },
+    // Rolling window counts and trends (percent), e.g. Messages_Sent_Last_7_Days
+    ...Object.fromEntries(DEFAULT_FIELD_MAPPINGS.zoho
+        .filter(entry => MESSAGE_WINDOW_METRICS.includes(entry.metric))
+        .map(entry => [entry.field, { field_label: entry.field.replace(/_/g, ' '), data_type: 'integer' }]))
+};
+
+// Data type for mapped fields we have no definition for, based on the mapping transform
+const TRANSFORM_DATA_TYPES = {
+    number: 'integer',
+    date: 'date',
+    datetime: 'datetime'
+};
+
 /**
  * Get all fields for Contacts module in Zoho
  * @param {string} accessToken - Zoho access token
  * @param {string} apiDomain - Zoho API domain
+ * @param {Object} options - { analyticsOnly, module } - analyticsOnly false returns every field without logging,
+ *                           module defaults to Contacts
  */
-async function getZohoContactFields(accessToken, apiDomain = 'https://www.zohoapis.com') {
+async function getZohoContactFields(accessToken, apiDomain = 'https://www.zohoapis.com', options = {}) {
     try {
-        const response = await axios.get(`${apiDomain}/crm/v2/settings/fields?module=Contacts`, {
+        const response = await axios.get(`${apiDomain}/crm/v2/settings/fields?module=${options.module || 'Contacts'}`, {
             headers: {
                 'Authorization': `Zoho-oauthtoken ${accessToken}`,
                 'Content-Type': 'application/json'
             }
         });
+
+        if (options.analyticsOnly === false) {
+            return response.data.fields;
+        }
         
         // Filter to only show custom fields related to analytics
         const analyticsFields = response.data.fields.filter(field => 
@@ -49,7 +84,104 @@ async function getZohoContactFields(accessToken, apiDomain = 'https://www.zohoap
     }
 }
 
-async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDomain = 'https://www.zohoapis.com') {
+/**
+ * Definition used to create a mapped field in Zoho
+ * @param {Object} entry - Field mapping entry { field, transform }
+ * @returns {Object} { field_label, data_type, length? }
+ */
+function getZohoFieldDefinition(entry) {
+    if (ZOHO_FIELD_DEFINITIONS[entry.field]) {
+        return ZOHO_FIELD_DEFINITIONS[entry.field];
+    }
+
+    const dataType = TRANSFORM_DATA_TYPES[entry.transform] || 'text';
+    return {
+        field_label: entry.field.replace(/_/g, ' '),
+        data_type: dataType,
+        ...(dataType === 'text' ? { length: 255 } : {})
+    };
+}
+
+/**
+ * Create the mapped fields that don't exist yet, through the Fields Metadata API
+ * @param {string} accessToken - Zoho access token
+ * @param {string} apiDomain - Zoho API domain
+ * @param {Array} fieldMapping - Entries from getFieldMapping('zoho', settings)
+ * @param {string} module - Zoho module the fields belong to
+ * @returns {Object} { status, created, failed }
+ */
+async function createZohoCustomFields(accessToken, apiDomain = 'https://www.zohoapis.com', fieldMapping = getFieldMapping('zoho'), module = 'Contacts') {
+    try {
+        console.log(`Checking Zoho ${module} custom fields...`);
+
+        const existingFields = await getZohoContactFields(accessToken, apiDomain, { analyticsOnly: false, module });
+        const existingApiNames = new Set(existingFields.map(field => field.api_name));
+
+        const missingEntries = fieldMapping.filter(entry => !existingApiNames.has(entry.field));
+        if (missingEntries.length === 0) {
+            console.log('✓ All Zoho fields already exist');
+            return { status: true, created: [], failed: [] };
+        }
+
+        console.log(`→ Creating ${missingEntries.length} missing Zoho fields: ${missingEntries.map(entry => entry.field).join(', ')}`);
+
+        const response = await axios.post(`${apiDomain}/crm/v6/settings/fields?module=${module}`, {
+            fields: missingEntries.map(getZohoFieldDefinition)
+        }, {
+            headers: {
+                'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const created = [];
+        const failed = [];
+        (response.data.fields || []).forEach((result, idx) => {
+            const field = missingEntries[idx]?.field;
+            if (result.code === 'SUCCESS') {
+                created.push(field);
+            } else {
+                failed.push({ field, error: result.message || result.code });
+            }
+        });
+
+        // Zoho may still change the API name, e.g. when the label clashes with an existing field
+        const refreshedFields = await getZohoContactFields(accessToken, apiDomain, { analyticsOnly: false, module });
+        const refreshedApiNames = new Set(refreshedFields.map(field => field.api_name));
+        created.filter(field => !refreshedApiNames.has(field)).forEach(field => {
+            console.warn(`⚠️  Zoho field ${field} was created under a different API name, update the field mapping`);
+        });
+
+        console.log(`✓ Created ${created.length} Zoho fields${failed.length > 0 ? `, ${failed.length} failed` : ''}`);
+
+        logWebhookSiteConfig({
+            operation: 'Zoho Custom Fields Created',
+            created: created,
+            failed: failed
+        });
+
+        return { status: failed.length === 0, created, failed };
+    } catch (error) {
+        console.error('✗ Error creating Zoho custom fields:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Mapped fields Zoho rejected in a batch update response
+ * @param {Object} responseData - Body of the PUT /Contacts response (success or error)
+ * @param {Array<string>} fieldNames - API names sent in the batch
+ * @returns {Array<string>}
+ */
+function getMissingZohoFields(responseData, fieldNames) {
+    const records = Array.isArray(responseData?.data) ? responseData.data : [responseData].filter(Boolean);
+
+    return [...new Set(records
+        .filter(record => record.code === 'INVALID_DATA' && fieldNames.includes(record.details?.api_name))
+        .map(record => record.details.api_name))];
+}
+
+async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDomain = 'https://www.zohoapis.com', phoneRegion = {}) {
     try {
         if (phoneNumbers.length === 0) {
             return { chatIdToContactIdMap: {} };
@@ -59,13 +191,15 @@ async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDom
         const phoneToVariationsMap = {};
         phoneNumbers.forEach(phone => {
             if (phone && typeof phone === 'string') {
-                const variations = generatePhoneNumberVariations(phone);
+                const variations = generatePhoneNumberVariations(phone, phoneRegion);
                 phoneToVariationsMap[phone] = variations;
             }
         });
         
         const chatIdToContactIdMap = {};
         const allFoundContacts = [];
+        // Phones whose search failed, they can't be called unmatched
+        const failedPhones = [];
         
         // Process phones in chunks of 5 (as per Zoho's composite API best practices)
         const chunkSize = 5;
@@ -131,18 +265,29 @@ async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDom
                             compositeResponse.details?.response?.status_code === 200 &&
                             compositeResponse.details?.response?.body?.data?.length > 0
                         ) {
-                            const contactData = compositeResponse.details.response.body.data[0];
+                            const matchedContacts = compositeResponse.details.response.body.data;
+                            const contactData = matchedContacts[0];
                             
-                            // Store the contact
-                            allFoundContacts.push(contactData);
+                            // Store the contacts
+                            allFoundContacts.push(...matchedContacts);
                             
-                            // Map the original phone to the contact
+                            // Map the original phone to every match, the workspace's duplicate_contact_policy picks one.
+                            // Zoho contacts have no WhatsApp number field to prefer.
                             chatIdToContactIdMap[originalPhone] = {
                                 contactId: contactData.id,
-                                contact: contactData
+                                contact: contactData,
+                                matches: matchedContacts.map(contact => ({
+                                    contactId: contact.id,
+                                    whatsappMatch: false,
+                                    createdAt: contact.Created_Time,
+                                    modifiedAt: contact.Modified_Time
+                                }))
                             };
                             
                             console.log(`Found contact for phone ${originalPhone}: ${contactData.id}`);
+                        } else if (![200, 204].includes(compositeResponse.details?.response?.status_code)) {
+                            // 204 is an empty search, anything else is a search that didn't run
+                            failedPhones.push(originalPhone);
                         }
                     });
                 }
@@ -157,7 +302,12 @@ async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDom
             } catch (chunkError) {
                 console.error(`Error in chunk ${i + 1}:`, chunkError.message);
                 console.error('Error details:', chunkError.response?.data);
-                // Continue with next chunk
+                // An expired token fails every chunk, let the caller refresh it and retry
+                if (isZohoAuthError(chunkError)) {
+                    throw chunkError;
+                }
+                // Continue with next chunk, reporting its phones as failed lookups
+                failedPhones.push(...Object.values(phoneToRequestIndexMap));
                 continue;
             }
         }
@@ -165,7 +315,8 @@ async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDom
         console.log(`Total contacts found: ${allFoundContacts.length}, Total mapped: ${Object.keys(chatIdToContactIdMap).length}`);
         
         return {
-            chatIdToContactIdMap: chatIdToContactIdMap
+            chatIdToContactIdMap: chatIdToContactIdMap,
+            failedPhones: failedPhones
         };
     } catch (error) {
         console.error('Error checking contact existence bulk on Zoho:', error.response?.data || error.message);
@@ -173,13 +324,97 @@ async function contactExistanceBulkOnZoho(accessToken, phoneNumbers = [], apiDom
     }
 }
 
+/**
+ * Build the update record (id and mapped fields) for one chat
+ * @param {Object} chat - Chat with contactId, analytics, average_response_time and updated_at
+ * @param {Array} fieldMapping - Entries from getFieldMapping('zoho', settings)
+ * @returns {Object} Zoho Contacts record
+ */
+function buildZohoContactRecord(chat, fieldMapping = getFieldMapping('zoho')) {
+    return {
+        id: chat.contactId,
+        ...buildMappedProperties(chat, fieldMapping)
+    };
+}
+
+/**
+ * Build the update records for a set of chats without sending them, alongside
+ * the values currently stored on each Zoho contact (read-only, used by dry runs)
+ * @param {string} accessToken - Zoho access token
+ * @param {Array} chatData - Chats with contactId and analytics
+ * @param {string} apiDomain - Zoho API domain
+ * @param {Array} fieldMapping - Entries from getFieldMapping('zoho', settings)
+ * @returns {Array} [{ contactId, chat_id, payload, current, changes }]
+ */
+async function previewZohoContactsBatch(accessToken, chatData, apiDomain = 'https://www.zohoapis.com', fieldMapping = getFieldMapping('zoho')) {
+    try {
+        const uniqueChatData = chatData.reduce((acc, chat) => {
+            if (!acc.find(c => c.contactId === chat.contactId)) {
+                acc.push(chat);
+            }
+            return acc;
+        }, []);
+
+        const records = uniqueChatData.map(chat => buildZohoContactRecord(chat, fieldMapping));
+        const fieldNames = fieldMapping.map(entry => entry.field);
+        const currentValues = {};
+
+        for (let i = 0; i < uniqueChatData.length; i += 100) {
+            const batch = uniqueChatData.slice(i, i + 100);
+            const response = await axios.get(`${apiDomain}/crm/v2.1/Contacts`, {
+                params: {
+                    ids: batch.map(chat => chat.contactId).join(','),
+                    fields: fieldNames.join(',')
+                },
+                headers: {
+                    'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            (response.data?.data || []).forEach(contact => {
+                currentValues[String(contact.id)] = contact;
+            });
+        }
+
+        const normalize = value => (value === null || value === undefined ? '' : String(value));
+
+        return uniqueChatData.map((chat, idx) => {
+            const { id, ...payload } = records[idx];
+            const current = fieldNames.reduce((acc, name) => {
+                acc[name] = currentValues[String(chat.contactId)]?.[name] ?? null;
+                return acc;
+            }, {});
+            const changes = fieldNames.reduce((acc, name) => {
+                if (normalize(current[name]) !== normalize(payload[name])) {
+                    acc[name] = { from: current[name], to: payload[name] ?? null };
+                }
+                return acc;
+            }, {});
+
+            return {
+                contactId: chat.contactId,
+                chat_id: chat.chat_id,
+                payload: payload,
+                current: current,
+                changes: changes
+            };
+        });
+    } catch (error) {
+        console.error('Error previewing Zoho contacts batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
 /**
  * Update multiple Zoho contacts in batch (up to 100 contacts)
  * @param {string} accessToken - Zoho access token
  * @param {Array} contacts - Array of contact objects with id and properties
+ * @param {string} apiDomain - Zoho API domain
+ * @param {Array} fieldMapping - Entries from getFieldMapping('zoho', settings)
  * @returns {Object} Batch update response
  */
-async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https://www.zohoapis.com') {
+async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https://www.zohoapis.com', fieldMapping = getFieldMapping('zoho')) {
     try {
         // Remove duplicate contact IDs to avoid Zoho validation errors
         const uniqueChatData = chatData.reduce((acc, chat) => {
@@ -202,6 +437,40 @@ async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https
 
         const allResults = [];
         let totalUpdated = 0;
+        const updatedContactIds = [];
+        const fieldNames = fieldMapping.map(entry => entry.field);
+        let fieldsProvisioned = false;
+
+        const putContacts = async (batchData) => await axios.put(`${apiDomain}/crm/v2/Contacts`, batchData, {
+            headers: {
+                'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        // Create the missing fields once per call and send the batch again
+        const provisionFieldsAndRetry = async (batchData, missingFields) => {
+            console.log(`\n⚠️  Zoho rejected missing fields (${missingFields.join(', ')}). Creating custom fields in Zoho...\n`);
+            fieldsProvisioned = true;
+            await createZohoCustomFields(accessToken, apiDomain, fieldMapping);
+            console.log('\n✓ Fields created. Retrying batch update...\n');
+            return await putContacts(batchData);
+        };
+
+        // Count only the records Zoho accepted, one result per record in request order
+        const recordUpdatedContacts = (responseData, batch) => {
+            const acceptedIds = batch
+                .filter((chat, idx) => {
+                    const result = responseData?.data?.[idx];
+                    if (result?.code === 'SUCCESS') return true;
+                    console.error(`Zoho rejected contact ${chat.contactId}:`, result?.message || result?.code || 'no result');
+                    return false;
+                })
+                .map(chat => chat.contactId);
+            totalUpdated += acceptedIds.length;
+            updatedContactIds.push(...acceptedIds);
+            return acceptedIds.length;
+        };
 
         // Process each batch
         for (let i = 0; i < batches.length; i++) {
@@ -210,67 +479,7 @@ async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https
 
             // Define batchData outside try block so it's accessible in catch block
             const batchData = {
-                data: batch.map(chat => {
-                    // Parse analytics if it's a JSON string
-                    let analytics = chat.analytics;
-                    if (typeof analytics === 'string') {
-                        try {
-                            analytics = JSON.parse(analytics);
-                        } catch (e) {
-                            console.error('Error parsing analytics JSON:', e.message);
-                            analytics = {};
-                        }
-                    }
-                    // Ensure analytics is an object
-                    if (!analytics || typeof analytics !== 'object') {
-                        analytics = {};
-                    }
-                    
-                    // Helper function to safely parse date
-                    const parseDate = (dateValue) => {
-                        if (!dateValue) return null;
-                        try {
-                            // Handle BigQuery timestamp format (object with value property)
-                            if (dateValue && typeof dateValue === 'object' && dateValue.value) {
-                                dateValue = dateValue.value;
-                            }
-                            const date = new Date(dateValue);
-                            return isNaN(date.getTime()) ? null : date;
-                        } catch (e) {
-                            console.error('Error parsing date:', dateValue, e.message);
-                            return null;
-                        }
-                    };
-                    
-                    // Calculate time since last client message (in hours)
-                    let timeSinceLastMessage = null;
-                    const updatedDate = parseDate(chat.updated_at);
-                    if (updatedDate) {
-                        timeSinceLastMessage = Math.floor((Date.now() - updatedDate.getTime()) / (1000 * 60 * 60));
-                    }
-                    
-                    // Format average response time for display (convert minutes to hours)
-                    const avgResponseTimeText = chat.average_response_time 
-                        ? `${(chat.average_response_time / 60).toFixed(2)} hours`
-                        : 'N/A';
-                    
-                    // Format last interaction date
-                    const lastInteractionDate = updatedDate ? updatedDate.toISOString().split('T')[0] : null;
-                    
-                    return {
-                        id: chat.contactId,
-                        // Use exact API names from Zoho
-                        messagesreceived: parseInt(analytics.messages_received) || 0,
-                        messagessent: parseInt(analytics.messages_sent) || 0,
-                        totalmessages: parseInt(analytics.total_messages) || 0,
-                        Follow_ups_Count: parseInt(analytics.number_of_follow_ups) || 0,
-                        Last_Interaction_Date: lastInteractionDate,
-                        Average_Response_Time: avgResponseTimeText,
-                        Time_Since_Last_Client_Message: timeSinceLastMessage ? `${timeSinceLastMessage} hours ago` : 'N/A',
-                        First_Response_Time: 'N/A',  // Not available in current data
-                        Last_Message_send_by: 'N/A'  // Not available in current data
-                    };
-                })
+                data: batch.map(chat => buildZohoContactRecord(chat, fieldMapping))
             };
 
             try {
@@ -282,22 +491,23 @@ async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https
                     batchData: batchData
                 });
 
-                const response = await axios.put(`${apiDomain}/crm/v2/Contacts`, batchData, {
-                    headers: {
-                        'Authorization': `Zoho-oauthtoken ${accessToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
+                let response = await putContacts(batchData);
+
+                // Partially failed batches come back as 2xx with per-record errors
+                const missingFields = getMissingZohoFields(response.data, fieldNames);
+                if (missingFields.length > 0 && !fieldsProvisioned) {
+                    response = await provisionFieldsAndRetry(batchData, missingFields);
+                }
 
                 allResults.push(response.data);
-                totalUpdated += batch.length;
-                console.log(`Successfully updated ${batch.length} contacts in batch ${i + 1}`);
+                const updatedCount = recordUpdatedContacts(response.data, batch);
+                console.log(`Successfully updated ${updatedCount}/${batch.length} contacts in batch ${i + 1}`);
 
                 // Log the batch update response
                 logWebhookSiteConfig({
                     operation: 'Zoho Batch Update Response',
                     batch: `${i + 1}/${batches.length}`,
-                    updatedCount: batch.length,
+                    updatedCount: updatedCount,
                     response: response.data
                 });
 
@@ -308,8 +518,38 @@ async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https
 
             } catch (batchError) {
                 console.error(`Error updating batch ${i + 1}:`, batchError.response?.data || batchError.message);
-                // Continue with next batch
-                continue;
+                // An expired token fails every batch, let the caller refresh it and retry
+                if (isZohoAuthError(batchError)) {
+                    throw batchError;
+                }
+
+                // Zoho answers 400 when every record in the batch was rejected
+                const missingFields = getMissingZohoFields(batchError.response?.data, fieldNames);
+                if (missingFields.length > 0 && !fieldsProvisioned) {
+                    try {
+                        const retryResponse = await provisionFieldsAndRetry(batchData, missingFields);
+
+                        allResults.push(retryResponse.data);
+                        const updatedCount = recordUpdatedContacts(retryResponse.data, batch);
+                        console.log(`✓ Successfully updated ${updatedCount}/${batch.length} contacts in batch ${i + 1} after creating fields`);
+
+                        logWebhookSiteConfig({
+                            operation: 'Zoho Batch Update Response (After Field Creation)',
+                            batch: `${i + 1}/${batches.length}`,
+                            updatedCount: updatedCount,
+                            response: retryResponse.data
+                        });
+                    } catch (retryError) {
+                        console.error(`✗ Failed to update batch ${i + 1} even after creating fields:`, retryError.response?.data || retryError.message);
+                    }
+                } else {
+                    console.log(`Skipping batch ${i + 1} due to error`);
+                }
+
+                // Add delay before next batch
+                if (i < batches.length - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
             }
         }
 
@@ -331,6 +571,7 @@ async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https
             totalProcessed: uniqueChatData.length,
             totalUpdated: totalUpdated,
             batchesProcessed: batches.length,
+            updatedContactIds: updatedContactIds,
             results: allResults
         };
 
@@ -339,8 +580,391 @@ async function updateZohoContactsBatch(accessToken, chatData, apiDomain = 'https
         throw error;
     }
 }
+/**
+ * Create Zoho contacts for WhatsApp chats that matched no contact (up to 100 per call)
+ * @param {string} accessToken - Zoho access token
+ * @param {Array} contacts - [{ chat, phone }] with the E.164 phone of each chat
+ * @param {string} apiDomain - Zoho API domain
+ * @param {Object} creationSettings - { lead_source }
+ * @returns {Object} { createdContactIds } - map of E.164 phone to new contact id
+ */
+async function createZohoContactsBatch(accessToken, contacts, apiDomain = 'https://www.zohoapis.com', creationSettings = {}) {
+    try {
+        const createdContactIds = {};
+
+        for (let i = 0; i < contacts.length; i += 100) {
+            const batch = contacts.slice(i, i + 100);
+
+            try {
+                const response = await axios.post(`${apiDomain}/crm/v2/Contacts`, {
+                    // Last_Name is mandatory and we only know the number
+                    data: batch.map(({ phone }) => ({
+                        Last_Name: `WhatsApp ${phone}`,
+                        Phone: phone,
+                        Mobile: phone,
+                        Lead_Source: creationSettings.lead_source
+                    })),
+                    trigger: []
+                }, {
+                    headers: {
+                        'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                // One result per record, in request order
+                (response.data?.data || []).forEach((result, idx) => {
+                    if (result.code === 'SUCCESS' && batch[idx]) {
+                        createdContactIds[batch[idx].phone] = result.details.id;
+                    } else {
+                        console.error(`Error creating Zoho contact for ${batch[idx]?.phone}:`, result.message || result.code);
+                    }
+                });
+            } catch (batchError) {
+                console.error(`Error creating Zoho contacts batch ${i / 100 + 1}:`, batchError.response?.data || batchError.message);
+                if (isZohoAuthError(batchError)) {
+                    throw batchError;
+                }
+            }
+        }
+
+        logWebhookSiteConfig({
+            operation: 'Zoho Contacts Created',
+            requested: contacts.length,
+            created: Object.keys(createdContactIds).length
+        });
+
+        return { createdContactIds };
+    } catch (error) {
+        console.error('Error creating Zoho contacts in batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// Deal summary (see dealAnalytics.js) → Deals field, created from the label like the Contacts fields
+const ZOHO_DEAL_SUMMARY_FIELDS = [
+    { key: 'contacts', field: 'Eazybe_WhatsApp_Contacts', transform: 'number' },
+    { key: 'messages_last_7_days', field: 'Eazybe_Messages_Last_7_Days', transform: 'number' },
+    { key: 'last_client_reply_at', field: 'Eazybe_Last_Client_Reply_Date', transform: 'datetime' },
+    { key: 'follow_ups', field: 'Eazybe_Follow_ups', transform: 'number' },
+    { key: 'last_interaction_date', field: 'Eazybe_Last_Interaction_Date', transform: 'date' }
+];
+
+// Contacts per COQL query, COQL accepts at most 50 values in an IN clause
+const DEAL_QUERY_CONTACTS = 50;
+
+// Deals per COQL page
+const DEAL_QUERY_PAGE_SIZE = 200;
+
+/**
+ * Forecast type of each deal stage, read from the Stage pick list of the Deals layout
+ * @param {string} accessToken - Zoho access token
+ * @param {string} apiDomain - Zoho API domain
+ * @returns {Object} Map of stage to forecast type: Open, Closed Won or Closed Lost
+ */
+async function getZohoDealStageForecastTypes(accessToken, apiDomain = 'https://www.zohoapis.com') {
+    try {
+        const response = await retryWithBackoff(async () => await axios.get(`${apiDomain}/crm/v2/settings/fields`, {
+            params: { module: 'Deals' },
+            headers: {
+                'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }));
+
+        const stageField = (response.data?.fields || []).find(field => field.api_name === 'Stage');
+        return (stageField?.pick_list_values || []).reduce((acc, value) => {
+            if (value.forecast_type) {
+                acc[value.actual_value] = value.forecast_type;
+            }
+            return acc;
+        }, {});
+    } catch (error) {
+        console.error('Error fetching Zoho deal stages:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Whether a deal is still open, from its stage's forecast type, or from its probability for stages
+ * without one: closed stages are at 0 (lost) or 100 (won) percent
+ * @param {Object} deal - Zoho deal with Stage and Probability
+ * @param {Object} forecastTypes - Map of stage to forecast type from getZohoDealStageForecastTypes
+ * @returns {boolean}
+ */
+function isOpenZohoDeal(deal, forecastTypes) {
+    const forecastType = forecastTypes[deal.Stage];
+    if (forecastType) {
+        return !/^closed/i.test(forecastType);
+    }
+    const probability = parseFloat(deal.Probability);
+    return Number.isNaN(probability) || (probability > 0 && probability < 100);
+}
+
+/**
+ * Open deals (potentials) whose contact is one of the given contacts, through COQL queries of 50 contacts
+ * @param {string} accessToken - Zoho access token
+ * @param {Array<string>} contactIds - Zoho contact ids
+ * @param {string} apiDomain - Zoho API domain
+ * @returns {Object} Map of contact id to [{ id, name, amount, createdAt, modifiedAt }], contacts without open deals
+ *                   and contacts of a failed query are left out
+ */
+async function findOpenZohoDeals(accessToken, contactIds, apiDomain = 'https://www.zohoapis.com') {
+    try {
+        const openDeals = {};
+        // Ids go into the query text, so anything that isn't a Zoho record id is dropped
+        const uniqueContactIds = [...new Set(contactIds.map(String))].filter(contactId => /^\d+$/.test(contactId));
+        if (uniqueContactIds.length === 0) return openDeals;
+
+        let forecastTypes = {};
+        try {
+            forecastTypes = await getZohoDealStageForecastTypes(accessToken, apiDomain);
+        } catch (stagesError) {
+            if (isZohoAuthError(stagesError)) throw stagesError;
+            console.error('Deciding open Zoho deals by probability only');
+        }
+
+        for (let i = 0; i < uniqueContactIds.length; i += DEAL_QUERY_CONTACTS) {
+            const batch = uniqueContactIds.slice(i, i + DEAL_QUERY_CONTACTS);
+
+            try {
+                for (let offset = 0, moreRecords = true; moreRecords; offset += DEAL_QUERY_PAGE_SIZE) {
+                    const response = await retryWithBackoff(async () => await axios.post(`${apiDomain}/crm/v2/coql`, {
+                        select_query: 'select Deal_Name, Amount, Stage, Probability, Created_Time, Modified_Time, Contact_Name from Deals ' +
+                            `where Contact_Name in (${batch.join(', ')}) limit ${offset}, ${DEAL_QUERY_PAGE_SIZE}`
+                    }, {
+                        headers: {
+                            'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                            'Content-Type': 'application/json'
+                        }
+                    }));
+
+                    // 204 without a body when none of the contacts has deals
+                    (response.data?.data || [])
+                        .filter(deal => deal.Contact_Name?.id && isOpenZohoDeal(deal, forecastTypes))
+                        .forEach(deal => {
+                            const contactId = String(deal.Contact_Name.id);
+                            if (!openDeals[contactId]) openDeals[contactId] = [];
+                            openDeals[contactId].push({
+                                id: String(deal.id),
+                                name: deal.Deal_Name,
+                                amount: deal.Amount,
+                                createdAt: deal.Created_Time,
+                                modifiedAt: deal.Modified_Time
+                            });
+                        });
+                    moreRecords = Boolean(response.data?.info?.more_records);
+                }
+            } catch (batchError) {
+                console.error(`Error finding open Zoho deals for contacts batch ${i / DEAL_QUERY_CONTACTS + 1}:`, batchError.response?.data || batchError.message);
+                if (isZohoAuthError(batchError)) {
+                    throw batchError;
+                }
+            }
+
+            // Add delay between batches to avoid rate limiting
+            if (i + DEAL_QUERY_CONTACTS < uniqueContactIds.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        return openDeals;
+    } catch (error) {
+        console.error('Error finding open Zoho deals:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Write deal engagement summaries to Zoho deals in batches of 100, creating the Deals fields when Zoho rejects them
+ * @param {string} accessToken - Zoho access token
+ * @param {Array} deals - [{ id, summary }] from dealAnalytics
+ * @param {string} apiDomain - Zoho API domain
+ * @returns {Object} { totalProcessed, totalUpdated, updatedIds }
+ */
+async function updateZohoDealsBatch(accessToken, deals, apiDomain = 'https://www.zohoapis.com') {
+    try {
+        const fieldNames = ZOHO_DEAL_SUMMARY_FIELDS.map(entry => entry.field);
+        const updatedIds = [];
+        let fieldsProvisioned = false;
+
+        const putDeals = async (batchData) => await axios.put(`${apiDomain}/crm/v2/Deals`, batchData, {
+            headers: {
+                'Authorization': `Zoho-oauthtoken ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        for (let i = 0; i < deals.length; i += 100) {
+            const batch = deals.slice(i, i + 100);
+            const batchData = {
+                data: batch.map(deal => ZOHO_DEAL_SUMMARY_FIELDS.reduce((record, entry) => {
+                    record[entry.field] = deal.summary[entry.key];
+                    return record;
+                }, { id: deal.id }))
+            };
+
+            logWebhookSiteConfig({
+                operation: 'Zoho Deals Batch Update',
+                batch: `${i / 100 + 1}/${Math.ceil(deals.length / 100)}`,
+                batchData: batchData
+            });
+
+            let responseData;
+            try {
+                responseData = (await putDeals(batchData)).data;
+            } catch (batchError) {
+                // Zoho answers 400 when every record in the batch was rejected
+                if (isZohoAuthError(batchError) || !batchError.response?.data) throw batchError;
+                responseData = batchError.response.data;
+            }
+
+            const missingFields = getMissingZohoFields(responseData, fieldNames);
+            if (missingFields.length > 0 && !fieldsProvisioned) {
+                console.log(`⚠️  Zoho rejected missing Deals fields (${missingFields.join(', ')}), creating them...`);
+                fieldsProvisioned = true;
+                await createZohoCustomFields(accessToken, apiDomain, ZOHO_DEAL_SUMMARY_FIELDS, 'Deals');
+                responseData = (await putDeals(batchData)).data;
+            }
+
+            (responseData.data || []).forEach((result, idx) => {
+                if (result.code === 'SUCCESS') {
+                    updatedIds.push(batch[idx].id);
+                } else {
+                    console.error(`Zoho rejected deal ${batch[idx]?.id}:`, result.message || result.code);
+                }
+            });
+
+            // Add delay between batches to avoid rate limiting
+            if (i + 100 < deals.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        return { totalProcessed: deals.length, totalUpdated: updatedIds.length, updatedIds };
+    } catch (error) {
+        console.error('Error updating Zoho deals in batch:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Empty Contacts fields the sync no longer writes on every contact that has a value
+ * @param {string} accessToken - Zoho access token
+ * @param {Array<string>} fieldNames - Field API names
+ * @param {string} apiDomain - Zoho API domain
+ * @returns {Object} { cleared } - contacts cleared, counted once per field
+ */
+async function clearZohoContactFields(accessToken, fieldNames, apiDomain = 'https://www.zohoapis.com') {
+    const headers = {
+        'Authorization': `Zoho-oauthtoken ${accessToken}`,
+        'Content-Type': 'application/json'
+    };
+
+    try {
+        // Field names go into the query text, and organizations connected after a field was retired never had it
+        const existingFields = (await getZohoContactFields(accessToken, apiDomain, { analyticsOnly: false })).map(field => field.api_name);
+        let cleared = 0;
+
+        for (const fieldName of fieldNames.filter(name => existingFields.includes(name))) {
+            // Cleared contacts drop out of the query, so its first page is read until nothing is left
+            for (;;) {
+                const response = await retryWithBackoff(async () => await axios.post(`${apiDomain}/crm/v2/coql`, {
+                    select_query: `select id from Contacts where ${fieldName} is not null limit 0, 100`
+                }, { headers }));
+
+                // 204 without a body when no contact has a value
+                const contactIds = (response.data?.data || []).map(contact => String(contact.id));
+                if (contactIds.length === 0) break;
+
+                const batchData = { data: contactIds.map(id => ({ id, [fieldName]: null })) };
+                logWebhookSiteConfig({
+                    operation: 'Zoho Contacts Field Clear',
+                    field: fieldName,
+                    batchData: batchData
+                });
+
+                const responseData = (await retryWithBackoff(async () => await axios.put(`${apiDomain}/crm/v2/Contacts`, batchData, { headers }))).data;
+                const updated = (responseData.data || []).filter(result => result.code === 'SUCCESS').length;
+                if (updated < contactIds.length) {
+                    throw new Error(`Cleared ${fieldName} on ${updated}/${contactIds.length} Zoho contacts`);
+                }
+                cleared += updated;
+            }
+        }
+
+        return { cleared };
+    } catch (error) {
+        console.error('Error clearing Zoho contact fields:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// CRM adapter used by the sync pipeline, see crmRegistry.js for the contract
+const zohoAdapter = {
+    name: 'zoho',
+    label: 'Zoho',
+    isAuthError: isZohoAuthError,
+    enabledByDefault: true,
+    // Attach a conversation summary note to each contact as well as updating its fields
+    activitySyncEnabled: process.env.ENABLE_ZOHO_ACTIVITY_SYNC === 'true',
+
+    getCredentials: user => ({
+        access_token: user?.access_token || null,
+        refresh_token: user?.refresh_token || null,
+        api_domain: user?.api_domain || 'https://www.zohoapis.com'
+    }),
+
+    // Refreshes the token on the workspace's data center and retries once on a 401
+    withAccessToken: (conversation, operation) =>
+        withZohoAccessToken(conversation, (accessToken, apiDomain) => operation({ accessToken, apiDomain })),
+
+    findContactsByPhone: ({ accessToken, apiDomain }, phoneNumbers, phoneRegion) =>
+        contactExistanceBulkOnZoho(accessToken, phoneNumbers, apiDomain, phoneRegion),
+
+    buildContactProperties: (chat, fieldMapping) =>
+        buildZohoContactRecord(chat, fieldMapping),
+
+    updateContactsBatch: ({ accessToken, apiDomain }, chats, fieldMapping) =>
+        updateZohoContactsBatch(accessToken, chats, apiDomain, fieldMapping),
+
+    previewContactsBatch: ({ accessToken, apiDomain }, chats, fieldMapping) =>
+        previewZohoContactsBatch(accessToken, chats, apiDomain, fieldMapping),
+
+    provisionFields: ({ accessToken, apiDomain }, fieldMapping) =>
+        createZohoCustomFields(accessToken, apiDomain, fieldMapping),
+
+    // updateZohoContactsBatch creates missing fields when a write is rejected for them,
+    // so there is nothing to check up front
+    ensureFields: async () => null,
+
+    createContactsBatch: ({ accessToken, apiDomain }, contacts, creationSettings) =>
+        createZohoContactsBatch(accessToken, contacts, apiDomain, creationSettings),
+
+    clearContactFields: ({ accessToken, apiDomain }, fieldNames) =>
+        clearZohoContactFields(accessToken, fieldNames, apiDomain),
+
+    pushActivities: ({ accessToken, apiDomain }, workspaceId, chats) =>
+        pushAnalyticsNotesToZoho(accessToken, workspaceId, chats, apiDomain),
+
+    // A deal's contact is its Contact_Name, always one of the run's contacts, so there is no getDealContacts
+    findOpenDeals: ({ accessToken, apiDomain }, contactIds) =>
+        findOpenZohoDeals(accessToken, contactIds, apiDomain),
+
+    updateDealsBatch: ({ accessToken, apiDomain }, deals) =>
+        updateZohoDealsBatch(accessToken, deals, apiDomain)
+};
 
 module.exports = {
+    zohoAdapter,
+    getZohoContactFields,
+    createZohoCustomFields,
     contactExistanceBulkOnZoho,
-    updateZohoContactsBatch
+    updateZohoContactsBatch,
+    previewZohoContactsBatch,
+    buildZohoContactRecord,
+    createZohoContactsBatch,
+    findOpenZohoDeals,
+    updateZohoDealsBatch,
+    clearZohoContactFields
 };
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { findOpenZohoDeals, updateZohoContactsBatch, clearZohoContactFields } = require('./zoho');
+
+const STAGES = {
+    data: {
+        fields: [{
+            api_name: 'Stage',
+            pick_list_values: [
+                { actual_value: 'Negotiation', forecast_type: 'Open' },
+                { actual_value: 'Signed', forecast_type: 'Closed Won' },
+                { actual_value: 'Gone Quiet', forecast_type: 'Closed Lost' }
+            ]
+        }]
+    }
+};
+
+const zohoDeal = (id, contactId, stage, probability) => ({
+    id,
+    Deal_Name: `Deal ${id}`,
+    Amount: 100,
+    Stage: stage,
+    Probability: probability,
+    Created_Time: '2024-01-01T00:00:00+00:00',
+    Modified_Time: '2024-02-01T00:00:00+00:00',
+    Contact_Name: { id: contactId, name: 'Contact' }
+});
+
+test('open deals are queried in batches of 50 contacts and judged by their stage', async t => {
+    const queries = [];
+    t.mock.method(axios, 'get', async () => STAGES);
+    t.mock.method(axios, 'post', async (url, body) => {
+        queries.push(body.select_query);
+        if (queries.length > 1) return { status: 204, data: '' };
+        return {
+            data: {
+                data: [
+                    zohoDeal('1', '100', 'Negotiation', 60),
+                    // Custom closed stages without "Closed" in their name
+                    zohoDeal('2', '100', 'Signed', 100),
+                    zohoDeal('3', '101', 'Gone Quiet', 0),
+                    // Stages missing from the pick list fall back to their probability
+                    zohoDeal('4', '101', 'Legacy Open', 40),
+                    zohoDeal('5', '101', 'Legacy Won', 100)
+                ],
+                info: { more_records: false }
+            }
+        };
+    });
+
+    const contactIds = Array.from({ length: 60 }, (_, idx) => String(100 + idx));
+    const openDeals = await findOpenZohoDeals('token', [...contactIds, 'x) or (1=1'], 'https://www.zohoapis.eu');
+
+    assert.equal(queries.length, 2);
+    assert.match(queries[0], /where Contact_Name in \(100, 101, .*, 149\) limit 0, 200$/);
+    assert.match(queries[1], /where Contact_Name in \(150, .*, 159\) limit 0, 200$/);
+    assert.deepEqual(Object.keys(openDeals), ['100', '101']);
+    assert.deepEqual(openDeals['100'].map(deal => deal.id), ['1']);
+    assert.deepEqual(openDeals['101'].map(deal => deal.id), ['4']);
+});
+
+test('a failed batch leaves its contacts out instead of failing every deal', async t => {
+    t.mock.method(axios, 'get', async () => STAGES);
+    let calls = 0;
+    t.mock.method(axios, 'post', async () => {
+        calls++;
+        if (calls <= 3) throw Object.assign(new Error('Service unavailable'), { response: { status: 503 } });
+        return { data: { data: [zohoDeal('9', '150', 'Negotiation', 60)], info: { more_records: false } } };
+    });
+    // retryWithBackoff waits between attempts
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const tick = setInterval(() => t.mock.timers.tick(5000), 0);
+    t.after(() => clearInterval(tick));
+
+    const contactIds = Array.from({ length: 51 }, (_, idx) => String(100 + idx));
+    const openDeals = await findOpenZohoDeals('token', contactIds);
+
+    assert.deepEqual(Object.keys(openDeals), ['150']);
+});
+
+test('only the contacts Zoho accepted count as updated', async t => {
+    t.mock.method(axios, 'post', async () => ({ data: {} }));
+    t.mock.method(axios, 'put', async () => ({
+        data: {
+            data: [
+                { code: 'SUCCESS', details: { id: '1' }, status: 'success' },
+                { code: 'INVALID_DATA', details: { api_name: 'id' }, message: 'the id given seems to be invalid', status: 'error' },
+                { code: 'SUCCESS', details: { id: '3' }, status: 'success' }
+            ]
+        }
+    }));
+
+    const chats = ['1', '2', '3'].map(contactId => ({ contactId, chat_id: `${contactId}@c.us`, analytics: { total_messages: 1 } }));
+    const result = await updateZohoContactsBatch('token', chats);
+
+    assert.equal(result.totalUpdated, 2);
+    assert.deepEqual(result.updatedContactIds, ['1', '3']);
+});
+
+test('a retired field is emptied on every contact that has a value', async t => {
+    t.mock.method(axios, 'get', async () => ({ data: { fields: [{ api_name: 'Time_Since_Last_Client_Message' }] } }));
+    const queries = [];
+    let remaining = ['1', '2', '3'];
+    t.mock.method(axios, 'post', async (url, body) => {
+        if (!url.endsWith('/crm/v2/coql')) return { data: {} };
+        queries.push(body.select_query);
+        if (remaining.length === 0) return { status: 204, data: '' };
+        return { data: { data: remaining.slice(0, 2).map(id => ({ id })) } };
+    });
+    const updates = [];
+    t.mock.method(axios, 'put', async (url, body) => {
+        updates.push(body.data);
+        const ids = body.data.map(record => record.id);
+        remaining = remaining.filter(id => !ids.includes(id));
+        return { data: { data: ids.map(id => ({ code: 'SUCCESS', details: { id } })) } };
+    });
+
+    // A field the organization never had is skipped
+    const result = await clearZohoContactFields('token', ['Time_Since_Last_Client_Message', 'Never_Created']);
+
+    assert.equal(result.cleared, 3);
+    assert.equal(queries.length, 3);
+    assert.ok(queries.every(query => query === 'select id from Contacts where Time_Since_Last_Client_Message is not null limit 0, 100'));
+    assert.deepEqual(updates.flat(), ['1', '2', '3'].map(id => ({ id, Time_Since_Last_Client_Message: null })));
+});
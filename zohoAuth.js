@@ -0,0 +1,121 @@
+const dotenv = require('dotenv');
+const { exchangeRefreshToken, tokenExpiresAt, createOAuthTokenManager } = require('./oauthTokens');
+dotenv.config();
+
+// Zoho keeps accounts per data center, a token can only be refreshed where it was issued
+const ZOHO_ACCOUNTS_SERVERS = {
+    'zohoapis.com': 'https://accounts.zoho.com',
+    'zohoapis.eu': 'https://accounts.zoho.eu',
+    'zohoapis.in': 'https://accounts.zoho.in',
+    'zohoapis.com.au': 'https://accounts.zoho.com.au',
+    'zohoapis.jp': 'https://accounts.zoho.jp'
+};
+
+const DEFAULT_ACCOUNTS_SERVER = 'https://accounts.zoho.com';
+
+// Refresh this many milliseconds before the token actually expires
+const EXPIRY_MARGIN_MS = 2 * 60 * 1000;
+
+// Tokens refreshed during this process, keyed by workspace_id
+const refreshedTokens = {};
+
+/**
+ * Resolve the Zoho accounts server for an API domain
+ * @param {string} apiDomain - e.g. https://www.zohoapis.eu
+ * @returns {string} Accounts server base URL
+ */
+function getZohoAccountsServer(apiDomain = 'https://www.zohoapis.com') {
+    let hostname;
+    try {
+        hostname = new URL(apiDomain).hostname;
+    } catch (e) {
+        console.warn(`Invalid Zoho api_domain ${apiDomain}, falling back to ${DEFAULT_ACCOUNTS_SERVER}`);
+        return DEFAULT_ACCOUNTS_SERVER;
+    }
+
+    // Longest suffix first so zohoapis.com.au is not mistaken for zohoapis.com
+    const suffix = Object.keys(ZOHO_ACCOUNTS_SERVERS)
+        .sort((a, b) => b.length - a.length)
+        .find(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+    return suffix ? ZOHO_ACCOUNTS_SERVERS[suffix] : DEFAULT_ACCOUNTS_SERVER;
+}
+
+/**
+ * Check whether an axios error means the Zoho access token was rejected
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean}
+ */
+function isZohoAuthError(error) {
+    const code = error?.response?.data?.code;
+    return error?.response?.status === 401 || code === 'INVALID_TOKEN' || code === 'AUTHENTICATION_FAILURE';
+}
+
+/**
+ * Exchange a refresh token for a new Zoho access token on the workspace's data center
+ * @param {string} refreshToken - Zoho refresh token
+ * @param {string} apiDomain - Zoho API domain of the workspace
+ * @returns {Object} { access_token, api_domain, expires_in }
+ */
+async function refreshZohoAccessToken(refreshToken, apiDomain = 'https://www.zohoapis.com') {
+    return exchangeRefreshToken({
+        label: 'Zoho',
+        tokenUrl: `${getZohoAccountsServer(apiDomain)}/oauth/v2/token`,
+        clientId: process.env.ZOHO_CLIENT_ID,
+        clientSecret: process.env.ZOHO_CLIENT_SECRET,
+        clientAuth: 'query'
+    }, refreshToken);
+}
+
+// Zoho tokens aren't reported to the backend, they are remembered for the rest of the run instead
+const zohoTokens = createOAuthTokenManager({
+    crm: 'zoho',
+    label: 'Zoho',
+    isAuthError: isZohoAuthError,
+    expiryMarginMs: EXPIRY_MARGIN_MS,
+    refresh: conversation => refreshZohoAccessToken(conversation.refresh_token, conversation.api_domain),
+    mapTokens: (tokenData, conversation) => ({
+        access_token: tokenData.access_token,
+        api_domain: tokenData.api_domain || conversation.api_domain,
+        token_expires_at: tokenExpiresAt({ expires_in: tokenData.expires_in || 3600 })
+    }),
+    onRefresh: (conversation, tokens) => {
+        refreshedTokens[conversation.uid] = tokens;
+    }
+});
+
+/**
+ * Swap in a token refreshed earlier in this run if it is still valid
+ * @param {Object} conversation - Conversation group with uid and access_token
+ */
+function applyRefreshedZohoToken(conversation) {
+    const cached = refreshedTokens[conversation.uid];
+    if (!cached) return;
+
+    if (new Date(cached.token_expires_at).getTime() - EXPIRY_MARGIN_MS <= Date.now()) {
+        delete refreshedTokens[conversation.uid];
+        return;
+    }
+
+    conversation.access_token = cached.access_token;
+    conversation.api_domain = cached.api_domain;
+    conversation.token_expires_at = cached.token_expires_at;
+}
+
+/**
+ * Run a Zoho operation with a valid access token, refreshing once on expiry or a 401
+ * @param {Object} conversation - Conversation group with uid, access_token, refresh_token and api_domain
+ * @param {Function} operation - async (accessToken, apiDomain) => result
+ * @returns {Promise} The result of the operation
+ */
+function withZohoAccessToken(conversation, operation) {
+    applyRefreshedZohoToken(conversation);
+    return zohoTokens.withAccessToken(conversation, operation);
+}
+
+module.exports = {
+    getZohoAccountsServer,
+    isZohoAuthError,
+    refreshZohoAccessToken,
+    withZohoAccessToken
+};